@@ -6,12 +6,27 @@
 const App = {
     // Current state
     currentView: 'daily',
-    currentDate: new Date(),
+    currentDate: null, // Day shown in the daily view (YYYY-MM-DD), null follows today
     currentWeek: null,
     currentMonth: null,
     focusTimer: null,
-    focusTimeRemaining: 0,
-    focusTaskId: null,
+    focusState: null, // Running Pomodoro run: phase, countdown and session details
+    newTaskRecurrence: null,
+    panelTaskId: null,
+    panelDraft: null,
+    habitDetailId: null, // Habit open in the habits view's detail page
+    habitDetailYear: null,
+    routineRun: null, // Guided routine in progress: { routineId, habitIds, index, done }
+    goalDetailId: null, // Goal open in the goal detail modal
+    goalArchiveYear: null, // Year shown in the goal archive
+    lifeWheelCompare: null, // Rating date the wheel compares with; null picks the one before the latest
+
+    // Drag payload type for scheduling tasks
+    TASK_DRAG_TYPE: 'application/x-zenith-task',
+
+    // Time block timeline scale and drag step
+    TIMELINE_HOUR_HEIGHT: 60,
+    TIMELINE_SNAP_MINUTES: 15,
 
     // ============================================
     // INITIALIZATION
@@ -20,9 +35,9 @@ const App = {
     /**
      * Initialize the application
      */
-    init() {
+    async init() {
         // Initialize storage
-        Storage.init();
+        await Storage.init();
 
         // Load theme
         this.loadTheme();
@@ -35,11 +50,13 @@ const App = {
         }
 
         // Set current dates
-        this.currentWeek = Utils.getWeekStart(new Date());
-        this.currentMonth = new Date();
+        this.currentWeek = Utils.getWeekStart(Utils.getToday());
+        this.currentMonth = Utils.getToday();
 
         // Initialize all views
         this.initDailyView();
+        this.initTaskPanel();
+        this.initInboxView();
         this.initWeeklyView();
         this.initMonthlyView();
         this.initYearlyView();
@@ -55,6 +72,16 @@ const App = {
 
         // Show daily view by default
         this.switchView('daily');
+
+        // Deal with unfinished tasks from earlier days, then last
+        // month's goals and last week's objectives
+        if (Storage.hasCompletedOnboarding()) {
+            this.checkRollover();
+            this.checkPlanReview();
+        }
+
+        // Pick up a focus timer that was running before a reload
+        this.resumeFocusMode();
     },
 
     // ============================================
@@ -169,6 +196,19 @@ const App = {
         });
     },
 
+    // ============================================
+    // GENERIC MODAL
+    // ============================================
+
+    openModal(title, bodyHTML, onSave, saveLabel = 'Save') {
+        document.getElementById('modal-title').textContent = title;
+        document.getElementById('modal-body').innerHTML = bodyHTML;
+        const saveBtn = document.getElementById('modal-save');
+        saveBtn.textContent = saveLabel;
+        saveBtn.onclick = onSave;
+        Utils.showModal('generic-modal');
+    },
+
     // ============================================
     // VIEW MANAGEMENT
     // ============================================
@@ -195,6 +235,9 @@ const App = {
             case 'daily':
                 this.renderDailyView();
                 break;
+            case 'inbox':
+                this.renderInboxView();
+                break;
             case 'weekly':
                 this.renderWeeklyView();
                 break;
@@ -214,6 +257,7 @@ const App = {
                 this.renderAnalyticsView();
                 break;
         }
+        this.updateInboxCount();
     },
 
     // ============================================
@@ -225,14 +269,31 @@ const App = {
         document.getElementById('add-task-btn').addEventListener('click', () => {
             document.getElementById('add-task-form').style.display = 'flex';
             document.getElementById('add-task-btn').style.display = 'none';
+            this.updateRepeatOptions(this.getDailyDate());
             document.getElementById('new-task-title').focus();
         });
 
+        // Repeat selector
+        document.getElementById('new-task-repeat').addEventListener('change', (e) => {
+            const select = e.target;
+            if (select.value !== 'custom') {
+                select.dataset.previous = select.value;
+                return;
+            }
+
+            const dateStr = this.getDailyDate();
+            // Until a rule is saved, keep the earlier choice in case the modal is dismissed
+            select.value = select.dataset.previous || 'none';
+            this.showRecurrenceModal(dateStr, this.newTaskRecurrence, (rule) => {
+                this.newTaskRecurrence = rule;
+                select.value = select.dataset.previous = 'custom';
+                this.updateRepeatOptions(dateStr);
+            });
+        });
+
         // Cancel task
         document.getElementById('cancel-task-btn').addEventListener('click', () => {
-            document.getElementById('add-task-form').style.display = 'none';
-            document.getElementById('add-task-btn').style.display = 'inline-flex';
-            document.getElementById('new-task-title').value = '';
+            this.hideAddTaskForm();
         });
 
         // Save task
@@ -252,7 +313,7 @@ const App = {
         highlightInput.addEventListener('blur', () => {
             const value = highlightInput.value.trim();
             if (value) {
-                Storage.setDailyData(Utils.getTodayStr(), { highlight: value });
+                Storage.setDailyData(this.getDailyDate(), { highlight: value });
                 this.showHighlightDisplay(value);
             }
         });
@@ -270,7 +331,7 @@ const App = {
                 btn.addEventListener('click', () => {
                     scale.querySelectorAll('button').forEach(b => b.classList.remove('selected'));
                     btn.classList.add('selected');
-                    Storage.setDailyData(Utils.getTodayStr(), { [tracker]: parseInt(btn.dataset.value) });
+                    Storage.setDailyData(this.getDailyDate(), { [tracker]: parseInt(btn.dataset.value) });
                 });
             });
         });
@@ -282,33 +343,97 @@ const App = {
 
         // Add time block button
         document.getElementById('add-block-btn').addEventListener('click', () => {
-            this.showAddBlockModal();
+            this.showBlockModal();
         });
+
+        // Plan my day
+        document.getElementById('plan-day-btn').addEventListener('click', () => {
+            this.planDay();
+        });
+
+        // Day navigation
+        document.getElementById('prev-day').addEventListener('click', () => {
+            this.goToDay(Recurrence.addDays(this.getDailyDate(), -1));
+        });
+
+        document.getElementById('next-day').addEventListener('click', () => {
+            this.goToDay(Recurrence.addDays(this.getDailyDate(), 1));
+        });
+
+        document.getElementById('go-today').addEventListener('click', () => {
+            this.goToDay(null);
+        });
+
+        const picker = document.getElementById('daily-date-picker');
+        document.getElementById('current-date').addEventListener('click', () => {
+            picker.value = this.getDailyDate();
+            try {
+                picker.showPicker();
+            } catch (error) {
+                picker.focus();
+            }
+        });
+
+        picker.addEventListener('change', () => {
+            if (picker.value) {
+                this.goToDay(picker.value);
+            }
+        });
+    },
+
+    getDailyDate() {
+        return this.currentDate || Utils.getTodayStr();
+    },
+
+    goToDay(dateStr) {
+        this.currentDate = dateStr === Utils.getTodayStr() ? null : dateStr;
+
+        // Don't carry a half-typed task over to another day
+        this.hideAddTaskForm();
+
+        if (this.currentView === 'daily') {
+            this.renderDailyView();
+        } else {
+            this.switchView('daily');
+        }
     },
 
     renderDailyView() {
+        const dateStr = this.getDailyDate();
         const today = Utils.getTodayStr();
+        const relativeName = Utils.getRelativeDayName(dateStr);
         const settings = Storage.getSettings();
 
         // Update greeting and date
-        document.getElementById('greeting').textContent = Utils.getGreeting();
-        document.getElementById('current-date').textContent = Utils.formatDateDisplay(new Date());
+        let greeting = Utils.getGreeting();
+        if (dateStr !== today) {
+            greeting = dateStr > today ? 'Planning ahead' : 'Looking back';
+        }
+        document.getElementById('greeting').textContent = greeting;
+        document.getElementById('current-date').textContent = Utils.formatDateDisplay(Utils.parseDateStr(dateStr));
+        document.getElementById('go-today').style.display = dateStr === today ? 'none' : 'inline-flex';
+
+        const dayLabel = relativeName ? `${relativeName}'s` : Utils.formatDateShort(Utils.parseDateStr(dateStr));
+        document.getElementById('highlight-title').textContent = `${dayLabel} Highlight`;
+        document.getElementById('tasks-title').textContent = `${dayLabel} Tasks`;
 
         // Load daily data
-        const dailyData = Storage.getDailyData(today);
+        const dailyData = Storage.getDailyData(dateStr);
 
         // Highlight
         if (dailyData.highlight) {
             this.showHighlightDisplay(dailyData.highlight);
         } else {
-            document.getElementById('daily-highlight').style.display = 'block';
+            const input = document.getElementById('daily-highlight');
+            input.value = '';
+            input.style.display = 'block';
             document.getElementById('highlight-display').style.display = 'none';
         }
 
         // Trackers
         ['energy', 'mood', 'sleep'].forEach(tracker => {
             const scale = document.querySelector(`[data-tracker="${tracker}"]`);
-            if (scale && dailyData[tracker]) {
+            if (scale) {
                 scale.querySelectorAll('button').forEach(btn => {
                     btn.classList.toggle('selected', parseInt(btn.dataset.value) === dailyData[tracker]);
                 });
@@ -316,13 +441,13 @@ const App = {
         });
 
         // Tasks
-        this.renderTasks(today);
+        this.renderTasks(dateStr);
 
         // Time blocks
-        this.renderTimeBlocks(today);
+        this.renderTimeBlocks(dateStr);
 
         // Update capacity
-        this.updateCapacity(today, settings.dailyCapacity);
+        this.updateCapacity(dateStr, settings.dailyCapacity);
     },
 
     showHighlightDisplay(text) {
@@ -352,7 +477,7 @@ const App = {
                         <path d="M9 11l3 3L22 4"></path>
                         <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path>
                     </svg>
-                    <p>No tasks for today</p>
+                    <p>No tasks for ${dateStr === Utils.getTodayStr() ? 'today' : 'this day'}</p>
                     <p class="hint-text">Add your first task to get started</p>
                 </div>
             `;
@@ -367,8 +492,10 @@ const App = {
         });
 
         container.innerHTML = tasks.map(task => this.createTaskHTML(task)).join('');
+        this.bindTaskItems(container);
+    },
 
-        // Add event listeners
+    bindTaskItems(container) {
         container.querySelectorAll('.task-checkbox').forEach(checkbox => {
             checkbox.addEventListener('click', () => {
                 const taskId = checkbox.closest('.task-item').dataset.id;
@@ -376,6 +503,12 @@ const App = {
             });
         });
 
+        container.querySelectorAll('.task-content').forEach(content => {
+            content.addEventListener('click', () => {
+                this.openTaskPanel(content.closest('.task-item').dataset.id);
+            });
+        });
+
         container.querySelectorAll('.focus-btn').forEach(btn => {
             btn.addEventListener('click', () => {
                 const taskId = btn.closest('.task-item').dataset.id;
@@ -393,6 +526,8 @@ const App = {
 
     createTaskHTML(task) {
         const categoryIcon = Utils.getCategoryIcon(task.category);
+        const progress = Storage.getSubtaskProgress(task);
+        const overdue = task.deadline && !task.completed && task.deadline < Utils.getTodayStr();
         return `
             <div class="task-item ${task.completed ? 'completed' : ''}" data-id="${task.id}">
                 <div class="task-checkbox ${task.completed ? 'checked' : ''}"></div>
@@ -402,7 +537,16 @@ const App = {
                         <span class="task-priority ${task.priority}"></span>
                         <span class="task-category">${categoryIcon} ${task.category}</span>
                         <span class="task-duration">⏱ ${Utils.formatDuration(task.duration || 30)}</span>
+                        ${task.recurrence ? `<span class="task-repeat" title="${Recurrence.describe(task.recurrence)}">🔁 ${Recurrence.describe(task.recurrence)}</span>` : ''}
+                        ${progress.total > 0 ? `<span class="task-subtasks" title="${progress.percent}% of subtasks done">☑ ${progress.done}/${progress.total}</span>` : ''}
+                        ${task.deferCount ? `<span class="task-deferred ${task.deferCount >= 3 ? 'chronic' : ''}" title="Deferred ${task.deferCount} time${task.deferCount === 1 ? '' : 's'}">⏭ ${task.deferCount}×</span>` : ''}
+                        ${task.deadline ? `<span class="task-deadline ${overdue ? 'overdue' : ''}">⚑ Due ${Utils.formatDateShort(Utils.parseDateStr(task.deadline))}</span>` : ''}
                     </div>
+                    ${(task.tags || []).length > 0 ? `
+                        <div class="task-tags">
+                            ${task.tags.map(tag => `<span class="task-tag">#${Utils.sanitize(tag)}</span>`).join('')}
+                        </div>
+                    ` : ''}
                 </div>
                 <div class="task-actions">
                     <button class="task-action-btn focus-btn" title="Focus on this task">
@@ -429,32 +573,44 @@ const App = {
             return;
         }
 
+        const date = this.getDailyDate();
+        const repeat = document.getElementById('new-task-repeat').value;
+        const recurrence = repeat === 'custom'
+            ? this.newTaskRecurrence
+            : Recurrence.fromPreset(repeat, date);
+
         const task = {
             title,
             priority: document.getElementById('new-task-priority').value,
             category: document.getElementById('new-task-category').value,
             duration: parseInt(document.getElementById('new-task-duration').value) || 30,
-            date: Utils.getTodayStr()
+            date
         };
+        if (recurrence) {
+            task.recurrence = recurrence;
+        }
 
         Storage.addTask(task);
 
-        // Reset form
-        document.getElementById('new-task-title').value = '';
-        document.getElementById('add-task-form').style.display = 'none';
-        document.getElementById('add-task-btn').style.display = 'inline-flex';
+        this.hideAddTaskForm();
 
         // Refresh
         this.renderDailyView();
         Utils.showToast('Task added!', 'success');
     },
 
+    hideAddTaskForm() {
+        document.getElementById('add-task-form').style.display = 'none';
+        document.getElementById('add-task-btn').style.display = 'inline-flex';
+        document.getElementById('new-task-title').value = '';
+        this.resetRepeatSelect();
+    },
+
     toggleTask(taskId) {
-        const tasks = Storage.getTasks();
-        const task = tasks.find(t => t.id === taskId);
+        const task = Storage.getTask(taskId);
         if (task) {
             Storage.updateTask(taskId, { completed: !task.completed });
-            this.renderDailyView();
+            this.refreshCurrentView();
             
             if (!task.completed) {
                 Utils.showToast('Task completed! 🎉', 'success');
@@ -463,758 +619,3338 @@ const App = {
     },
 
     deleteTask(taskId) {
-        Storage.deleteTask(taskId);
-        this.renderDailyView();
-        Utils.showToast('Task deleted', 'info');
+        const remove = (scope) => {
+            Storage.deleteTask(taskId, scope);
+            this.refreshCurrentView();
+            Utils.showToast('Task deleted', 'info');
+        };
+
+        if (Storage.parseOccurrenceId(taskId)) {
+            this.showRecurrenceScopeModal('Delete', remove);
+        } else {
+            remove();
+        }
     },
 
-    updateCapacity(dateStr, maxCapacity) {
-        const tasks = Storage.getTasksForDate(dateStr);
-        const plannedMinutes = tasks.reduce((sum, t) => sum + (t.duration || 30), 0);
-        const plannedHours = plannedMinutes / 60;
-        const percent = Utils.calculateCapacityPercent(plannedMinutes, maxCapacity);
+    // ============================================
+    // TASK DETAIL PANEL
+    // ============================================
 
-        // Update ring
-        const ring = document.getElementById('capacity-ring');
-        const fill = ring.querySelector('.capacity-fill');
-        const text = ring.querySelector('.capacity-text');
+    initTaskPanel() {
+        document.getElementById('close-task-panel').addEventListener('click', () => this.closeTaskPanel());
+        document.getElementById('panel-cancel').addEventListener('click', () => this.closeTaskPanel());
+        document.getElementById('panel-save').addEventListener('click', () => this.saveTaskPanel());
 
-        fill.style.strokeDasharray = `${Math.min(percent, 100)}, 100`;
-        text.textContent = `${plannedHours.toFixed(1)}h`;
+        document.getElementById('panel-delete').addEventListener('click', () => {
+            const taskId = this.panelTaskId;
+            this.closeTaskPanel();
+            this.deleteTask(taskId);
+        });
 
-        // Update status
-        ring.classList.remove('warning', 'danger');
-        const status = Utils.getCapacityStatus(percent);
-        if (status) ring.classList.add(status);
+        // Subtasks
+        document.getElementById('panel-new-subtask').addEventListener('keypress', (e) => {
+            if (e.key !== 'Enter') return;
+            const title = e.target.value.trim();
+            if (!title) return;
+            this.panelDraft.subtasks.push({ id: Storage.generateId(), title, completed: false });
+            e.target.value = '';
+            this.renderPanelSubtasks();
+        });
 
-        // Update label
-        document.getElementById('capacity-max').textContent = `of ${maxCapacity}h capacity`;
+        // Repeat
+        document.getElementById('panel-repeat').addEventListener('change', (e) => {
+            if (e.target.value !== 'custom') {
+                e.target.dataset.previous = e.target.value;
+            } else {
+                const dateStr = document.getElementById('panel-date').value;
+                if (!dateStr) {
+                    Utils.showToast('Pick a scheduled date before setting a repeat', 'warning');
+                    this.renderPanelRepeat(this.panelDraft.recurrence ? 'current' : 'none');
+                    return;
+                }
+                // As for new tasks, a dismissed modal leaves the earlier choice
+                this.renderPanelRepeat(e.target.dataset.previous || 'none');
+                this.showRecurrenceModal(dateStr, this.panelDraft.recurrence, (rule) => {
+                    this.panelDraft.recurrence = rule;
+                    this.renderPanelRepeat('current');
+                });
+            }
+        });
+
+        // Notes write / preview
+        document.querySelectorAll('.notes-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.setNotesMode(tab.dataset.mode));
+        });
     },
 
-    renderTimeBlocks(dateStr) {
-        const container = document.getElementById('schedule-timeline');
-        const blocks = Storage.getTimeBlocks(dateStr);
-        const settings = Storage.getSettings();
+    openTaskPanel(taskId) {
+        const task = Storage.getTask(taskId);
+        if (!task) return;
 
-        if (blocks.length === 0) {
-            // Show empty schedule with time slots
-            const startHour = parseInt(settings.workStart.split(':')[0]);
-            const endHour = parseInt(settings.workEnd.split(':')[0]);
-            
-            let html = '';
-            for (let hour = startHour; hour <= endHour; hour++) {
-                const time = `${hour.toString().padStart(2, '0')}:00`;
-                html += `
-                    <div class="time-block">
-                        <div class="time-label">${Utils.formatTime(time)}</div>
-                        <div class="block-content empty" data-hour="${hour}">
-                            <span class="hint-text">Click to add block</span>
-                        </div>
-                    </div>
-                `;
-            }
-            container.innerHTML = html;
-            
-            // Add click listeners for empty blocks
-            container.querySelectorAll('.block-content.empty').forEach(block => {
-                block.addEventListener('click', () => {
-                    this.showAddBlockModal(block.dataset.hour);
-                });
-            });
-            return;
-        }
+        this.panelTaskId = taskId;
+        this.panelDraft = {
+            subtasks: (task.subtasks || []).map(st => ({ ...st })),
+            recurrence: task.recurrence || null
+        };
 
-        // Render existing blocks
-        container.innerHTML = blocks.map(block => `
-            <div class="time-block" data-id="${block.id}">
-                <div class="time-label">${Utils.formatTime(block.startTime)}</div>
-                <div class="block-content ${block.category}">
-                    <div class="block-title">${Utils.sanitize(block.title)}</div>
-                    <div class="block-time">${Utils.formatTime(block.startTime)} - ${Utils.formatTime(block.endTime)}</div>
-                </div>
-            </div>
-        `).join('');
+        document.getElementById('panel-title').value = task.title;
+        document.getElementById('panel-priority').value = task.priority;
+        document.getElementById('panel-category').value = task.category;
+        document.getElementById('panel-date').value = task.date || '';
+        document.getElementById('panel-duration').value = task.duration || 30;
+        document.getElementById('panel-deadline').value = task.deadline || '';
+        document.getElementById('panel-tags').value = (task.tags || []).join(', ');
+        document.getElementById('panel-goal').innerHTML = this.renderGoalOptions(Storage.getGoals(), task.goalId);
+        document.getElementById('panel-notes').value = task.notes || '';
+        document.getElementById('panel-new-subtask').value = '';
+
+        this.renderPanelRepeat(task.recurrence ? 'current' : 'none');
+        this.renderPanelSubtasks();
+        this.renderPanelFocusHistory(taskId);
+        this.setNotesMode('write');
+
+        Utils.showModal('task-panel');
+        document.getElementById('panel-title').focus();
     },
 
-    showAddBlockModal(hour = null) {
-        const modal = document.getElementById('generic-modal');
-        document.getElementById('modal-title').textContent = 'Add Time Block';
-        
-        const startTime = hour ? `${hour.toString().padStart(2, '0')}:00` : '09:00';
-        
-        document.getElementById('modal-body').innerHTML = `
-            <div class="form-group">
-                <label>Block Title</label>
-                <input type="text" id="block-title" class="form-input" placeholder="e.g., Deep work, Meeting, Lunch">
-            </div>
-            <div class="form-group">
-                <label>Start Time</label>
-                <input type="time" id="block-start" class="form-input" value="${startTime}">
-            </div>
-            <div class="form-group">
-                <label>End Time</label>
-                <input type="time" id="block-end" class="form-input" value="${parseInt(startTime) + 1}:00">
-            </div>
-            <div class="form-group">
-                <label>Category</label>
-                <select id="block-category" class="form-input">
-                    <option value="work">💼 Work</option>
-                    <option value="personal">🏠 Personal</option>
-                    <option value="health">💪 Health</option>
-                    <option value="learning">📚 Learning</option>
-                </select>
-            </div>
+    closeTaskPanel() {
+        Utils.hideModal('task-panel');
+        this.panelTaskId = null;
+        this.panelDraft = null;
+    },
+
+    renderPanelRepeat(selected) {
+        const select = document.getElementById('panel-repeat');
+        const rule = this.panelDraft.recurrence;
+
+        select.innerHTML = `
+            <option value="none">Does not repeat</option>
+            ${rule ? `<option value="current">${Recurrence.describe(rule)}</option>` : ''}
+            <option value="daily">Daily</option>
+            <option value="weekdays">Every weekday</option>
+            <option value="weekly">Weekly</option>
+            <option value="monthly">Monthly</option>
+            <option value="yearly">Yearly</option>
+            <option value="custom">Custom…</option>
         `;
+        select.value = selected;
+        select.dataset.previous = selected;
+    },
 
-        Utils.showModal('generic-modal');
+    renderPanelSubtasks() {
+        const container = document.getElementById('panel-subtasks');
+        const subtasks = this.panelDraft.subtasks;
 
-        document.getElementById('modal-save').onclick = () => {
-            const title = document.getElementById('block-title').value.trim();
-            if (!title) {
-                Utils.showToast('Please enter a title', 'warning');
-                return;
-            }
+        container.innerHTML = subtasks.map((st, i) => `
+            <div class="subtask-item ${st.completed ? 'completed' : ''}" data-index="${i}">
+                <div class="task-checkbox ${st.completed ? 'checked' : ''}"></div>
+                <span class="subtask-title">${Utils.sanitize(st.title)}</span>
+                <button class="task-action-btn subtask-remove" title="Remove subtask">&times;</button>
+            </div>
+        `).join('');
 
-            Storage.addTimeBlock({
-                title,
-                startTime: document.getElementById('block-start').value,
-                endTime: document.getElementById('block-end').value,
-                category: document.getElementById('block-category').value,
-                date: Utils.getTodayStr()
+        container.querySelectorAll('.subtask-item').forEach(item => {
+            const index = parseInt(item.dataset.index);
+            item.querySelector('.task-checkbox').addEventListener('click', () => {
+                subtasks[index].completed = !subtasks[index].completed;
+                this.renderPanelSubtasks();
             });
+            item.querySelector('.subtask-remove').addEventListener('click', () => {
+                subtasks.splice(index, 1);
+                this.renderPanelSubtasks();
+            });
+        });
 
-            Utils.hideModal('generic-modal');
-            this.renderTimeBlocks(Utils.getTodayStr());
-            Utils.showToast('Time block added!', 'success');
-        };
+        const progress = Storage.getSubtaskProgress({ subtasks });
+        document.getElementById('panel-subtask-progress').textContent = progress.total > 0
+            ? `${progress.done}/${progress.total} · ${progress.percent}%`
+            : '';
+        document.getElementById('panel-subtask-fill').style.width = `${progress.percent}%`;
     },
 
-    // ============================================
-    // FOCUS MODE
-    // ============================================
+    renderPanelFocusHistory(taskId) {
+        const sessions = Storage.getWorkSessions().filter(s => s.taskId === taskId).reverse();
+        const container = document.getElementById('panel-focus-history');
+        const total = sessions.reduce((sum, s) => sum + s.minutes, 0);
 
-    startFocusMode(taskId) {
-        const tasks = Storage.getTasks();
-        const task = tasks.find(t => t.id === taskId);
-        if (!task) return;
+        document.getElementById('panel-focus-total').textContent = total > 0 ? Utils.formatDuration(total) : '';
 
-        const settings = Storage.getSettings();
-        this.focusTaskId = taskId;
-        this.focusTimeRemaining = settings.pomodoroLength * 60;
+        if (sessions.length === 0) {
+            container.innerHTML = '<p class="hint-text">No focus sessions yet</p>';
+            return;
+        }
 
-        document.getElementById('focus-task-name').textContent = task.title;
-        document.getElementById('focus-timer').textContent = Utils.formatTimer(this.focusTimeRemaining);
-        document.getElementById('focus-mode').style.display = 'flex';
+        const { timeZone } = Utils.getDayConfig();
+        const clock = (iso) => {
+            const { hour, minute } = Utils.getZonedParts(new Date(iso), timeZone);
+            return Utils.formatTime(`${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`);
+        };
+
+        container.innerHTML = sessions.map(s => `
+            <div class="focus-history-item ${s.completed ? '' : 'partial'}">
+                <span>${Utils.formatDateShort(Utils.parseDateStr(s.date))}, ${clock(s.startedAt)} - ${clock(s.endedAt)}</span>
+                <span class="focus-history-meta">
+                    ${Utils.formatDuration(s.minutes)}${s.interruptions > 0 ? ` · ${s.interruptions} interruption${s.interruptions === 1 ? '' : 's'}` : ''}${s.completed ? '' : ' · stopped early'}
+                </span>
+            </div>
+        `).join('');
+    },
+
+    setNotesMode(mode) {
+        const textarea = document.getElementById('panel-notes');
+        const preview = document.getElementById('panel-notes-preview');
+
+        document.querySelectorAll('.notes-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.mode === mode);
+        });
 
-        this.startFocusTimer();
+        if (mode === 'preview') {
+            preview.innerHTML = Utils.renderMarkdown(textarea.value) || '<p class="hint-text">Nothing to preview</p>';
+            preview.style.display = 'block';
+            textarea.style.display = 'none';
+        } else {
+            preview.style.display = 'none';
+            textarea.style.display = 'block';
+        }
     },
 
-    startFocusTimer() {
-        const timerDisplay = document.getElementById('focus-timer');
-        const pauseBtn = document.getElementById('focus-pause');
-        let isPaused = false;
+    saveTaskPanel() {
+        const taskId = this.panelTaskId;
+        const task = Storage.getTask(taskId);
+        if (!task) return;
 
-        this.focusTimer = setInterval(() => {
-            if (!isPaused && this.focusTimeRemaining > 0) {
-                this.focusTimeRemaining--;
-                timerDisplay.textContent = Utils.formatTimer(this.focusTimeRemaining);
+        const title = document.getElementById('panel-title').value.trim();
+        const date = document.getElementById('panel-date').value || null;
+        const repeat = document.getElementById('panel-repeat').value;
+        if (!title) {
+            Utils.showToast('Please enter a task title', 'warning');
+            return;
+        }
+        if (!date && repeat !== 'none') {
+            Utils.showToast('Repeating tasks need a scheduled date', 'warning');
+            return;
+        }
 
-                if (this.focusTimeRemaining === 0) {
-                    this.completeFocusSession();
-                }
+        let recurrence;
+        if (repeat === 'none') {
+            recurrence = null;
+        } else if (repeat === 'current' || repeat === 'custom') {
+            recurrence = this.panelDraft.recurrence;
+        } else {
+            recurrence = Recurrence.fromPreset(repeat, date);
+        }
+
+        const values = {
+            title,
+            priority: document.getElementById('panel-priority').value,
+            category: document.getElementById('panel-category').value,
+            date,
+            duration: parseInt(document.getElementById('panel-duration').value) || 30,
+            deadline: document.getElementById('panel-deadline').value || null,
+            tags: [...new Set(document.getElementById('panel-tags').value
+                .split(',')
+                .map(tag => tag.trim().replace(/^#/, ''))
+                .filter(tag => tag))],
+            notes: document.getElementById('panel-notes').value,
+            subtasks: this.panelDraft.subtasks,
+            goalId: document.getElementById('panel-goal').value || null,
+            recurrence
+        };
+
+        // Only send what changed so recurring edits don't rewrite untouched fields
+        const current = {
+            ...task,
+            deadline: task.deadline || null,
+            tags: task.tags || [],
+            notes: task.notes || '',
+            subtasks: task.subtasks || [],
+            goalId: task.goalId || null,
+            recurrence: task.recurrence || null
+        };
+        const updates = {};
+        Object.keys(values).forEach(key => {
+            if (JSON.stringify(values[key]) !== JSON.stringify(current[key])) {
+                updates[key] = values[key];
             }
-        }, 1000);
+        });
 
-        pauseBtn.onclick = () => {
-            isPaused = !isPaused;
-            pauseBtn.innerHTML = isPaused 
-                ? '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>'
-                : '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>';
+        const apply = (scope) => {
+            Storage.updateTask(taskId, updates, scope);
+            this.closeTaskPanel();
+            this.refreshCurrentView();
+            Utils.showToast('Task updated', 'success');
         };
 
-        document.getElementById('focus-stop').onclick = () => this.stopFocusMode();
-        document.getElementById('focus-exit').onclick = () => this.stopFocusMode();
+        if (Object.keys(updates).length === 0) {
+            this.closeTaskPanel();
+        } else if (Storage.parseOccurrenceId(taskId)) {
+            // A new repeat rule can't apply to a single occurrence
+            this.showRecurrenceScopeModal('Save', apply, { allowThis: !('recurrence' in updates) });
+        } else {
+            apply();
+        }
     },
 
-    completeFocusSession() {
-        this.stopFocusMode();
-        Utils.showToast('Focus session complete! Take a break. 🎉', 'success');
-        
-        // Mark task as completed
-        if (this.focusTaskId) {
-            Storage.updateTask(this.focusTaskId, { completed: true });
-            this.renderDailyView();
+    // ============================================
+    // ROLLOVER
+    // ============================================
+
+    checkRollover() {
+        const today = Utils.getTodayStr();
+        const overdue = Storage.getOverdueTasks(today);
+        if (overdue.length === 0) return;
+
+        const { rolloverPolicy, rolloverPromptDate } = Storage.getSettings();
+        if (rolloverPolicy === 'auto') {
+            const moved = Storage.rolloverTasks(overdue.map(t => t.id), today);
+            this.refreshCurrentView();
+            Utils.showToast(`Rolled ${moved} unfinished task${moved === 1 ? '' : 's'} over to today`, 'info');
+        } else if (rolloverPolicy === 'prompt' && rolloverPromptDate !== today) {
+            this.showRolloverPrompt(overdue);
         }
     },
 
-    stopFocusMode() {
-        if (this.focusTimer) {
-            clearInterval(this.focusTimer);
-            this.focusTimer = null;
-        }
-        document.getElementById('focus-mode').style.display = 'none';
-        this.focusTaskId = null;
+    showRolloverPrompt(tasks) {
+        const today = Utils.getTodayStr();
+
+        // Ask once a day, even if the prompt is dismissed
+        Storage.setSettings({ rolloverPromptDate: today });
+
+        this.openModal('Unfinished Tasks', `
+            <p class="hint-text">These tasks from earlier days weren't finished. Choose which to carry over to today.</p>
+            <div class="rollover-list">
+                ${tasks.map(t => `
+                    <label class="rollover-item">
+                        <input type="checkbox" value="${t.id}" checked>
+                        <span class="rollover-title">${Utils.sanitize(t.title)}</span>
+                        <span class="rollover-meta">
+                            ${Utils.formatDateShort(Utils.parseDateStr(t.date))}${t.deferCount ? ` · deferred ${t.deferCount}×` : ''}
+                        </span>
+                    </label>
+                `).join('')}
+            </div>
+        `, () => {
+            const ids = [...document.querySelectorAll('.rollover-item input:checked')].map(input => input.value);
+            const moved = Storage.rolloverTasks(ids, today);
+
+            Utils.hideModal('generic-modal');
+            this.refreshCurrentView();
+            if (moved > 0) {
+                Utils.showToast(`Moved ${moved} task${moved === 1 ? '' : 's'} to today`, 'success');
+            }
+            this.checkPlanReview();
+        }, 'Move to Today');
     },
 
     // ============================================
-    // SHUTDOWN RITUAL
+    // PLAN REVIEW
     // ============================================
 
-    startShutdownRitual() {
-        const modal = document.getElementById('shutdown-modal');
-        const steps = modal.querySelectorAll('.shutdown-step');
-        const backBtn = document.getElementById('shutdown-back');
-        const nextBtn = document.getElementById('shutdown-next');
-        
-        let currentStep = 1;
+    getPlanReviewItems() {
         const today = Utils.getTodayStr();
+        return {
+            goals: Goals.getUnfinishedMonthly(Storage.getGoals(), Goals.getMonthKey(today)),
+            objectives: Storage.getUnfinishedObjectives(Utils.formatDateStr(Utils.getWeekStart(Utils.getToday())))
+        };
+    },
 
-        // Populate completed tasks
-        const tasks = Storage.getTasksForDate(today);
-        const completed = tasks.filter(t => t.completed);
-        const incomplete = tasks.filter(t => !t.completed);
+    checkPlanReview() {
+        const today = Utils.getTodayStr();
+        const { goals, objectives } = this.getPlanReviewItems();
+        if (goals.length === 0 && objectives.length === 0) return;
 
-        document.getElementById('completed-tasks-review').innerHTML = completed.length > 0
-            ? completed.map(t => `<div class="task-item completed"><span>✓</span> ${Utils.sanitize(t.title)}</div>`).join('')
-            : '<p class="hint-text">No tasks completed yet</p>';
+        // The rollover prompt goes first; its Move button brings us back here
+        if (document.getElementById('generic-modal').style.display === 'flex') return;
+        if (Storage.getSettings().planReviewPromptDate !== today) this.showPlanReview();
+    },
 
-        document.getElementById('incomplete-tasks-review').innerHTML = incomplete.length > 0
-            ? incomplete.map(t => `
-                <div class="task-item" data-id="${t.id}">
-                    <span>${Utils.sanitize(t.title)}</span>
-                    <button class="btn btn-small move-tomorrow" data-id="${t.id}">Move to Tomorrow</button>
+    showPlanReview() {
+        const today = Utils.getTodayStr();
+        const { goals, objectives } = this.getPlanReviewItems();
+        if (goals.length === 0 && objectives.length === 0) {
+            Utils.showToast('Nothing left to review', 'info');
+            return;
+        }
+
+        // Ask once a day, even if the review is dismissed
+        Storage.setSettings({ planReviewPromptDate: today });
+
+        const month = Goals.getMonthKey(today);
+        const [year, monthNum] = month.split('-').map(Number);
+        const nextMonth = Goals.getMonthKey(Utils.formatDateStr(new Date(year, monthNum, 1)));
+        const thisWeek = Utils.formatDateStr(Utils.getWeekStart(Utils.getToday()));
+        const nextWeek = Recurrence.addDays(thisWeek, 7);
+
+        const row = (item, kind, when, rescheduleInput) => `
+            <div class="review-item" data-id="${item.id}" data-kind="${kind}">
+                <div class="review-item-info">
+                    <span class="rollover-title">${Utils.sanitize(item.title)}</span>
+                    <span class="rollover-meta">${when}${item.carriedFrom ? ' · carried over already' : ''}</span>
                 </div>
-            `).join('')
-            : '<p class="hint-text">All tasks completed! 🎉</p>';
+                <select class="form-input review-action">
+                    <option value="carry">Carry over</option>
+                    <option value="reschedule">Reschedule</option>
+                    <option value="done">${kind === 'goal' ? 'Mark achieved' : 'Mark done'}</option>
+                    <option value="drop">Drop</option>
+                </select>
+                ${rescheduleInput}
+            </div>
+        `;
 
-        const updateStep = () => {
-            steps.forEach((step, i) => {
-                step.classList.toggle('active', i === currentStep - 1);
+        this.openModal('Plan Review', `
+            <p class="hint-text">A new ${goals.length > 0 ? 'month' : 'week'} has started. Decide what happens to what you didn't finish.</p>
+            ${goals.length > 0 ? `
+                <h3 class="goal-detail-heading review-heading">Monthly Goals</h3>
+                <div class="rollover-list">
+                    ${goals.map(goal => row(goal, 'goal',
+                        Utils.formatMonthYear(Utils.parseDateStr(`${goal.month}-01`)),
+                        `<input type="month" class="form-input review-when" value="${nextMonth}" min="${nextMonth}" style="display: none;">`
+                    )).join('')}
+                </div>
+            ` : ''}
+            ${objectives.length > 0 ? `
+                <h3 class="goal-detail-heading review-heading">Weekly Objectives</h3>
+                <div class="rollover-list">
+                    ${objectives.map(objective => row(objective, 'objective',
+                        `Week of ${Utils.formatDateShort(Utils.parseDateStr(objective.weekStart))}`,
+                        `<input type="date" class="form-input review-when" value="${nextWeek}" min="${nextWeek}" title="Any day in the week to move it to" style="display: none;">`
+                    )).join('')}
+                </div>
+            ` : ''}
+        `, () => {
+            const counts = { carry: 0, reschedule: 0, done: 0, drop: 0 };
+
+            document.querySelectorAll('#modal-body .review-item').forEach(item => {
+                const action = item.querySelector('.review-action').value;
+                const when = item.querySelector('.review-when').value;
+                const id = item.dataset.id;
+
+                if (item.dataset.kind === 'goal') {
+                    if (action === 'carry') Storage.moveGoalToMonth(id, month);
+                    else if (action === 'reschedule') Storage.moveGoalToMonth(id, when && when > month ? when : nextMonth);
+                    else Storage.setGoalStatus(id, action === 'done' ? 'achieved' : 'abandoned');
+                } else {
+                    const week = when ? Utils.formatDateStr(Utils.getWeekStart(Utils.parseDateStr(when))) : nextWeek;
+                    if (action === 'carry') Storage.moveWeeklyObjective(id, thisWeek);
+                    else if (action === 'reschedule') Storage.moveWeeklyObjective(id, week > thisWeek ? week : nextWeek);
+                    else if (action === 'done') Storage.updateWeeklyObjective(id, { completed: true });
+                    else Storage.dropWeeklyObjective(id);
+                }
+                counts[action]++;
             });
-            backBtn.style.visibility = currentStep === 1 ? 'hidden' : 'visible';
-            nextBtn.textContent = currentStep === 4 ? 'Close Day' : 'Continue';
-        };
-
-        Utils.showModal('shutdown-modal');
-        updateStep();
 
-        // Move to tomorrow buttons
-        modal.querySelectorAll('.move-tomorrow').forEach(btn => {
-            btn.addEventListener('click', () => {
-                const taskId = btn.dataset.id;
-                const tomorrow = new Date();
-                tomorrow.setDate(tomorrow.getDate() + 1);
-                Storage.moveTask(taskId, Utils.formatDateStr(tomorrow));
-                btn.closest('.task-item').remove();
-                Utils.showToast('Task moved to tomorrow', 'info');
+            Utils.hideModal('generic-modal');
+            this.refreshCurrentView();
+            this.renderGoalLists();
+
+            const summary = [
+                counts.carry && `${counts.carry} carried over`,
+                counts.reschedule && `${counts.reschedule} rescheduled`,
+                counts.done && `${counts.done} marked done`,
+                counts.drop && `${counts.drop} dropped`
+            ].filter(Boolean).join(', ');
+            Utils.showToast(`Review saved: ${summary}`, 'success');
+        }, 'Apply');
+
+        document.querySelectorAll('#modal-body .review-item').forEach(item => {
+            const action = item.querySelector('.review-action');
+            action.addEventListener('change', () => {
+                item.querySelector('.review-when').style.display = action.value === 'reschedule' ? '' : 'none';
             });
         });
+    },
 
-        nextBtn.onclick = () => {
-            if (currentStep === 1) {
-                // Save wins
-                const wins = document.getElementById('shutdown-wins').value;
-                Storage.setDailyData(today, { wins });
-            } else if (currentStep === 3) {
-                // Save tomorrow's highlight
-                const highlight = document.getElementById('tomorrow-highlight').value;
-                const tomorrow = new Date();
-                tomorrow.setDate(tomorrow.getDate() + 1);
-                if (highlight) {
-                    Storage.setDailyData(Utils.formatDateStr(tomorrow), { highlight });
-                }
-                
-                // Update summary
-                document.getElementById('shutdown-completed').textContent = completed.length;
-                const focusTime = completed.reduce((sum, t) => sum + (t.duration || 30), 0);
-                document.getElementById('shutdown-focus').textContent = Utils.formatDuration(focusTime);
-            }
-
-            if (currentStep < 4) {
-                currentStep++;
-                updateStep();
-            } else {
-                Utils.hideModal('shutdown-modal');
-                Utils.showToast('Day closed. Rest well! 🌙', 'success');
-            }
-        };
-
-        backBtn.onclick = () => {
-            if (currentStep > 1) {
-                currentStep--;
-                updateStep();
-            }
-        };
+    updatePlanReviewButtons() {
+        const { goals, objectives } = this.getPlanReviewItems();
+        [['review-month-btn', goals], ['review-week-btn', objectives]].forEach(([id, items]) => {
+            const btn = document.getElementById(id);
+            btn.style.display = items.length > 0 ? '' : 'none';
+            btn.textContent = `Review ${items.length} unfinished`;
+        });
     },
 
     // ============================================
-    // WEEKLY VIEW
+    // INBOX
     // ============================================
 
-    initWeeklyView() {
-        document.getElementById('prev-week').addEventListener('click', () => {
-            this.currentWeek.setDate(this.currentWeek.getDate() - 7);
-            this.renderWeeklyView();
+    initInboxView() {
+        const input = document.getElementById('inbox-capture-input');
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter' && this.captureToInbox(input.value)) {
+                input.value = '';
+                this.renderInboxView();
+            }
         });
+    },
 
-        document.getElementById('next-week').addEventListener('click', () => {
-            this.currentWeek.setDate(this.currentWeek.getDate() + 7);
-            this.renderWeeklyView();
-        });
+    renderInboxView() {
+        const container = document.getElementById('inbox-container');
+        const tasks = Storage.getInboxTasks();
 
-        document.getElementById('add-objective-btn').addEventListener('click', () => {
-            this.showAddObjectiveModal();
-        });
+        if (tasks.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>Your inbox is empty</p>
+                    <p class="hint-text">Capture ideas here and schedule them when you're ready</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Open items first, newest first within each group
+        tasks.sort((a, b) => (a.completed === b.completed ? 0 : a.completed ? 1 : -1));
+
+        container.innerHTML = tasks.map(task => this.createTaskHTML(task)).join('');
+        this.bindTaskItems(container);
     },
 
-    renderWeeklyView() {
-        // Update week display
-        document.getElementById('week-display').textContent = Utils.formatWeekRange(this.currentWeek);
+    captureToInbox(title) {
+        title = title.trim();
+        if (!title) {
+            Utils.showToast('Please enter a task title', 'warning');
+            return false;
+        }
 
-        // Render week grid
-        const weekDates = Utils.getWeekDates(this.currentWeek);
-        const weekGrid = document.getElementById('week-grid');
+        Storage.addTask({
+            title,
+            priority: 'medium',
+            category: 'personal',
+            duration: 30,
+            date: null
+        });
 
-        weekGrid.innerHTML = weekDates.map(date => {
-            const dateStr = Utils.formatDateStr(date);
-            const tasks = Storage.getTasksForDate(dateStr);
-            const isToday = Utils.isToday(date);
+        this.updateInboxCount();
+        Utils.showToast('Captured to Inbox', 'success');
+        return true;
+    },
 
-            return `
-                <div class="day-column ${isToday ? 'today' : ''}">
-                    <div class="day-header">
-                        <div class="day-name">${Utils.getDayName(date)}</div>
-                        <div class="day-date">${date.getDate()}</div>
-                    </div>
-                    <div class="day-tasks">
-                        ${tasks.map(t => `
-                            <div class="day-task ${t.completed ? 'completed' : ''}">${Utils.sanitize(t.title)}</div>
-                        `).join('')}
-                    </div>
-                </div>
-            `;
-        }).join('');
+    showQuickCapture() {
+        this.openModal('Quick Capture', `
+            <div class="form-group">
+                <label>What's on your mind?</label>
+                <input type="text" id="quick-capture-title" class="form-input" placeholder="e.g., Research standing desks">
+                <span class="hint-text">Saved to your Inbox without a date</span>
+            </div>
+        `, () => {
+            if (this.captureToInbox(document.getElementById('quick-capture-title').value)) {
+                Utils.hideModal('generic-modal');
+                this.refreshCurrentView();
+            }
+        }, 'Capture');
 
-        // Render objectives
-        this.renderWeeklyObjectives();
+        const input = document.getElementById('quick-capture-title');
+        input.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                document.getElementById('modal-save').click();
+            }
+        });
+        input.focus();
+    },
 
-        // Update stats
-        this.updateWeeklyStats();
+    updateInboxCount() {
+        const count = Storage.getInboxTasks().filter(t => !t.completed).length;
+        const badge = document.getElementById('inbox-count');
+        badge.textContent = count;
+        badge.style.display = count > 0 ? 'inline-flex' : 'none';
     },
 
-    renderWeeklyObjectives() {
-        const weekStart = Utils.formatDateStr(this.currentWeek);
-        const objectives = Storage.getWeeklyObjectives(weekStart);
-        const container = document.getElementById('weekly-objectives-list');
+    renderInboxTray(containerId) {
+        const container = document.getElementById(containerId);
+        const tasks = Storage.getInboxTasks().filter(t => !t.completed);
 
-        if (objectives.length === 0) {
-            container.innerHTML = '<p class="hint-text">No objectives set for this week</p>';
+        if (tasks.length === 0) {
+            container.innerHTML = '<p class="hint-text">Nothing waiting in your inbox</p>';
             return;
         }
 
-        container.innerHTML = objectives.map(obj => `
-            <div class="objective-item" data-id="${obj.id}">
-                <div class="objective-checkbox ${obj.completed ? 'checked' : ''}"></div>
-                <span class="objective-text">${Utils.sanitize(obj.title)}</span>
+        container.innerHTML = tasks.map(task => `
+            <div class="inbox-chip" draggable="true" data-id="${task.id}" title="Drag to a day to schedule">
+                <span class="task-priority ${task.priority}"></span>
+                ${Utils.getCategoryIcon(task.category)} ${Utils.sanitize(task.title)}
             </div>
         `).join('');
 
-        container.querySelectorAll('.objective-checkbox').forEach(checkbox => {
-            checkbox.addEventListener('click', () => {
-                const objId = checkbox.closest('.objective-item').dataset.id;
-                Storage.toggleWeeklyObjective(objId);
-                this.renderWeeklyObjectives();
+        container.querySelectorAll('.inbox-chip').forEach(chip => {
+            chip.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData(this.TASK_DRAG_TYPE, chip.dataset.id);
+                e.dataTransfer.effectAllowed = 'move';
+                chip.classList.add('dragging');
             });
+            chip.addEventListener('dragend', () => chip.classList.remove('dragging'));
+            chip.addEventListener('click', () => this.openTaskPanel(chip.dataset.id));
         });
     },
 
-    showAddObjectiveModal() {
-        const modal = document.getElementById('generic-modal');
-        document.getElementById('modal-title').textContent = 'Add Weekly Objective';
-        
-        document.getElementById('modal-body').innerHTML = `
-            <div class="form-group">
-                <label>What do you want to accomplish this week?</label>
-                <input type="text" id="objective-title" class="form-input" placeholder="e.g., Complete project proposal">
-            </div>
-        `;
-
-        Utils.showModal('generic-modal');
-
-        document.getElementById('modal-save').onclick = () => {
-            const title = document.getElementById('objective-title').value.trim();
-            if (!title) {
-                Utils.showToast('Please enter an objective', 'warning');
-                return;
-            }
+    setupScheduleDropTargets(elements) {
+        elements.forEach(el => {
+            el.addEventListener('dragover', (e) => {
+                if (!e.dataTransfer.types.includes(this.TASK_DRAG_TYPE)) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                el.classList.add('drop-target');
+            });
 
-            Storage.addWeeklyObjective({
-                title,
-                weekStart: Utils.formatDateStr(this.currentWeek)
+            el.addEventListener('dragleave', (e) => {
+                if (!el.contains(e.relatedTarget)) {
+                    el.classList.remove('drop-target');
+                }
             });
 
-            Utils.hideModal('generic-modal');
-            this.renderWeeklyObjectives();
-            Utils.showToast('Objective added!', 'success');
-        };
+            el.addEventListener('drop', (e) => {
+                const taskId = e.dataTransfer.getData(this.TASK_DRAG_TYPE);
+                el.classList.remove('drop-target');
+                if (!taskId) return;
+                e.preventDefault();
+                this.scheduleTask(taskId, el.dataset.date);
+            });
+        });
     },
 
-    updateWeeklyStats() {
-        const weekDates = Utils.getWeekDates(this.currentWeek);
-        const startDate = Utils.formatDateStr(weekDates[0]);
-        const endDate = Utils.formatDateStr(weekDates[6]);
-
-        const stats = Storage.getProductivityStats(startDate, endDate);
-
-        document.getElementById('weekly-tasks-completed').textContent = stats.completedTasks;
-        document.getElementById('weekly-focus-hours').textContent = `${stats.focusHours}h`;
-        document.getElementById('weekly-habit-rate').textContent = `${stats.habitCompletionRate}%`;
+    scheduleTask(taskId, dateStr) {
+        Storage.moveTask(taskId, dateStr);
+        this.refreshCurrentView();
+        Utils.showToast(`Scheduled for ${Utils.formatDateShort(Utils.parseDateStr(dateStr))}`, 'success');
     },
 
     // ============================================
-    // MONTHLY VIEW
+    // RECURRING TASKS
     // ============================================
 
-    initMonthlyView() {
-        document.getElementById('prev-month').addEventListener('click', () => {
-            this.currentMonth.setMonth(this.currentMonth.getMonth() - 1);
-            this.renderMonthlyView();
-        });
+    updateRepeatOptions(dateStr) {
+        const select = document.getElementById('new-task-repeat');
+        const weekday = Recurrence.WEEKDAY_NAMES[Recurrence.parse(dateStr).getUTCDay()];
 
-        document.getElementById('next-month').addEventListener('click', () => {
-            this.currentMonth.setMonth(this.currentMonth.getMonth() + 1);
-            this.renderMonthlyView();
-        });
+        select.querySelector('[value="weekly"]').textContent = `Weekly on ${weekday}`;
+        select.querySelector('[value="monthly"]').textContent = Recurrence.describe(Recurrence.fromPreset('monthly', dateStr));
+        select.querySelector('[value="yearly"]').textContent = `Yearly on ${Utils.formatDateShort(Utils.parseDateStr(dateStr))}`;
+        select.querySelector('[value="custom"]').textContent = this.newTaskRecurrence
+            ? Recurrence.describe(this.newTaskRecurrence)
+            : 'Custom…';
 
-        document.getElementById('add-monthly-goal-btn').addEventListener('click', () => {
-            this.showAddGoalModal('monthly');
-        });
+        if (select.value === 'custom' && !this.newTaskRecurrence) {
+            select.value = 'none';
+        }
     },
 
-    renderMonthlyView() {
-        // Update month display
-        document.getElementById('month-display').textContent = Utils.formatMonthYear(this.currentMonth);
+    resetRepeatSelect() {
+        this.newTaskRecurrence = null;
+        document.getElementById('new-task-repeat').value = 'none';
+        document.getElementById('new-task-repeat').dataset.previous = 'none';
+        document.getElementById('new-task-repeat').querySelector('[value="custom"]').textContent = 'Custom…';
+    },
 
-        // Render calendar
-        const year = this.currentMonth.getFullYear();
-        const month = this.currentMonth.getMonth();
-        const days = Utils.getCalendarDays(year, month);
+    showRecurrenceModal(startStr, rule, onSave) {
+        const current = rule || Recurrence.fromPreset('weekly', startStr);
+        const startWeekday = Recurrence.parse(startStr).getUTCDay();
+        const nthWeekday = Recurrence.getNthWeekday(startStr);
+        const weekdays = current.byWeekday || [startWeekday];
+        // Monday-first, matching the week grid
+        const dayOrder = [1, 2, 3, 4, 5, 6, 0];
 
-        const calendarGrid = document.getElementById('calendar-grid');
-        calendarGrid.innerHTML = `
-            <div class="calendar-header">
-                <div class="calendar-weekday">Mon</div>
-                <div class="calendar-weekday">Tue</div>
-                <div class="calendar-weekday">Wed</div>
-                <div class="calendar-weekday">Thu</div>
-                <div class="calendar-weekday">Fri</div>
-                <div class="calendar-weekday">Sat</div>
-                <div class="calendar-weekday">Sun</div>
+        this.openModal('Custom Repeat', `
+            <div class="form-group">
+                <label>Repeat every</label>
+                <div class="repeat-interval">
+                    <input type="number" id="repeat-interval" class="form-input" min="1" value="${current.interval || 1}">
+                    <select id="repeat-freq" class="form-input">
+                        <option value="daily" ${current.freq === 'daily' ? 'selected' : ''}>day(s)</option>
+                        <option value="weekly" ${current.freq === 'weekly' ? 'selected' : ''}>week(s)</option>
+                        <option value="monthly" ${current.freq === 'monthly' ? 'selected' : ''}>month(s)</option>
+                        <option value="yearly" ${current.freq === 'yearly' ? 'selected' : ''}>year(s)</option>
+                    </select>
+                </div>
             </div>
-            <div class="calendar-days">
-                ${days.map(day => {
-                    const tasks = Storage.getTasksForDate(day.dateStr);
-                    const hasData = tasks.length > 0;
-                    return `
-                        <div class="calendar-day ${day.isOtherMonth ? 'other-month' : ''} ${day.isToday ? 'today' : ''}" data-date="${day.dateStr}">
-                            <span class="day-number">${day.dayNum}</span>
-                            ${hasData ? '<div class="day-indicators"><span class="day-indicator"></span></div>' : ''}
-                        </div>
-                    `;
-                }).join('')}
+            <div class="form-group" id="repeat-weekdays-group">
+                <label>On</label>
+                <div class="repeat-weekdays">
+                    ${dayOrder.map(d => `
+                        <button type="button" class="weekday-toggle ${weekdays.includes(d) ? 'active' : ''}" data-day="${d}">
+                            ${Recurrence.WEEKDAY_NAMES[d].charAt(0)}
+                        </button>
+                    `).join('')}
+                </div>
             </div>
-        `;
+            <div class="form-group" id="repeat-monthly-group">
+                <label>On</label>
+                <select id="repeat-monthly-mode" class="form-input">
+                    <option value="day" ${current.freq === 'monthly' && !current.monthlyWeekday ? 'selected' : ''}>Day ${Recurrence.parse(startStr).getUTCDate()}</option>
+                    <option value="weekday" ${current.freq !== 'monthly' || current.monthlyWeekday ? 'selected' : ''}>
+                        The ${Recurrence.ORDINALS[nthWeekday.nth]} ${Recurrence.WEEKDAY_NAMES[nthWeekday.weekday]}
+                    </option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Ends</label>
+                <input type="date" id="repeat-until" class="form-input" value="${current.until || ''}" min="${startStr}">
+                <span class="hint-text">Leave empty to repeat forever</span>
+            </div>
+        `, () => {
+            const freq = document.getElementById('repeat-freq').value;
+            const newRule = {
+                freq,
+                interval: Math.max(1, parseInt(document.getElementById('repeat-interval').value) || 1),
+                until: document.getElementById('repeat-until').value || null
+            };
+
+            if (freq === 'weekly') {
+                const days = [...document.querySelectorAll('.weekday-toggle.active')].map(b => parseInt(b.dataset.day));
+                if (days.length === 0) {
+                    Utils.showToast('Pick at least one day', 'warning');
+                    return;
+                }
+                newRule.byWeekday = days.sort();
+            } else if (freq === 'monthly' && document.getElementById('repeat-monthly-mode').value === 'weekday') {
+                newRule.monthlyWeekday = nthWeekday;
+            }
 
-        // Click to navigate to day
-        calendarGrid.querySelectorAll('.calendar-day').forEach(dayEl => {
-            dayEl.addEventListener('click', () => {
-                const dateStr = dayEl.dataset.date;
-                this.currentDate = new Date(dateStr);
-                this.switchView('daily');
-            });
+            Utils.hideModal('generic-modal');
+            onSave(newRule);
         });
 
-        // Render monthly goals
-        this.renderMonthlyGoals();
+        const freqSelect = document.getElementById('repeat-freq');
+        const updateGroups = () => {
+            document.getElementById('repeat-weekdays-group').style.display = freqSelect.value === 'weekly' ? 'block' : 'none';
+            document.getElementById('repeat-monthly-group').style.display = freqSelect.value === 'monthly' ? 'block' : 'none';
+        };
+        freqSelect.addEventListener('change', updateGroups);
+        updateGroups();
 
-        // Update summary
-        this.updateMonthlySummary(year, month);
+        document.querySelectorAll('.weekday-toggle').forEach(btn => {
+            btn.addEventListener('click', () => btn.classList.toggle('active'));
+        });
     },
 
-    renderMonthlyGoals() {
-        const goals = Storage.getGoals();
-        const container = document.getElementById('monthly-goals-list');
-
-        if (goals.monthly.length === 0) {
-            container.innerHTML = '<p class="hint-text">No monthly goals set</p>';
-            return;
-        }
-
-        container.innerHTML = goals.monthly.map(goal => `
-            <div class="goal-item">
-                <span>${Utils.sanitize(goal.title)}</span>
-                <div class="progress-bar"><div class="progress-fill" style="width: ${goal.progress}%"></div></div>
+    showRecurrenceScopeModal(actionLabel, onSelect, { allowThis = true } = {}) {
+        this.openModal('Repeating Task', `
+            <p>This task repeats. Apply to:</p>
+            <div class="scope-options">
+                ${allowThis ? `
+                    <label class="scope-option">
+                        <input type="radio" name="recurrence-scope" value="this" checked>
+                        This occurrence
+                    </label>
+                ` : ''}
+                <label class="scope-option">
+                    <input type="radio" name="recurrence-scope" value="future" ${allowThis ? '' : 'checked'}>
+                    This and following occurrences
+                </label>
+                <label class="scope-option">
+                    <input type="radio" name="recurrence-scope" value="all">
+                    All occurrences
+                </label>
             </div>
-        `).join('');
+        `, () => {
+            const scope = document.querySelector('input[name="recurrence-scope"]:checked').value;
+            Utils.hideModal('generic-modal');
+            onSelect(scope);
+        }, actionLabel);
     },
 
-    updateMonthlySummary(year, month) {
-        const startDate = `${year}-${(month + 1).toString().padStart(2, '0')}-01`;
-        const endDate = `${year}-${(month + 1).toString().padStart(2, '0')}-${new Date(year, month + 1, 0).getDate()}`;
+    // ============================================
+    // CAPACITY
+    // ============================================
 
-        const stats = Storage.getProductivityStats(startDate, endDate);
+    updateCapacity(dateStr, maxCapacity) {
+        const tasks = Storage.getTasksForDate(dateStr);
+        const plannedMinutes = tasks.reduce((sum, t) => sum + (t.duration || 30), 0);
+        const plannedHours = plannedMinutes / 60;
+        const percent = Utils.calculateCapacityPercent(plannedMinutes, maxCapacity);
 
-        document.getElementById('month-tasks').textContent = stats.completedTasks;
-        document.getElementById('month-events').textContent = Storage.getTimeBlocks(startDate).length;
-        document.getElementById('month-avg-mood').textContent = stats.averageMood || '-';
+        // Update ring
+        const ring = document.getElementById('capacity-ring');
+        const fill = ring.querySelector('.capacity-fill');
+        const text = ring.querySelector('.capacity-text');
+
+        fill.style.strokeDasharray = `${Math.min(percent, 100)}, 100`;
+        text.textContent = `${plannedHours.toFixed(1)}h`;
+
+        // Update status
+        ring.classList.remove('warning', 'danger');
+        const status = Utils.getCapacityStatus(percent);
+        if (status) ring.classList.add(status);
+
+        // Update label
+        document.getElementById('capacity-max').textContent = `of ${maxCapacity}h capacity`;
     },
 
     // ============================================
-    // YEARLY VIEW
+    // TIME BLOCK TIMELINE
     // ============================================
 
-    initYearlyView() {
+    renderTimeBlocks(dateStr) {
+        const container = document.getElementById('schedule-timeline');
+        const blocks = Storage.getTimeBlocks(dateStr);
+        const { start, end } = this.getTimelineRange(blocks);
+        const scale = this.TIMELINE_HOUR_HEIGHT / 60;
+        const layout = this.layoutTimeBlocks(blocks);
+        const conflicts = blocks.filter(b => layout[b.id].conflict).length;
+
+        let hours = '';
+        for (let minutes = start; minutes < end; minutes += 60) {
+            hours += `
+                <div class="timeline-hour" style="top: ${(minutes - start) * scale}px">
+                    <span class="timeline-hour-label">${Utils.formatTime(Utils.minutesToTime(minutes))}</span>
+                </div>
+            `;
+        }
+
+        // Current time marker
+        let nowLine = '';
+        if (dateStr === Utils.getTodayStr()) {
+            const nowMinutes = Utils.getNowMinutes();
+            if (nowMinutes >= start && nowMinutes <= end) {
+                nowLine = `<div class="timeline-now" style="top: ${(nowMinutes - start) * scale}px"></div>`;
+            }
+        }
+
+        container.innerHTML = `
+            ${conflicts > 0 ? `
+                <div class="timeline-warning">⚠ ${conflicts} blocks overlap. Drag or edit one to resolve the conflict.</div>
+            ` : ''}
+            <div class="timeline" style="height: ${(end - start) * scale}px">
+                ${hours}
+                <div class="timeline-track">
+                    ${blocks.length === 0 ? '<div class="timeline-empty hint-text">Click the timeline to add a block</div>' : ''}
+                    ${blocks.map(block => this.createTimeBlockHTML(block, layout[block.id], start, scale)).join('')}
+                    ${nowLine}
+                </div>
+            </div>
+        `;
+
+        this.bindTimeline(container, dateStr, blocks, start, end);
+    },
+
+    getTimelineRange(blocks) {
+        const settings = Storage.getSettings();
+        let start = Utils.timeToMinutes(settings.workStart);
+        let end = Utils.timeToMinutes(settings.workEnd);
+
+        // Stretch to fit blocks outside work hours
+        blocks.forEach(block => {
+            start = Math.min(start, Utils.timeToMinutes(block.startTime));
+            end = Math.max(end, Utils.timeToMinutes(block.endTime));
+        });
+
+        start = Math.floor(start / 60) * 60;
+        end = Math.min(Math.max(Math.ceil(end / 60) * 60, start + 60), 24 * 60);
+        return { start, end };
+    },
+
+    layoutTimeBlocks(blocks) {
+        const layout = {};
+        const range = (b) => [Utils.timeToMinutes(b.startTime), Utils.timeToMinutes(b.endTime)];
+        const sorted = [...blocks].sort((a, b) => range(a)[0] - range(b)[0] || range(b)[1] - range(a)[1]);
+
+        // Blocks that overlap, directly or through each other, share columns
+        let group = [];
+        let groupEnd = -1;
+        let columnEnds = [];
+
+        const closeGroup = () => {
+            group.forEach(id => { layout[id].columns = columnEnds.length; });
+            group = [];
+            columnEnds = [];
+        };
+
+        sorted.forEach(block => {
+            const [start, end] = range(block);
+            if (start >= groupEnd) closeGroup();
+
+            let column = columnEnds.findIndex(columnEnd => columnEnd <= start);
+            if (column === -1) {
+                column = columnEnds.length;
+                columnEnds.push(end);
+            } else {
+                columnEnds[column] = end;
+            }
+
+            layout[block.id] = {
+                column,
+                conflict: blocks.some(other => {
+                    if (other.id === block.id) return false;
+                    const [otherStart, otherEnd] = range(other);
+                    return otherStart < end && start < otherEnd;
+                })
+            };
+            group.push(block.id);
+            groupEnd = Math.max(groupEnd, end);
+        });
+        closeGroup();
+
+        return layout;
+    },
+
+    createTimeBlockHTML(block, slot, rangeStart, scale) {
+        const start = Utils.timeToMinutes(block.startTime);
+        const end = Utils.timeToMinutes(block.endTime);
+        const height = Math.max(end - start, this.TIMELINE_SNAP_MINUTES) * scale;
+        const width = 100 / slot.columns;
+        const task = block.taskId ? Storage.getTask(block.taskId) : null;
+
+        return `
+            <div class="timeline-block ${block.category} ${slot.conflict ? 'conflict' : ''} ${height < 40 ? 'compact' : ''} ${task ? 'linked' : ''} ${task && task.completed ? 'done' : ''}"
+                 data-id="${block.id}"
+                 style="top: ${(start - rangeStart) * scale}px; height: ${height}px; left: ${slot.column * width}%; width: ${width}%;">
+                <div class="block-title">${task ? '<span class="block-link" title="Linked to a task">🔗</span>' : ''}${Utils.sanitize(block.title)}</div>
+                <div class="block-time">${Utils.formatTime(block.startTime)} - ${Utils.formatTime(block.endTime)}</div>
+                <div class="block-actions">
+                    ${task && !task.completed ? '<button class="block-action-btn focus-block" title="Focus on task">▶</button>' : ''}
+                    <button class="block-action-btn edit-block" title="Edit block">✎</button>
+                    <button class="block-action-btn delete-block" title="Delete block">&times;</button>
+                </div>
+                <div class="block-resize-handle" title="Drag to resize"></div>
+            </div>
+        `;
+    },
+
+    bindTimeline(container, dateStr, blocks, rangeStart, rangeEnd) {
+        const track = container.querySelector('.timeline-track');
+        const scale = this.TIMELINE_HOUR_HEIGHT / 60;
+
+        // Click empty space to add a block at that time
+        track.addEventListener('click', (e) => {
+            if (e.target !== track && !e.target.classList.contains('timeline-empty')) return;
+            const offset = (e.clientY - track.getBoundingClientRect().top) / scale;
+            const minutes = Math.floor(offset / this.TIMELINE_SNAP_MINUTES) * this.TIMELINE_SNAP_MINUTES;
+            this.showBlockModal(null, Utils.minutesToTime(rangeStart + minutes));
+        });
+
+        track.querySelectorAll('.timeline-block').forEach(el => {
+            const block = blocks.find(b => b.id === el.dataset.id);
+
+            el.addEventListener('pointerdown', (e) => {
+                if (e.button !== 0 || e.target.closest('.block-action-btn')) return;
+                const mode = e.target.classList.contains('block-resize-handle') ? 'resize' : 'move';
+                this.startBlockDrag(e, el, block, mode, dateStr, rangeStart, rangeEnd);
+            });
+
+            el.querySelector('.edit-block').addEventListener('click', () => {
+                this.showBlockModal(block);
+            });
+
+            el.querySelector('.delete-block').addEventListener('click', () => {
+                this.deleteTimeBlock(block.id);
+            });
+
+            const focusBtn = el.querySelector('.focus-block');
+            if (focusBtn) {
+                focusBtn.addEventListener('click', () => this.startFocusMode(block.taskId));
+            }
+        });
+    },
+
+    startBlockDrag(e, el, block, mode, dateStr, rangeStart, rangeEnd) {
+        e.preventDefault();
+
+        const scale = this.TIMELINE_HOUR_HEIGHT / 60;
+        const snap = (minutes) => Math.round(minutes / this.TIMELINE_SNAP_MINUTES) * this.TIMELINE_SNAP_MINUTES;
+        const originY = e.clientY;
+        const originStart = Utils.timeToMinutes(block.startTime);
+        const originEnd = Utils.timeToMinutes(block.endTime);
+        const length = originEnd - originStart;
+        // Times stop at 23:59, so a block can't end at the 24:00 edge of the timeline
+        const latestEnd = Math.min(rangeEnd, 23 * 60 + 59);
+        let start = originStart;
+        let end = originEnd;
+
+        el.setPointerCapture(e.pointerId);
+        el.classList.add('dragging');
+
+        const onMove = (ev) => {
+            const delta = (ev.clientY - originY) / scale;
+            if (mode === 'move') {
+                start = Math.min(Math.max(snap(originStart + delta), rangeStart), latestEnd - length);
+                end = start + length;
+            } else {
+                end = Math.min(Math.max(snap(originEnd + delta), start + this.TIMELINE_SNAP_MINUTES), latestEnd);
+            }
+
+            el.style.top = `${(start - rangeStart) * scale}px`;
+            el.style.height = `${Math.max(end - start, this.TIMELINE_SNAP_MINUTES) * scale}px`;
+            el.querySelector('.block-time').textContent =
+                `${Utils.formatTime(Utils.minutesToTime(start))} - ${Utils.formatTime(Utils.minutesToTime(end))}`;
+        };
+
+        const onUp = () => {
+            el.removeEventListener('pointermove', onMove);
+            el.removeEventListener('pointerup', onUp);
+            el.removeEventListener('pointercancel', onUp);
+            el.classList.remove('dragging');
+
+            if (start === originStart && end === originEnd) {
+                // A click without movement opens the editor
+                if (mode === 'move') this.showBlockModal(block);
+                return;
+            }
+
+            Storage.updateTimeBlock(block.id, {
+                startTime: Utils.minutesToTime(start),
+                endTime: Utils.minutesToTime(end)
+            });
+            this.renderTimeBlocks(dateStr);
+        };
+
+        el.addEventListener('pointermove', onMove);
+        el.addEventListener('pointerup', onUp);
+        el.addEventListener('pointercancel', onUp);
+    },
+
+    showBlockModal(block = null, startTime = null) {
+        const dateStr = this.getDailyDate();
+        const start = block ? block.startTime : (startTime || Storage.getSettings().workStart);
+        const end = block ? block.endTime : Utils.minutesToTime(Utils.timeToMinutes(start) + 60);
+        const tasks = Storage.getTasksForDate(dateStr)
+            .filter(t => !t.completed || (block && t.id === block.taskId));
+
+        this.openModal(block ? 'Edit Time Block' : 'Add Time Block', `
+            <div class="form-group">
+                <label>Block Title</label>
+                <input type="text" id="block-title" class="form-input" placeholder="e.g., Deep work, Meeting, Lunch">
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Start Time</label>
+                    <input type="time" id="block-start" class="form-input" value="${start}" step="900">
+                </div>
+                <div class="form-group">
+                    <label>End Time</label>
+                    <input type="time" id="block-end" class="form-input" value="${end}" step="900">
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Category</label>
+                <select id="block-category" class="form-input">
+                    <option value="work">💼 Work</option>
+                    <option value="personal">🏠 Personal</option>
+                    <option value="health">💪 Health</option>
+                    <option value="learning">📚 Learning</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label>Task</label>
+                <select id="block-task" class="form-input">
+                    <option value="">No linked task</option>
+                    ${tasks.map(t => `<option value="${t.id}">${Utils.sanitize(t.title)}</option>`).join('')}
+                </select>
+                <p class="hint-text">Focus sessions started from a linked block count toward the task</p>
+            </div>
+            ${block ? '<button type="button" class="btn btn-danger btn-small" id="block-delete">Delete Block</button>' : ''}
+        `, () => {
+            const title = document.getElementById('block-title').value.trim();
+            const startTime = document.getElementById('block-start').value;
+            const endTime = document.getElementById('block-end').value;
+            if (!title) {
+                Utils.showToast('Please enter a title', 'warning');
+                return;
+            }
+            if (!startTime || !endTime || endTime <= startTime) {
+                Utils.showToast('End time must be after start time', 'warning');
+                return;
+            }
+
+            const values = {
+                title,
+                startTime,
+                endTime,
+                category: document.getElementById('block-category').value,
+                taskId: document.getElementById('block-task').value || null
+            };
+
+            const overlapping = Storage.getTimeBlocks(dateStr).filter(b =>
+                (!block || b.id !== block.id) && b.startTime < endTime && startTime < b.endTime
+            );
+
+            if (block) {
+                Storage.updateTimeBlock(block.id, values);
+            } else {
+                Storage.addTimeBlock({ ...values, date: dateStr });
+            }
+
+            Utils.hideModal('generic-modal');
+            this.renderTimeBlocks(dateStr);
+
+            if (overlapping.length > 0) {
+                Utils.showToast(`Overlaps with "${overlapping[0].title}"`, 'warning');
+            } else {
+                Utils.showToast(block ? 'Time block updated' : 'Time block added!', 'success');
+            }
+        }, block ? 'Save' : 'Add Block');
+
+        // Set values through the DOM so titles with quotes survive
+        document.getElementById('block-title').value = block ? block.title : '';
+        document.getElementById('block-category').value = block ? block.category : 'work';
+        document.getElementById('block-task').value = block && tasks.some(t => t.id === block.taskId) ? block.taskId : '';
+        document.getElementById('block-title').focus();
+
+        // Picking a task fills in the block from it
+        document.getElementById('block-task').addEventListener('change', (e) => {
+            const task = tasks.find(t => t.id === e.target.value);
+            if (!task) return;
+            const titleInput = document.getElementById('block-title');
+            if (!titleInput.value.trim()) titleInput.value = task.title;
+            document.getElementById('block-category').value = task.category;
+        });
+
+        if (block) {
+            document.getElementById('block-delete').addEventListener('click', () => {
+                Utils.hideModal('generic-modal');
+                this.deleteTimeBlock(block.id);
+            });
+        }
+    },
+
+    deleteTimeBlock(id) {
+        Storage.deleteTimeBlock(id);
+        this.renderTimeBlocks(this.getDailyDate());
+        Utils.showToast('Time block deleted', 'info');
+    },
+
+    // ============================================
+    // PLAN MY DAY
+    // ============================================
+
+    planDay() {
+        const dateStr = this.getDailyDate();
+        const today = Utils.getTodayStr();
+        const settings = Storage.getSettings();
+        const blocks = Storage.getTimeBlocks(dateStr);
+
+        // Tasks that already have a block keep it
+        const linked = new Set(blocks.map(b => b.taskId).filter(Boolean));
+        const tasks = Storage.getTasksForDate(dateStr).filter(t => !t.completed && !linked.has(t.id));
+
+        if (dateStr < today) {
+            Utils.showToast("Can't plan a day that has already passed", 'warning');
+            return;
+        }
+        if (tasks.length === 0) {
+            Utils.showToast('No unscheduled tasks to plan', 'info');
+            return;
+        }
+
+        let dayStart = Utils.timeToMinutes(settings.workStart);
+        if (dateStr === today) {
+            dayStart = Math.max(dayStart, Utils.getNowMinutes());
+        }
+
+        const plan = Scheduler.planDay(tasks, blocks, {
+            dayStart,
+            dayEnd: Utils.timeToMinutes(settings.workEnd),
+            buffer: settings.scheduleBuffer,
+            lunchStart: Utils.timeToMinutes(settings.lunchStart),
+            lunchDuration: settings.lunchDuration
+        });
+
+        this.showPlanPreview(dateStr, plan, settings);
+    },
+
+    showPlanPreview(dateStr, plan, settings) {
+        const formatRange = (start, end) =>
+            `${Utils.formatTime(Utils.minutesToTime(start))} - ${Utils.formatTime(Utils.minutesToTime(end))}`;
+
+        const notes = [];
+        if (settings.scheduleBuffer > 0) notes.push(`${settings.scheduleBuffer} min buffers`);
+        if (settings.lunchDuration > 0) notes.push(`lunch at ${Utils.formatTime(settings.lunchStart)}`);
+
+        this.openModal('Plan My Day', `
+            <p class="hint-text">
+                Existing blocks stay where they are. Tasks are placed high priority first${notes.length ? `, with ${notes.join(' and ')}` : ''}.
+            </p>
+            ${plan.scheduled.length > 0 ? `
+                <div class="plan-list">
+                    ${plan.scheduled.map(item => `
+                        <div class="plan-item">
+                            <span class="plan-time">${formatRange(item.start, item.end)}</span>
+                            <span class="task-priority ${item.task.priority}"></span>
+                            <span class="plan-title">${Utils.sanitize(item.task.title)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : '<p class="plan-empty">No free time left for these tasks.</p>'}
+            ${plan.unscheduled.length > 0 ? `
+                <h4 class="plan-subheading">Didn't fit (${plan.unscheduled.length})</h4>
+                <div class="plan-list">
+                    ${plan.unscheduled.map(task => `
+                        <div class="plan-item unscheduled">
+                            <span class="plan-time">${Utils.formatDuration(task.duration || 30)}</span>
+                            <span class="task-priority ${task.priority}"></span>
+                            <span class="plan-title">${Utils.sanitize(task.title)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `, () => {
+            plan.scheduled.forEach(item => {
+                Storage.addTimeBlock({
+                    title: item.task.title,
+                    startTime: Utils.minutesToTime(item.start),
+                    endTime: Utils.minutesToTime(item.end),
+                    category: item.task.category,
+                    date: dateStr,
+                    taskId: item.task.id
+                });
+            });
+
+            Utils.hideModal('generic-modal');
+            this.renderTimeBlocks(dateStr);
+            if (plan.scheduled.length > 0) {
+                Utils.showToast(`Scheduled ${plan.scheduled.length} task${plan.scheduled.length === 1 ? '' : 's'}`, 'success');
+            }
+        }, plan.scheduled.length > 0 ? 'Add to Timeline' : 'Close');
+    },
+
+    // ============================================
+    // FOCUS MODE
+    // ============================================
+
+    startFocusMode(taskId) {
+        const task = Storage.getTask(taskId);
+        if (!task) return;
+
+        // Starting on another task ends the current run
+        this.stopFocusMode();
+
+        this.focusState = { ...Pomodoro.createState(taskId), title: task.title, minimized: false };
+        this.bindFocusControls();
+        this.startFocusPhase();
+        this.showFocusOverlay();
+    },
+
+    resumeFocusMode() {
+        const state = Storage.getFocusState();
+        if (!state) return;
+
+        this.focusState = state;
+        this.bindFocusControls();
+
+        // Catch up on a phase that ended while the page was closed
+        if (!state.waiting && !state.pausedAt && Pomodoro.getRemaining(state) === 0) {
+            this.finishFocusPhase(true);
+        } else if (!state.waiting) {
+            this.startFocusTicker();
+        }
+
+        if (state.minimized) {
+            this.minimizeFocusMode();
+        } else {
+            this.showFocusOverlay();
+        }
+    },
+
+    bindFocusControls() {
+        document.getElementById('focus-pause').onclick = () => this.toggleFocusPause();
+        document.getElementById('focus-skip').onclick = () => this.skipFocusPhase();
+        document.getElementById('focus-stop').onclick = () => this.stopFocusMode();
+        document.getElementById('focus-exit').onclick = () => this.stopFocusMode();
+        document.getElementById('focus-minimize').onclick = () => this.minimizeFocusMode();
+        document.getElementById('focus-complete-task').onclick = () => this.completeFocusTask();
+        document.getElementById('focus-distracted').onclick = () => this.showDistractionCapture();
+        document.getElementById('distraction-cancel').onclick = () => this.hideDistractionCapture();
+        document.getElementById('distraction-save').onclick = () => this.saveDistraction();
+        document.getElementById('distraction-note').onkeydown = (e) => {
+            if (e.key === 'Enter') this.saveDistraction();
+        };
+        document.getElementById('mini-timer-open').onclick = () => this.showFocusOverlay();
+        document.getElementById('mini-timer-toggle').onclick = () => this.toggleFocusPause();
+    },
+
+    showFocusOverlay() {
+        this.focusState.minimized = false;
+        this.saveFocusState();
+        document.getElementById('focus-task-name').textContent = this.focusState.title;
+        document.getElementById('focus-mode').style.display = 'flex';
+        document.getElementById('mini-timer').style.display = 'none';
+        this.renderFocusOverlay();
+    },
+
+    minimizeFocusMode() {
+        this.focusState.minimized = true;
+        this.saveFocusState();
+        document.getElementById('focus-mode').style.display = 'none';
+        document.getElementById('mini-timer').style.display = 'flex';
+        this.renderFocusOverlay();
+    },
+
+    saveFocusState() {
+        Storage.setFocusState(this.focusState);
+    },
+
+    startFocusPhase() {
+        const state = this.focusState;
+
+        Object.assign(state, {
+            phaseLength: Pomodoro.getPhaseLength(state.phase, Storage.getSettings()) * 60,
+            phaseStartedAt: Date.now(),
+            pausedAt: null,
+            pausedMs: 0,
+            interruptions: 0,
+            distractions: { internal: 0, external: 0 },
+            waiting: false
+        });
+
+        this.saveFocusState();
+        this.startFocusTicker();
+        this.renderFocusOverlay();
+    },
+
+    startFocusTicker() {
+        // The interval only repaints; time itself comes from the clock
+        if (this.focusTimer) clearInterval(this.focusTimer);
+        this.focusTimer = setInterval(() => this.tickFocusTimer(), 1000);
+    },
+
+    tickFocusTimer() {
+        const state = this.focusState;
+        if (!state || state.waiting) return;
+
+        if (!state.pausedAt && Pomodoro.getRemaining(state) === 0) {
+            this.finishFocusPhase(true);
+            return;
+        }
+        this.renderFocusTime();
+    },
+
+    finishFocusPhase(completed) {
+        const state = this.focusState;
+        const settings = Storage.getSettings();
+        const finished = state.phase;
+
+        clearInterval(this.focusTimer);
+        this.focusTimer = null;
+
+        // A throttled tab may notice late; log the phase as ending on time
+        this.logFocusSession(completed, completed ? Pomodoro.getPhaseEnd(state) : Date.now());
+        Object.assign(state, Pomodoro.advance(state, settings));
+
+        if (completed) {
+            const message = Pomodoro.isBreak(finished)
+                ? 'Break over. Ready to focus?'
+                : `Focus session complete! Time for a ${Pomodoro.PHASES[state.phase].label.toLowerCase()}. 🎉`;
+            Utils.showToast(message, 'success');
+            Sounds.playChime(Pomodoro.isBreak(finished) ? 'breakEnd' : 'focusEnd', settings.chimeVolume);
+
+            // The toast is enough when the user is looking at the page
+            if (settings.notificationsEnabled && !document.hasFocus()) {
+                Utils.showNotification(state.title, message);
+            }
+        }
+
+        if (settings.pomodoroAutoAdvance) {
+            this.startFocusPhase();
+            return;
+        }
+
+        // Wait for the user to start the next phase
+        state.waiting = true;
+        state.phaseLength = Pomodoro.getPhaseLength(state.phase, settings) * 60;
+        this.saveFocusState();
+        this.renderFocusOverlay();
+    },
+
+    toggleFocusPause() {
+        const state = this.focusState;
+        if (!state) return;
+
+        if (state.waiting) {
+            this.startFocusPhase();
+            return;
+        }
+
+        const now = Date.now();
+        if (state.pausedAt) {
+            state.pausedMs += now - state.pausedAt;
+            state.pausedAt = null;
+        } else {
+            state.pausedAt = now;
+            if (state.phase === 'work') state.interruptions++;
+        }
+
+        this.saveFocusState();
+        this.renderFocusOverlay();
+    },
+
+    skipFocusPhase() {
+        const state = this.focusState;
+        if (!state) return;
+
+        if (state.waiting) {
+            // Skip the phase that hasn't started yet
+            const settings = Storage.getSettings();
+            Object.assign(state, Pomodoro.advance(state, settings));
+            state.phaseLength = Pomodoro.getPhaseLength(state.phase, settings) * 60;
+            this.saveFocusState();
+            this.renderFocusOverlay();
+            return;
+        }
+
+        this.finishFocusPhase(false);
+    },
+
+    renderFocusOverlay() {
+        const state = this.focusState;
+        const settings = Storage.getSettings();
+        const cycles = Math.max(1, settings.pomodoroCycles);
+        const label = Pomodoro.PHASES[state.phase].label;
+
+        let phaseText = label;
+        if (state.phase === 'work') {
+            phaseText = `${label} · ${(state.completedWork % cycles) + 1} of ${cycles}`;
+        }
+        document.getElementById('focus-phase').textContent = state.waiting ? `Up next: ${phaseText}` : phaseText;
+        document.getElementById('mini-timer-phase').textContent = state.waiting ? `Next: ${label}` : label;
+        document.getElementById('mini-timer-task').textContent = state.title;
+
+        // One dot per work phase until the long break
+        const distractions = state.distractions || { internal: 0, external: 0 };
+        const distractionTotal = state.waiting ? 0 : distractions.internal + distractions.external;
+        document.getElementById('focus-distraction-count').textContent = distractionTotal > 0
+            ? `${distractionTotal} this session (${distractions.internal} internal, ${distractions.external} external)`
+            : '';
+
+        const filled = state.phase === 'longBreak' ? cycles : state.completedWork % cycles;
+        document.getElementById('focus-cycles').innerHTML = Array.from({ length: cycles }, (_, i) =>
+            `<span class="focus-cycle-dot ${i < filled ? 'done' : ''}"></span>`
+        ).join('');
+
+        const onBreak = Pomodoro.isBreak(state.phase);
+        ['focus-mode', 'mini-timer'].forEach(id => {
+            const el = document.getElementById(id);
+            el.classList.toggle('on-break', onBreak);
+            el.classList.toggle('waiting', state.waiting);
+            el.classList.toggle('paused', !!state.pausedAt);
+        });
+
+        const showPlay = state.pausedAt || state.waiting;
+        const pauseBtn = document.getElementById('focus-pause');
+        pauseBtn.title = state.waiting ? 'Start' : (state.pausedAt ? 'Resume' : 'Pause');
+        pauseBtn.innerHTML = showPlay
+            ? '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polygon points="5 3 19 12 5 21 5 3"></polygon></svg>'
+            : '<svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>';
+
+        const miniToggle = document.getElementById('mini-timer-toggle');
+        miniToggle.title = pauseBtn.title;
+        miniToggle.textContent = showPlay ? '▶' : '❚❚';
+
+        this.renderFocusTime();
+
+        // Every state change repaints here, so keep the background sound in step
+        this.updateFocusSound();
+    },
+
+    updateFocusSound() {
+        const state = this.focusState;
+        if (state && state.phase === 'work' && !state.waiting && !state.pausedAt) {
+            const settings = Storage.getSettings();
+            Sounds.startAmbient(settings.ambientSound, settings.ambientVolume);
+        } else {
+            Sounds.stopAmbient();
+        }
+    },
+
+    renderFocusTime() {
+        const state = this.focusState;
+        const text = Utils.formatTimer(state.waiting ? state.phaseLength : Pomodoro.getRemaining(state));
+        document.getElementById('focus-timer').textContent = text;
+        document.getElementById('mini-timer-time').textContent = text;
+    },
+
+    completeFocusTask() {
+        const taskId = this.focusState && this.focusState.taskId;
+        this.stopFocusMode();
+        if (!taskId) return;
+
+        Storage.updateTask(taskId, { completed: true });
+        this.refreshCurrentView();
+        Utils.showToast('Task completed! 🎉', 'success');
+    },
+
+    stopFocusMode() {
+        if (this.focusTimer) {
+            clearInterval(this.focusTimer);
+            this.focusTimer = null;
+        }
+        document.getElementById('focus-mode').style.display = 'none';
+        document.getElementById('mini-timer').style.display = 'none';
+        this.hideDistractionCapture();
+        Sounds.stopAmbient();
+
+        if (!this.focusState) return;
+        if (!this.focusState.waiting) {
+            this.logFocusSession(false, Date.now());
+        }
+        this.focusState = null;
+        Storage.clearFocusState();
+    },
+
+    logFocusSession(completed, endedAt) {
+        const state = this.focusState;
+
+        // Paused time doesn't count; skip sessions abandoned within a minute
+        const minutes = Math.round(Pomodoro.getElapsed(state, endedAt) / 60);
+        if (minutes === 0) return;
+
+        Storage.addFocusSession({
+            taskId: state.taskId,
+            type: state.phase,
+            date: Utils.toDateKey(state.phaseStartedAt),
+            startedAt: new Date(state.phaseStartedAt).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            minutes,
+            interruptions: state.interruptions,
+            distractions: state.distractions,
+            completed
+        });
+    },
+
+    showDistractionCapture() {
+        if (!this.focusState) return;
+        document.getElementById('distraction-note').value = '';
+        document.getElementById('distraction-to-task').checked = false;
+        document.querySelector('input[name="distraction-kind"][value="internal"]').checked = true;
+        document.getElementById('distraction-capture').style.display = 'flex';
+        document.getElementById('distraction-note').focus();
+    },
+
+    hideDistractionCapture() {
+        document.getElementById('distraction-capture').style.display = 'none';
+    },
+
+    saveDistraction() {
+        const state = this.focusState;
+        const note = document.getElementById('distraction-note').value.trim();
+        const kind = document.querySelector('input[name="distraction-kind"]:checked').value;
+        const toTask = document.getElementById('distraction-to-task').checked;
+
+        if (toTask && !note) {
+            Utils.showToast('Add a note to save it as a task', 'warning');
+            return;
+        }
+
+        // Park the thought in the Inbox so it stops nagging
+        let inboxTaskId = null;
+        if (toTask) {
+            inboxTaskId = Storage.addTask({
+                title: note,
+                priority: 'medium',
+                category: 'personal',
+                duration: 30,
+                date: null
+            }).id;
+            this.updateInboxCount();
+        }
+
+        Storage.addDistraction({
+            kind,
+            note,
+            taskId: state ? state.taskId : null,
+            date: Utils.getTodayStr(),
+            at: new Date().toISOString(),
+            inboxTaskId
+        });
+
+        // Only count against a session that is actually running
+        if (state && state.phase === 'work' && !state.waiting) {
+            if (!state.distractions) state.distractions = { internal: 0, external: 0 };
+            state.distractions[kind]++;
+            this.saveFocusState();
+            this.renderFocusOverlay();
+        }
+
+        this.hideDistractionCapture();
+        Utils.showToast(toTask ? 'Saved to Inbox. Back to it!' : 'Distraction logged. Back to it!', 'info');
+    },
+
+    // ============================================
+    // SHUTDOWN RITUAL
+    // ============================================
+
+    startShutdownRitual() {
+        const modal = document.getElementById('shutdown-modal');
+        const steps = modal.querySelectorAll('.shutdown-step');
+        const backBtn = document.getElementById('shutdown-back');
+        const nextBtn = document.getElementById('shutdown-next');
+        
+        let currentStep = 1;
+        const today = Utils.getTodayStr();
+
+        // Populate completed tasks
+        const tasks = Storage.getTasksForDate(today);
+        const completed = tasks.filter(t => t.completed);
+        const incomplete = tasks.filter(t => !t.completed);
+
+        document.getElementById('completed-tasks-review').innerHTML = completed.length > 0
+            ? completed.map(t => `<div class="task-item completed"><span>✓</span> ${Utils.sanitize(t.title)}</div>`).join('')
+            : '<p class="hint-text">No tasks completed yet</p>';
+
+        document.getElementById('incomplete-tasks-review').innerHTML = incomplete.length > 0
+            ? incomplete.map(t => `
+                <div class="task-item" data-id="${t.id}">
+                    <span>${Utils.sanitize(t.title)}</span>
+                    <button class="btn btn-small move-tomorrow" data-id="${t.id}">Move to Tomorrow</button>
+                </div>
+            `).join('')
+            : '<p class="hint-text">All tasks completed! 🎉</p>';
+
+        const updateStep = () => {
+            steps.forEach((step, i) => {
+                step.classList.toggle('active', i === currentStep - 1);
+            });
+            backBtn.style.visibility = currentStep === 1 ? 'hidden' : 'visible';
+            nextBtn.textContent = currentStep === 4 ? 'Close Day' : 'Continue';
+        };
+
+        Utils.showModal('shutdown-modal');
+        updateStep();
+
+        // Move to tomorrow buttons
+        modal.querySelectorAll('.move-tomorrow').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const taskId = btn.dataset.id;
+                Storage.moveTask(taskId, Recurrence.addDays(today, 1));
+                btn.closest('.task-item').remove();
+                Utils.showToast('Task moved to tomorrow', 'info');
+            });
+        });
+
+        nextBtn.onclick = () => {
+            if (currentStep === 1) {
+                // Save wins
+                const wins = document.getElementById('shutdown-wins').value;
+                Storage.setDailyData(today, { wins });
+            } else if (currentStep === 3) {
+                // Save tomorrow's highlight
+                const highlight = document.getElementById('tomorrow-highlight').value;
+                if (highlight) {
+                    Storage.setDailyData(Recurrence.addDays(today, 1), { highlight });
+                }
+                
+                // Update summary
+                document.getElementById('shutdown-completed').textContent = completed.length;
+                const focusTime = Storage.getTimeTracking(today, today).totals.actual;
+                document.getElementById('shutdown-focus').textContent = Utils.formatDuration(focusTime);
+            }
+
+            if (currentStep < 4) {
+                currentStep++;
+                updateStep();
+            } else {
+                Utils.hideModal('shutdown-modal');
+                Utils.showToast('Day closed. Rest well! 🌙', 'success');
+            }
+        };
+
+        backBtn.onclick = () => {
+            if (currentStep > 1) {
+                currentStep--;
+                updateStep();
+            }
+        };
+    },
+
+    // ============================================
+    // WEEKLY VIEW
+    // ============================================
+
+    initWeeklyView() {
+        document.getElementById('prev-week').addEventListener('click', () => {
+            this.currentWeek.setDate(this.currentWeek.getDate() - 7);
+            this.renderWeeklyView();
+        });
+
+        document.getElementById('next-week').addEventListener('click', () => {
+            this.currentWeek.setDate(this.currentWeek.getDate() + 7);
+            this.renderWeeklyView();
+        });
+
+        document.getElementById('add-objective-btn').addEventListener('click', () => {
+            this.showAddObjectiveModal();
+        });
+
+        document.getElementById('review-week-btn').addEventListener('click', () => this.showPlanReview());
+    },
+
+    renderWeeklyView() {
+        // Update week display
+        document.getElementById('week-display').textContent = Utils.formatWeekRange(this.currentWeek);
+
+        // Render week grid
+        const weekDates = Utils.getWeekDates(this.currentWeek);
+        const weekGrid = document.getElementById('week-grid');
+
+        weekGrid.innerHTML = weekDates.map(date => {
+            const dateStr = Utils.formatDateStr(date);
+            const tasks = Storage.getTasksForDate(dateStr);
+            const isToday = Utils.isToday(date);
+
+            return `
+                <div class="day-column ${isToday ? 'today' : ''}" data-date="${dateStr}">
+                    <div class="day-header">
+                        <div class="day-name">${Utils.getDayName(date)}</div>
+                        <div class="day-date">${date.getDate()}</div>
+                    </div>
+                    <div class="day-tasks">
+                        ${tasks.map(t => `
+                            <div class="day-task ${t.completed ? 'completed' : ''}">${t.recurrence ? '🔁 ' : ''}${Utils.sanitize(t.title)}</div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        // Click a day to open it
+        weekGrid.querySelectorAll('.day-header').forEach(header => {
+            header.addEventListener('click', () => {
+                this.goToDay(header.closest('.day-column').dataset.date);
+            });
+        });
+
+        // Inbox items can be dropped onto a day
+        this.renderInboxTray('weekly-inbox-tray');
+        this.setupScheduleDropTargets(weekGrid.querySelectorAll('.day-column'));
+
+        // Render objectives
+        this.renderWeeklyObjectives();
+
+        // Update stats
+        this.updateWeeklyStats();
+    },
+
+    renderWeeklyObjectives() {
+        const weekStart = Utils.formatDateStr(this.currentWeek);
+        const objectives = Storage.getWeeklyObjectives(weekStart);
+        const container = document.getElementById('weekly-objectives-list');
+
+        this.updatePlanReviewButtons();
+
+        if (objectives.length === 0) {
+            container.innerHTML = '<p class="hint-text">No objectives set for this week</p>';
+            return;
+        }
+
+        const goals = Storage.getGoals();
+        container.innerHTML = objectives.map(obj => {
+            const found = obj.goalId ? Goals.findGoal(goals, obj.goalId) : null;
+            return `
+                <div class="objective-item ${obj.dropped ? 'dropped' : ''}" data-id="${obj.id}">
+                    <div class="objective-checkbox ${obj.completed ? 'checked' : ''}"></div>
+                    <span class="objective-text">${Utils.sanitize(obj.title)}</span>
+                    ${obj.dropped ? '<span class="objective-carried">Dropped</span>' : ''}
+                    ${obj.carriedFrom ? `<span class="objective-carried" title="Carried over from the week of ${Utils.formatDateShort(Utils.parseDateStr(obj.carriedFrom))}">↻</span>` : ''}
+                    ${found ? `<span class="objective-goal" title="Linked goal">🎯 ${Utils.sanitize(found.goal.title)}</span>` : ''}
+                    <button class="icon-btn objective-link" title="Link to a goal">🎯</button>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.objective-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('click', () => {
+                const objId = checkbox.closest('.objective-item').dataset.id;
+                Storage.toggleWeeklyObjective(objId);
+                this.renderWeeklyObjectives();
+            });
+        });
+
+        container.querySelectorAll('.objective-link').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const objective = objectives.find(o => o.id === btn.closest('.objective-item').dataset.id);
+                this.showObjectiveGoalModal(objective);
+            });
+        });
+    },
+
+    showObjectiveGoalModal(objective) {
+        this.openModal('Link to Goal', `
+            <div class="form-group">
+                <label>${Utils.sanitize(objective.title)} counts toward</label>
+                <select id="objective-goal" class="form-input">${this.renderGoalOptions(Storage.getGoals(), objective.goalId)}</select>
+            </div>
+        `, () => {
+            Storage.updateWeeklyObjective(objective.id, { goalId: document.getElementById('objective-goal').value || null });
+            Utils.hideModal('generic-modal');
+            this.renderWeeklyObjectives();
+        });
+    },
+
+    showAddObjectiveModal() {
+        this.openModal('Add Weekly Objective', `
+            <div class="form-group">
+                <label>What do you want to accomplish this week?</label>
+                <input type="text" id="objective-title" class="form-input" placeholder="e.g., Complete project proposal">
+            </div>
+            <div class="form-group">
+                <label>Counts toward (optional)</label>
+                <select id="objective-goal" class="form-input">${this.renderGoalOptions(Storage.getGoals())}</select>
+            </div>
+        `, () => {
+            const title = document.getElementById('objective-title').value.trim();
+            if (!title) {
+                Utils.showToast('Please enter an objective', 'warning');
+                return;
+            }
+
+            Storage.addWeeklyObjective({
+                title,
+                weekStart: Utils.formatDateStr(this.currentWeek),
+                goalId: document.getElementById('objective-goal').value || null
+            });
+
+            Utils.hideModal('generic-modal');
+            this.renderWeeklyObjectives();
+            Utils.showToast('Objective added!', 'success');
+        });
+    },
+
+    updateWeeklyStats() {
+        const weekDates = Utils.getWeekDates(this.currentWeek);
+        const startDate = Utils.formatDateStr(weekDates[0]);
+        const endDate = Utils.formatDateStr(weekDates[6]);
+
+        const stats = Storage.getProductivityStats(startDate, endDate);
+
+        document.getElementById('weekly-tasks-completed').textContent = stats.completedTasks;
+        document.getElementById('weekly-focus-hours').textContent = `${stats.focusHours}h`;
+        document.getElementById('weekly-habit-rate').textContent = `${stats.habitCompletionRate}%`;
+    },
+
+    // ============================================
+    // MONTHLY VIEW
+    // ============================================
+
+    initMonthlyView() {
+        document.getElementById('prev-month').addEventListener('click', () => {
+            this.currentMonth.setMonth(this.currentMonth.getMonth() - 1);
+            this.renderMonthlyView();
+        });
+
+        document.getElementById('next-month').addEventListener('click', () => {
+            this.currentMonth.setMonth(this.currentMonth.getMonth() + 1);
+            this.renderMonthlyView();
+        });
+
+        document.getElementById('add-monthly-goal-btn').addEventListener('click', () => {
+            this.showGoalModal('monthly');
+        });
+
+        document.getElementById('review-month-btn').addEventListener('click', () => this.showPlanReview());
+    },
+
+    renderMonthlyView() {
+        // Update month display
+        document.getElementById('month-display').textContent = Utils.formatMonthYear(this.currentMonth);
+
+        // Render calendar
+        const year = this.currentMonth.getFullYear();
+        const month = this.currentMonth.getMonth();
+        const days = Utils.getCalendarDays(year, month);
+
+        const calendarGrid = document.getElementById('calendar-grid');
+        calendarGrid.innerHTML = `
+            <div class="calendar-header">
+                <div class="calendar-weekday">Mon</div>
+                <div class="calendar-weekday">Tue</div>
+                <div class="calendar-weekday">Wed</div>
+                <div class="calendar-weekday">Thu</div>
+                <div class="calendar-weekday">Fri</div>
+                <div class="calendar-weekday">Sat</div>
+                <div class="calendar-weekday">Sun</div>
+            </div>
+            <div class="calendar-days">
+                ${days.map(day => {
+                    const tasks = Storage.getTasksForDate(day.dateStr);
+                    const hasData = tasks.length > 0;
+                    return `
+                        <div class="calendar-day ${day.isOtherMonth ? 'other-month' : ''} ${day.isToday ? 'today' : ''}" data-date="${day.dateStr}">
+                            <span class="day-number">${day.dayNum}</span>
+                            ${hasData ? '<div class="day-indicators"><span class="day-indicator"></span></div>' : ''}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+
+        // Click to navigate to day
+        calendarGrid.querySelectorAll('.calendar-day').forEach(dayEl => {
+            dayEl.addEventListener('click', () => {
+                this.goToDay(dayEl.dataset.date);
+            });
+        });
+
+        // Inbox items can be dropped onto a day
+        this.renderInboxTray('monthly-inbox-tray');
+        this.setupScheduleDropTargets(calendarGrid.querySelectorAll('.calendar-day'));
+
+        // Render monthly goals
+        this.renderMonthlyGoals();
+
+        // Update summary
+        this.updateMonthlySummary(year, month);
+    },
+
+    renderMonthlyGoals() {
+        const goals = Storage.getGoals();
+        const month = Goals.getMonthKey(Utils.formatDateStr(this.currentMonth));
+        const monthGoals = Goals.getMonthGoals(goals, month);
+        const container = document.getElementById('monthly-goals-list');
+
+        this.updatePlanReviewButtons();
+
+        if (monthGoals.length === 0) {
+            container.innerHTML = `<p class="hint-text">No goals set for ${Utils.formatMonthYear(this.currentMonth)}</p>`;
+            return;
+        }
+
+        const links = Storage.getGoalLinks(goals);
+        container.innerHTML = monthGoals.map(goal => {
+            const progress = Goals.getProgress(goal, links);
+            const parent = goals.yearly.find(g => g.id === goal.parentId);
+            const carried = goal.carriedFrom
+                ? `<span class="goal-parent">↻ Carried over from ${Utils.formatMonthYear(Utils.parseDateStr(`${goal.carriedFrom}-01`))}</span>`
+                : '';
+            return `
+                <div class="goal-item" data-id="${goal.id}" title="${progress}% complete">
+                    <div class="goal-item-header">
+                        <span class="goal-item-title">${Utils.sanitize(goal.title)}</span>
+                        ${this.renderGoalBadge(goal, progress)}
+                        ${this.renderGoalActions()}
+                    </div>
+                    ${parent ? `<span class="goal-parent">↑ ${Utils.sanitize(parent.title)}</span>` : ''}
+                    ${carried}
+                    <div class="progress-bar"><div class="progress-fill" style="width: ${progress}%"></div></div>
+                </div>
+            `;
+        }).join('');
+
+        this.bindGoalItems(container, '.goal-item');
+    },
+
+    updateMonthlySummary(year, month) {
+        const startDate = `${year}-${(month + 1).toString().padStart(2, '0')}-01`;
+        const endDate = `${year}-${(month + 1).toString().padStart(2, '0')}-${new Date(year, month + 1, 0).getDate()}`;
+
+        const stats = Storage.getProductivityStats(startDate, endDate);
+
+        document.getElementById('month-tasks').textContent = stats.completedTasks;
+        document.getElementById('month-events').textContent = Storage.getTimeBlocks(startDate).length;
+        document.getElementById('month-avg-mood').textContent = stats.averageMood || '-';
+    },
+
+    // ============================================
+    // YEARLY VIEW
+    // ============================================
+
+    initYearlyView() {
         document.getElementById('add-yearly-goal-btn').addEventListener('click', () => {
-            this.showAddGoalModal('yearly');
+            this.showGoalModal('yearly');
+        });
+
+        document.getElementById('archive-prev-year').addEventListener('click', () => {
+            this.goalArchiveYear--;
+            this.renderGoalArchive();
+        });
+
+        document.getElementById('archive-next-year').addEventListener('click', () => {
+            this.goalArchiveYear++;
+            this.renderGoalArchive();
+        });
+    },
+
+    renderYearlyView() {
+        // Render year in pixels
+        const year = Utils.getToday().getFullYear();
+        const moodData = Storage.getMoodDataForYear(year);
+        const yearDays = Utils.getYearDays(year);
+
+        const pixelsGrid = document.getElementById('year-pixels-grid');
+        
+        // Group by week
+        const weeks = {};
+        yearDays.forEach(day => {
+            if (!weeks[day.week]) weeks[day.week] = [];
+            weeks[day.week].push(day);
+        });
+
+        let html = '';
+        Object.keys(weeks).forEach(week => {
+            weeks[week].forEach(day => {
+                const mood = moodData[day.dateStr];
+                html += `<div class="year-pixel" data-date="${day.dateStr}" ${mood ? `data-mood="${mood}"` : ''} title="${day.dateStr}"></div>`;
+            });
+        });
+
+        pixelsGrid.innerHTML = html;
+
+        // Render yearly goals
+        this.renderYearlyGoals();
+    },
+
+    renderYearlyGoals() {
+        const allGoals = Storage.getGoals();
+        const goals = Goals.getCurrent(allGoals);
+        const container = document.getElementById('yearly-goals-list');
+
+        this.renderGoalArchive();
+
+        if (goals.yearly.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <p>No yearly goals set yet</p>
+                    <p class="hint-text">Set meaningful goals to track your progress</p>
+                </div>
+            `;
+            return;
+        }
+
+        const links = Storage.getGoalLinks(allGoals);
+        container.innerHTML = goals.yearly.map(goal => {
+            const progress = Goals.getProgress(goal, links);
+            const keyResults = goal.keyResults.length > 0
+                ? ` · ${Goals.countKeyResultsDone(goal)}/${goal.keyResults.length} key results`
+                : '';
+            const children = goals.monthly.filter(g => g.parentId === goal.id).length;
+            const monthly = children > 0 ? ` · ${children} monthly goal${children === 1 ? '' : 's'}` : '';
+            return `
+                <div class="yearly-goal-item" data-id="${goal.id}">
+                    <div class="goal-item-header">
+                        <span class="yearly-goal-title">${Utils.sanitize(goal.title)}</span>
+                        ${this.renderGoalBadge(goal, progress)}
+                        ${this.renderGoalActions()}
+                    </div>
+                    <p class="hint-text">${Utils.sanitize(goal.description || '')}</p>
+                    <div class="yearly-goal-progress">
+                        <div class="progress-bar"><div class="progress-fill" style="width: ${progress}%"></div></div>
+                        <span class="hint-text">${progress}% complete${keyResults}${monthly}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        this.bindGoalItems(container, '.yearly-goal-item');
+    },
+
+    renderGoalArchive() {
+        const goals = Storage.getGoals();
+        const links = Storage.getGoalLinks(goals);
+        const today = Utils.getTodayStr();
+        if (this.goalArchiveYear === null) this.goalArchiveYear = Number(today.slice(0, 4));
+
+        const kinds = [
+            ['Yearly', goals.yearly],
+            ['Monthly', goals.monthly],
+            ...Object.keys(goals.lifeAreas).map(area => [this.getLifeArea(area) ? this.getLifeArea(area).name : area, goals.lifeAreas[area]])
+        ];
+        const archived = kinds.flatMap(([kind, list]) => list
+            .filter(goal => Goals.getArchiveYear(goal, today) === this.goalArchiveYear)
+            .map(goal => ({ goal, kind })));
+
+        document.getElementById('archive-year-display').textContent = this.goalArchiveYear;
+        document.getElementById('archive-next-year').disabled = this.goalArchiveYear >= Number(today.slice(0, 4));
+
+        const container = document.getElementById('goal-archive-list');
+        if (archived.length === 0) {
+            container.innerHTML = `<p class="hint-text">No goals were closed in ${this.goalArchiveYear}</p>`;
+            return;
+        }
+
+        container.innerHTML = archived.map(({ goal, kind }) => {
+            const progress = Goals.getProgress(goal, links);
+            const status = Goals.isClosed(goal) ? Goals.STATUS_LABELS[goal.status] : 'Unfinished';
+            return `
+                <div class="goal-archive-item" data-id="${goal.id}">
+                    <span class="goal-tree-kind">${Utils.sanitize(kind)}</span>
+                    <span class="goal-archive-title">${Utils.sanitize(goal.title)}</span>
+                    <span class="goal-status goal-status-${Goals.isClosed(goal) ? goal.status : 'unfinished'}">${status}</span>
+                    <span class="hint-text">${progress}%</span>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.goal-archive-item').forEach(item => {
+            item.addEventListener('click', () => this.showGoalDetail(item.dataset.id));
+        });
+    },
+
+    // ============================================
+    // HABITS VIEW
+    // ============================================
+
+    initHabitsView() {
+        document.getElementById('add-habit-btn').addEventListener('click', () => {
+            this.showHabitModal();
+        });
+
+        document.getElementById('add-routine-btn').addEventListener('click', () => this.showRoutineModal());
+        document.getElementById('routine-run-done').addEventListener('click', () => this.completeRoutineStep());
+        document.getElementById('routine-run-later').addEventListener('click', () => this.nextRoutineStep());
+        document.getElementById('routine-run-close').addEventListener('click', () => this.closeRoutineRun());
+        document.getElementById('vacation-btn').addEventListener('click', () => this.showVacationModal());
+        document.getElementById('vacation-end').addEventListener('click', () => {
+            Storage.endVacation();
+            this.renderHabitsView();
+            Utils.showToast('Welcome back! Your habits are running again.', 'success');
+        });
+
+        document.getElementById('habit-detail-back').addEventListener('click', () => this.closeHabitDetail());
+        document.getElementById('habit-detail-edit').addEventListener('click', () => {
+            this.showHabitModal(Storage.getHabits().find(h => h.id === this.habitDetailId));
+        });
+        document.getElementById('habit-detail-archive').addEventListener('click', () => this.toggleHabitArchived(this.habitDetailId));
+        document.getElementById('habit-detail-delete').addEventListener('click', () => this.deleteHabit(this.habitDetailId));
+        document.getElementById('habit-prev-year').addEventListener('click', () => {
+            this.habitDetailYear--;
+            this.renderHabitDetail();
+        });
+        document.getElementById('habit-next-year').addEventListener('click', () => {
+            this.habitDetailYear++;
+            this.renderHabitDetail();
+        });
+    },
+
+    renderHabitsView() {
+        const showDetail = !!this.habitDetailId && Storage.getHabits().some(h => h.id === this.habitDetailId);
+        document.getElementById('habit-detail').style.display = showDetail ? 'block' : 'none';
+        document.getElementById('habits-list').style.display = showDetail ? 'none' : '';
+        document.getElementById('habits-archived').style.display = showDetail ? 'none' : '';
+        document.getElementById('habits-hint').style.display = showDetail ? 'none' : '';
+        document.getElementById('habits-actions').style.display = showDetail ? 'none' : '';
+        this.renderVacationBanner(showDetail);
+        if (showDetail) {
+            this.renderHabitDetail();
+            return;
+        }
+        this.habitDetailId = null;
+
+        const allHabits = Storage.getHabits();
+        const habits = allHabits.filter(h => !h.archivedAt);
+        this.renderArchivedHabits(allHabits.filter(h => h.archivedAt));
+        const container = document.getElementById('habits-list');
+        const today = Utils.getToday();
+        const weekDates = [];
+        
+        // Get last 7 days
+        for (let i = 6; i >= 0; i--) {
+            const date = new Date(today);
+            date.setDate(date.getDate() - i);
+            weekDates.push({
+                date,
+                dateStr: Utils.formatDateStr(date),
+                dayName: Utils.getDayName(date).charAt(0),
+                isToday: i === 0
+            });
+        }
+
+        if (habits.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
+                        <polyline points="22 4 12 14.01 9 11.01"></polyline>
+                    </svg>
+                    <p>No habits tracked yet</p>
+                    <p class="hint-text">Start building positive routines</p>
+                </div>
+            `;
+            return;
+        }
+
+        const todayStr = Utils.getTodayStr();
+        const vacations = Habits.getVacations();
+        const routines = Storage.getRoutines();
+        const grouped = new Set();
+        const card = (habit, time = null) => this.renderHabitCard(habit, weekDates, todayStr, vacations, time);
+
+        const routineGroups = routines.map(routine => {
+            const steps = Habits.getRoutineSteps(routine, habits);
+            steps.forEach(step => grouped.add(step.habit.id));
+            const today = Habits.getRoutineDay(steps, todayStr, vacations);
+            const month = Habits.getRoutineProgress(routine, habits, Recurrence.addDays(todayStr, -29), todayStr);
+
+            return `
+                <div class="routine-group" data-id="${routine.id}">
+                    <div class="routine-header">
+                        <div class="routine-title">
+                            <h3>${Utils.sanitize(routine.name)}</h3>
+                            <span class="hint-text">
+                                ${routine.time ? `${Utils.formatTime(routine.time)} · ` : ''}
+                                ${today.due > 0 ? `${today.done}/${today.due} done today` : 'Nothing due today'}
+                                ${month.possible > 0 ? ` · ${Math.round((month.done / month.possible) * 100)}% of days completed (30 days)` : ''}
+                            </span>
+                        </div>
+                        <div class="card-header-actions">
+                            <button class="btn btn-secondary btn-small routine-edit">Edit</button>
+                            <button class="btn btn-primary btn-small routine-start" ${today.done < today.due ? '' : 'disabled'}>▶ Start</button>
+                        </div>
+                    </div>
+                    <div class="routine-steps">
+                        ${steps.length > 0
+                            ? steps.map(step => card(step.habit, step.time)).join('')
+                            : '<p class="hint-text">No habits in this routine yet. Edit it to add some.</p>'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        const ungrouped = habits.filter(h => !grouped.has(h.id));
+        container.innerHTML = routineGroups + (ungrouped.length > 0 ? `
+            ${routines.length > 0 ? '<h3 class="habits-ungrouped-title">Other habits</h3>' : ''}
+            ${ungrouped.map(habit => card(habit)).join('')}
+        ` : '');
+
+        container.querySelectorAll('.routine-group').forEach(group => {
+            group.querySelector('.routine-edit').addEventListener('click', () => {
+                this.showRoutineModal(routines.find(r => r.id === group.dataset.id));
+            });
+            group.querySelector('.routine-start').addEventListener('click', () => this.startRoutineRun(group.dataset.id));
+        });
+
+        // Add click listeners
+        container.querySelectorAll('.habit-day').forEach(dayEl => {
+            dayEl.addEventListener('click', () => {
+                const habitId = dayEl.closest('.habit-card').dataset.id;
+                const dateStr = dayEl.dataset.date;
+                const habit = habits.find(h => h.id === habitId);
+                if (Habits.isQuantitative(habit)) {
+                    this.showHabitDayModal(habit, dateStr);
+                    return;
+                }
+                Storage.toggleHabitCompletion(habitId, dateStr);
+                this.renderHabitsView();
+            });
+
+            // Right-click for the full day: skip, freeze or a note
+            dayEl.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                const habit = habits.find(h => h.id === dayEl.closest('.habit-card').dataset.id);
+                this.showHabitDayModal(habit, dayEl.dataset.date);
+            });
+        });
+
+        container.querySelectorAll('.habit-info').forEach(info => {
+            info.addEventListener('click', () => this.openHabitDetail(info.closest('.habit-card').dataset.id));
+        });
+
+        container.querySelectorAll('.habit-counter-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const habit = habits.find(h => h.id === btn.closest('.habit-card').dataset.id);
+                Storage.adjustHabitValue(habit.id, todayStr, parseInt(btn.dataset.delta) * habit.step);
+                this.renderHabitsView();
+            });
+        });
+    },
+
+    renderHabitCard(habit, weekDates, todayStr, vacations, time = null) {
+        const { runs, freezes } = Habits.walkStreaks(habit, todayStr);
+        const lastRun = runs[runs.length - 1];
+        const streak = lastRun && lastRun.current ? lastRun.length : 0;
+        const unit = Habits.getStreakUnit(habit);
+        const weekProgress = habit.frequency.type === 'weekly'
+            ? ` · ${Habits.countCompletions(habit, Habits.getWeekStart(todayStr), todayStr)}/${habit.frequency.times} this week`
+            : '';
+
+        return `
+            <div class="habit-card" data-id="${habit.id}">
+                <div class="habit-info" title="Open history">
+                    <div class="habit-name">${Utils.sanitize(habit.name)}</div>
+                    <div class="habit-frequency">${time ? `${Utils.formatTime(time)} · ` : ''}${Habits.describe(habit.frequency)}${weekProgress}</div>
+                    <div class="habit-streak">
+                        🔥 <span class="streak-count">${streak}</span> ${unit} streak
+                        ${freezes > 0 ? `<span class="habit-freezes" title="Streak freezes banked">❄ ${freezes}</span>` : ''}
+                    </div>
+                </div>
+                ${Habits.isQuantitative(habit) ? `
+                    <div class="habit-counter">
+                        <button class="habit-counter-btn" data-delta="-1" title="Remove ${habit.step}">−</button>
+                        <span class="habit-counter-value">${Utils.sanitize(Habits.formatValue(habit, Habits.getValue(habit, todayStr)))}</span>
+                        <button class="habit-counter-btn" data-delta="1" title="Add ${habit.step}">+</button>
+                    </div>
+                ` : ''}
+                <div class="habit-week">
+                    ${weekDates.map(day => {
+                        const progress = Habits.getDayProgress(habit, day.dateStr);
+                        const excuse = Habits.isDue(habit, day.dateStr) ? Habits.getExcuse(habit, day.dateStr, vacations) : null;
+                        let title = Habits.isQuantitative(habit)
+                            ? `${day.dateStr}: ${Habits.formatValue(habit, Habits.getValue(habit, day.dateStr))}`
+                            : day.dateStr;
+                        if (excuse) title += ` (${Habits.EXCUSE_LABELS[excuse]})`;
+                        return `
+                            <div class="habit-day ${habit.completedDates.includes(day.dateStr) ? 'completed' : ''} ${progress > 0 && progress < 1 ? 'partial' : ''} ${day.isToday ? 'today' : ''} ${Habits.isDue(habit, day.dateStr) ? '' : 'not-due'} ${excuse ? `excused-${excuse}` : ''}" 
+                                 data-date="${day.dateStr}" title="${Utils.sanitize(title)}" style="--progress: ${Math.round(progress * 100)}%">
+                                ${day.dayName}
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            </div>
+        `;
+    },
+
+    renderArchivedHabits(archived) {
+        const container = document.getElementById('habits-archived');
+        if (archived.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h3 class="habits-archived-title">Archived</h3>
+            ${archived.map(habit => `
+                <div class="habit-archived-item" data-id="${habit.id}">
+                    <span class="habit-name">${Utils.sanitize(habit.name)}</span>
+                    <span class="hint-text">Archived ${Utils.formatDateShort(Utils.parseDateStr(habit.archivedAt))} · ${habit.completedDates.length} check-ins</span>
+                </div>
+            `).join('')}
+        `;
+
+        container.querySelectorAll('.habit-archived-item').forEach(item => {
+            item.addEventListener('click', () => this.openHabitDetail(item.dataset.id));
+        });
+    },
+
+    renderVacationBanner(hidden) {
+        const banner = document.getElementById('vacation-banner');
+        const vacation = Storage.getCurrentVacation();
+        if (hidden || !vacation) {
+            banner.style.display = 'none';
+            return;
+        }
+
+        const format = dateStr => Utils.formatDateShort(Utils.parseDateStr(dateStr));
+        const running = vacation.start <= Utils.getTodayStr();
+        document.getElementById('vacation-banner-text').textContent = running
+            ? `🏖 On vacation until ${format(vacation.end)}. All habits are paused and streaks are safe.`
+            : `🏖 Vacation planned for ${format(vacation.start)} – ${format(vacation.end)}. Habits will pause then.`;
+        document.getElementById('vacation-end').textContent = running ? 'End Vacation' : 'Cancel Vacation';
+        banner.style.display = 'flex';
+    },
+
+    showVacationModal() {
+        const today = Utils.getTodayStr();
+        const vacation = Storage.getCurrentVacation();
+        const earliestStart = Storage.getEarliestVacationStart();
+
+        this.openModal('Vacation Mode', `
+            <p class="hint-text">Pause every habit for a while. Days off don't count as missed, don't lower your rates and won't break any streak.</p>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>First day off</label>
+                    <input type="date" id="vacation-start" class="form-input" value="${vacation ? vacation.start : today}" min="${earliestStart}">
+                </div>
+                <div class="form-group">
+                    <label>Last day off</label>
+                    <input type="date" id="vacation-end-date" class="form-input" value="${vacation ? vacation.end : Recurrence.addDays(today, 6)}" min="${today}">
+                </div>
+            </div>
+        `, () => {
+            const start = document.getElementById('vacation-start').value;
+            const end = document.getElementById('vacation-end-date').value;
+            if (!start || !end || end < start) {
+                Utils.showToast('The last day must be on or after the first', 'warning');
+                return;
+            }
+            if (end < today) {
+                Utils.showToast('Vacation must end today or later', 'warning');
+                return;
+            }
+            if (!Storage.setVacation(start, end)) {
+                Utils.showToast('Vacation can\'t start before today', 'warning');
+                return;
+            }
+
+            Utils.hideModal('generic-modal');
+            this.renderHabitsView();
+            Utils.showToast('Vacation saved. Enjoy the break!', 'success');
+        }, vacation ? 'Update' : 'Start Vacation');
+    },
+
+    // Check in, log an amount, excuse the day or write a note
+    showHabitDayModal(habit, dateStr) {
+        const quantitative = Habits.isQuantitative(habit);
+        const todayStr = Utils.getTodayStr();
+        const isFuture = dateStr > todayStr;
+        const state = (habit.dayStates && habit.dayStates[dateStr]) || '';
+        const freezes = Habits.getFreezesAvailable(habit, todayStr);
+        // Skips are planned ahead; freezes patch a day that has already gone by
+        const canSkip = dateStr >= todayStr || state === 'skip';
+        const canFreeze = !isFuture && (freezes > 0 || state === 'freeze');
+        // Checking in before the start moves the start back, so the day counts
+        const beforeStart = dateStr < Habits.getStartDate(habit);
+
+        this.openModal(habit.name, `
+            ${isFuture ? '' : `
+                <div class="form-group">
+                    <label>${Utils.formatDateShort(Utils.parseDateStr(dateStr))}${quantitative && habit.unit ? ` (${Utils.sanitize(habit.unit)})` : ''}</label>
+                    ${quantitative ? `
+                        <input type="number" id="habit-value" class="form-input" min="0" step="any" value="${Habits.getValue(habit, dateStr)}">
+                        <span class="hint-text">Target: ${habit.target} ${Utils.sanitize(habit.unit)}</span>
+                    ` : `
+                        <label class="habit-done-toggle">
+                            <input type="checkbox" id="habit-done" ${Habits.isCompleted(habit, dateStr) ? 'checked' : ''}>
+                            Done
+                        </label>
+                    `}
+                    ${beforeStart ? '<span class="hint-text">This is before the habit started. Checking in here starts it from this day, and the days since count too.</span>' : ''}
+                </div>
+            `}
+            ${Habits.isDue(habit, dateStr) ? `
+                <div class="form-group">
+                    <label>${isFuture ? Utils.formatDateShort(Utils.parseDateStr(dateStr)) : 'If not done'}</label>
+                    <select id="habit-day-state" class="form-input">
+                        <option value="">Counts as missed</option>
+                        ${canSkip ? `<option value="skip" ${state === 'skip' ? 'selected' : ''}>Skip: a planned rest day</option>` : ''}
+                        ${canFreeze ? `<option value="freeze" ${state === 'freeze' ? 'selected' : ''}>Freeze: protect my streak (${freezes} left)</option>` : ''}
+                    </select>
+                    <span class="hint-text">
+                        ${Habits.isOnVacation(dateStr) ? 'You are on vacation this day, so it is paused either way. ' : ''}
+                        Skipped and frozen days don't count for or against you.
+                        Earn a freeze every ${Habits.FREEZE_EARN_EVERY[Habits.getStreakUnit(habit)]} ${Habits.getStreakUnit(habit)}s in a row.
+                    </span>
+                </div>
+            ` : ''}
+            <div class="form-group">
+                <label>Note</label>
+                <textarea id="habit-note" class="form-input" rows="3" placeholder="${isFuture ? 'Why are you skipping?' : 'How did it go?'}"></textarea>
+            </div>
+        `, () => {
+            if (quantitative && !isFuture) {
+                const value = parseFloat(document.getElementById('habit-value').value);
+                if (!(value >= 0)) {
+                    Utils.showToast('Please enter an amount', 'warning');
+                    return;
+                }
+                Storage.setHabitValue(habit.id, dateStr, value);
+            } else if (!isFuture && document.getElementById('habit-done').checked !== Habits.isCompleted(habit, dateStr)) {
+                Storage.toggleHabitCompletion(habit.id, dateStr);
+            }
+
+            const stateSelect = document.getElementById('habit-day-state');
+            const updated = Storage.getHabits().find(h => h.id === habit.id);
+            if (stateSelect && !Habits.isCompleted(updated, dateStr)
+                && !Storage.setHabitDayState(habit.id, dateStr, stateSelect.value || null)) {
+                Utils.showToast('No streak freezes left to cover this day', 'warning');
+                return;
+            }
+            Storage.setHabitNote(habit.id, dateStr, document.getElementById('habit-note').value);
+
+            Utils.hideModal('generic-modal');
+            this.renderHabitsView();
+        });
+
+        document.getElementById('habit-note').value = Habits.getNote(habit, dateStr);
+    },
+
+    // ============================================
+    // HABIT DETAIL
+    // ============================================
+
+    openHabitDetail(habitId) {
+        this.habitDetailId = habitId;
+        this.habitDetailYear = Utils.parseDateStr(Utils.getTodayStr()).getFullYear();
+        this.renderHabitsView();
+    },
+
+    closeHabitDetail() {
+        this.habitDetailId = null;
+        this.renderHabitsView();
+    },
+
+    renderHabitDetail() {
+        const habit = Storage.getHabits().find(h => h.id === this.habitDetailId);
+        const todayStr = Utils.getTodayStr();
+        const year = this.habitDetailYear;
+        const unit = Habits.getStreakUnit(habit);
+        const yearProgress = Habits.getProgress(habit, `${year}-01-01`, `${year}-12-31` < todayStr ? `${year}-12-31` : todayStr);
+
+        document.getElementById('habit-detail-name').textContent = habit.name;
+        document.getElementById('habit-detail-frequency').textContent = [
+            Habits.describe(habit.frequency),
+            Habits.isQuantitative(habit) ? `${habit.target} ${habit.unit} a day`.trim() : null,
+            `since ${Utils.formatDateShort(Utils.parseDateStr(Habits.getStartDate(habit)))}`,
+            habit.archivedAt ? `archived ${Utils.formatDateShort(Utils.parseDateStr(habit.archivedAt))}` : null,
+            `❄ ${Habits.getFreezesAvailable(habit, todayStr)} of ${Habits.MAX_FREEZES} freezes`
+        ].filter(Boolean).join(' · ');
+        document.getElementById('habit-detail-archive').textContent = habit.archivedAt ? 'Unarchive' : 'Archive';
+
+        document.getElementById('habit-detail-current').textContent = Habits.getCurrentStreak(habit, todayStr);
+        document.getElementById('habit-detail-current-label').textContent = `Current Streak (${unit}s)`;
+        document.getElementById('habit-detail-longest').textContent = Habits.getLongestStreak(habit, todayStr);
+        document.getElementById('habit-detail-longest-label').textContent = `Longest Streak (${unit}s)`;
+        document.getElementById('habit-detail-rate').textContent = yearProgress.possible > 0
+            ? `${Math.round((yearProgress.done / yearProgress.possible) * 100)}%`
+            : '—';
+        document.getElementById('habit-detail-rate-label').textContent = `Completion Rate ${year}`;
+        document.getElementById('habit-year-display').textContent = year;
+
+        this.renderHabitHeatmap(habit, year, todayStr);
+        this.renderHabitMonthlyRates(habit, year, todayStr);
+        this.renderHabitStreakHistory(habit, todayStr);
+        this.renderHabitNotes(habit);
+    },
+
+    renderHabitHeatmap(habit, year, todayStr) {
+        const container = document.getElementById('habit-heatmap');
+        const first = `${year}-01-01`;
+        const last = `${year}-12-31`;
+        // Weekly habits can be done on any day, so an empty day isn't a miss
+        const countsMisses = habit.frequency.type !== 'weekly';
+        const vacations = Habits.getVacations();
+        const months = [];
+        const cells = [];
+
+        // Columns are Monday-first weeks; pad the first and last week outside the year
+        for (let date = Habits.getWeekStart(first); date <= last || Recurrence.parse(date).getUTCDay() !== 1; date = Recurrence.addDays(date, 1)) {
+            if (date < first || date > last) {
+                cells.push('<div class="heat-cell outside"></div>');
+                continue;
+            }
+            if (date.endsWith('-01')) {
+                months.push({ label: Utils.parseDateStr(date).toLocaleDateString('en-US', { month: 'short' }), column: Math.floor(cells.length / 7) + 1 });
+            }
+
+            const progress = Habits.getDayProgress(habit, date);
+            const excuse = Habits.isDue(habit, date) ? Habits.getExcuse(habit, date, vacations) : null;
+            let state = 'empty';
+            if (progress >= 1) state = 'done';
+            else if (excuse) state = `excused-${excuse}`;
+            else if (date > todayStr) state = 'future';
+            else if (progress > 0) state = 'partial';
+            else if (!Habits.isDue(habit, date)) state = 'not-due';
+            else if (countsMisses && date < todayStr) state = 'missed';
+
+            let value = Habits.isQuantitative(habit) ? ` · ${Habits.formatValue(habit, Habits.getValue(habit, date))}` : '';
+            if (excuse) value += ` · ${Habits.EXCUSE_LABELS[excuse]}`;
+            const note = Habits.getNote(habit, date);
+            cells.push(`
+                <div class="heat-cell ${state} ${note ? 'has-note' : ''} ${date === todayStr ? 'today' : ''}"
+                     data-date="${date}" style="--progress: ${Math.round(progress * 100)}%"
+                     title="${Utils.sanitize(`${Utils.formatDateShort(Utils.parseDateStr(date))}${value}${note ? ` — ${note}` : ''}`)}"></div>
+            `);
+        }
+
+        container.innerHTML = `
+            <div class="heatmap-months" style="grid-template-columns: repeat(${cells.length / 7}, 1fr)">
+                ${months.map(m => `<span style="grid-column: ${m.column}">${m.label}</span>`).join('')}
+            </div>
+            <div class="heatmap-grid" style="grid-template-columns: repeat(${cells.length / 7}, 1fr)">${cells.join('')}</div>
+        `;
+
+        container.querySelectorAll('.heat-cell[data-date]').forEach(cell => {
+            // Upcoming days can be skipped ahead of time
+            const date = cell.dataset.date;
+            if (date > todayStr && !Habits.isDue(habit, date)) return;
+            cell.addEventListener('click', () => this.showHabitDayModal(habit, date));
+        });
+    },
+
+    renderHabitMonthlyRates(habit, year, todayStr) {
+        const container = document.getElementById('habit-monthly-rates');
+        container.innerHTML = Habits.getMonthlyRates(habit, year, todayStr).map(m => `
+            <div class="habit-month-rate" title="${m.done}/${m.possible}">
+                <div class="habit-month-bar">
+                    <div class="habit-month-fill" style="height: ${m.rate || 0}%"></div>
+                </div>
+                <span class="habit-month-value">${m.rate === null ? '—' : `${m.rate}%`}</span>
+                <span class="habit-month-label">${new Date(year, m.month, 1).toLocaleDateString('en-US', { month: 'narrow' })}</span>
+            </div>
+        `).join('');
+    },
+
+    renderHabitStreakHistory(habit, todayStr) {
+        const container = document.getElementById('habit-streak-history');
+        const unit = Habits.getStreakUnit(habit);
+        const runs = Habits.getStreakRuns(habit, todayStr)
+            .sort((a, b) => b.length - a.length || b.end.localeCompare(a.end))
+            .slice(0, 5);
+
+        if (runs.length === 0) {
+            container.innerHTML = '<p class="hint-text">No streaks yet</p>';
+            return;
+        }
+
+        container.innerHTML = runs.map(run => {
+            // A weekly run ends on the Sunday of its last week, which may not have come yet
+            const end = run.end > todayStr ? todayStr : run.end;
+            return `
+                <div class="habit-streak-run ${run.current ? 'current' : ''}">
+                    <span class="habit-streak-length">${run.length} ${unit}${run.length === 1 ? '' : 's'}</span>
+                    <span class="hint-text">
+                        ${Utils.formatDateShort(Utils.parseDateStr(run.start))} – ${Utils.formatDateShort(Utils.parseDateStr(end))}, ${end.slice(0, 4)}
+                        ${run.current ? ' · current' : ''}
+                    </span>
+                </div>
+            `;
+        }).join('');
+    },
+
+    renderHabitNotes(habit) {
+        const container = document.getElementById('habit-notes');
+        const dates = Object.keys(habit.notes).sort().reverse();
+
+        if (dates.length === 0) {
+            container.innerHTML = '<p class="hint-text">Add a note to any check-in from the calendar</p>';
+            return;
+        }
+
+        container.innerHTML = dates.slice(0, 20).map(date => `
+            <div class="habit-note" data-date="${date}">
+                <span class="habit-note-date">${Utils.formatDateShort(Utils.parseDateStr(date))}, ${date.slice(0, 4)}</span>
+                <p>${Utils.sanitize(habit.notes[date])}</p>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.habit-note').forEach(note => {
+            note.addEventListener('click', () => this.showHabitDayModal(habit, note.dataset.date));
         });
     },
 
-    renderYearlyView() {
-        // Render year in pixels
-        const year = new Date().getFullYear();
-        const moodData = Storage.getMoodDataForYear(year);
-        const yearDays = Utils.getYearDays(year);
+    toggleHabitArchived(habitId) {
+        const habit = Storage.getHabits().find(h => h.id === habitId);
+        const archiving = !habit.archivedAt;
+        Storage.updateHabit(habitId, { archivedAt: archiving ? Utils.getTodayStr() : null });
+        this.renderHabitsView();
+        Utils.showToast(archiving ? 'Habit archived. Its history is kept.' : 'Habit restored', 'info');
+    },
 
-        const pixelsGrid = document.getElementById('year-pixels-grid');
-        
-        // Group by week
-        const weeks = {};
-        yearDays.forEach(day => {
-            if (!weeks[day.week]) weeks[day.week] = [];
-            weeks[day.week].push(day);
+    deleteHabit(habitId) {
+        const habit = Storage.getHabits().find(h => h.id === habitId);
+        if (!confirm(`Delete "${habit.name}" and all of its history? This cannot be undone.`)) return;
+
+        Storage.deleteHabit(habitId);
+        this.closeHabitDetail();
+        Utils.showToast('Habit deleted', 'info');
+    },
+
+    showHabitModal(habit = null) {
+        const frequency = habit ? habit.frequency : { type: 'daily' };
+        const quantitative = !!habit && Habits.isQuantitative(habit);
+        const weekdays = frequency.days || [1, 2, 3, 4, 5];
+        // Monday-first, matching the week grid
+        const dayOrder = [1, 2, 3, 4, 5, 6, 0];
+
+        this.openModal(habit ? 'Edit Habit' : 'New Habit', `
+            <div class="form-group">
+                <label>Habit Name</label>
+                <input type="text" id="habit-name" class="form-input" placeholder="e.g., Meditate, Exercise, Read">
+            </div>
+            <div class="form-group">
+                <label>Track</label>
+                <select id="habit-kind" class="form-input">
+                    <option value="check">Done / not done</option>
+                    <option value="amount" ${quantitative ? 'selected' : ''}>An amount each day</option>
+                </select>
+            </div>
+            <div class="form-group habit-amount-group">
+                <label>Daily target</label>
+                <div class="habit-target-fields">
+                    <input type="number" id="habit-target" class="form-input" min="0" step="any" value="${quantitative ? habit.target : 8}">
+                    <input type="text" id="habit-unit" class="form-input" placeholder="Unit, e.g. glasses, pages, km">
+                </div>
+            </div>
+            <div class="form-group habit-amount-group">
+                <label>Counter step</label>
+                <input type="number" id="habit-step" class="form-input" min="0" step="any" value="${habit ? habit.step : 1}">
+                <span class="hint-text">How much + and − add or remove</span>
+            </div>
+            <div class="form-group">
+                <label>Frequency</label>
+                <select id="habit-frequency" class="form-input">
+                    <option value="daily">Every day</option>
+                    <option value="weekdays" ${frequency.type === 'weekdays' ? 'selected' : ''}>On specific days</option>
+                    <option value="weekly" ${frequency.type === 'weekly' ? 'selected' : ''}>Times per week</option>
+                    <option value="interval" ${frequency.type === 'interval' ? 'selected' : ''}>Every few days</option>
+                </select>
+            </div>
+            <div class="form-group habit-frequency-group" data-type="weekdays">
+                <label>On</label>
+                <div class="repeat-weekdays">
+                    ${dayOrder.map(d => `
+                        <button type="button" class="weekday-toggle ${weekdays.includes(d) ? 'active' : ''}" data-day="${d}">
+                            ${Recurrence.WEEKDAY_NAMES[d].charAt(0)}
+                        </button>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="form-group habit-frequency-group" data-type="weekly">
+                <label>Times per week</label>
+                <input type="number" id="habit-times" class="form-input" min="1" max="7" value="${frequency.times || 3}">
+                <span class="hint-text">Any days Monday to Sunday</span>
+            </div>
+            <div class="form-group habit-frequency-group" data-type="interval">
+                <label>Every</label>
+                <div class="repeat-interval">
+                    <input type="number" id="habit-every" class="form-input" min="1" value="${frequency.every || 2}">
+                    <span>days, starting ${habit ? Utils.formatDateShort(Utils.parseDateStr(Habits.getPlannedStart(habit) || Habits.getStartDate(habit))) : 'today'}</span>
+                </div>
+            </div>
+        `, () => {
+            const name = document.getElementById('habit-name').value.trim();
+            if (!name) {
+                Utils.showToast('Please enter a habit name', 'warning');
+                return;
+            }
+
+            const type = document.getElementById('habit-frequency').value;
+            const frequency = { type };
+            if (type === 'weekdays') {
+                frequency.days = [...document.querySelectorAll('.weekday-toggle.active')]
+                    .map(b => parseInt(b.dataset.day))
+                    .sort();
+            } else if (type === 'weekly') {
+                frequency.times = parseInt(document.getElementById('habit-times').value);
+            } else if (type === 'interval') {
+                frequency.every = parseInt(document.getElementById('habit-every').value);
+            }
+
+            if (!Habits.isValidFrequency(frequency)) {
+                Utils.showToast(type === 'weekdays' ? 'Pick at least one day' : 'Please enter a valid frequency', 'warning');
+                return;
+            }
+
+            const habitData = { name, frequency, target: null, unit: '' };
+            if (document.getElementById('habit-kind').value === 'amount') {
+                habitData.target = parseFloat(document.getElementById('habit-target').value);
+                habitData.unit = document.getElementById('habit-unit').value.trim();
+                habitData.step = parseFloat(document.getElementById('habit-step').value);
+                if (!(habitData.target > 0) || !(habitData.step > 0)) {
+                    Utils.showToast('Target and step must be more than zero', 'warning');
+                    return;
+                }
+            }
+
+            Utils.hideModal('generic-modal');
+            if (habit) {
+                Storage.updateHabit(habit.id, habitData);
+                this.renderHabitsView();
+                Utils.showToast('Habit updated', 'success');
+            } else {
+                Storage.addHabit({ ...habitData, startDate: Utils.getTodayStr() });
+                this.renderHabitsView();
+                Utils.showToast('Habit created! Start building your streak.', 'success');
+            }
         });
 
-        let html = '';
-        Object.keys(weeks).forEach(week => {
-            weeks[week].forEach(day => {
-                const mood = moodData[day.dateStr];
-                html += `<div class="year-pixel" data-date="${day.dateStr}" ${mood ? `data-mood="${mood}"` : ''} title="${day.dateStr}"></div>`;
+        if (habit) {
+            document.getElementById('habit-name').value = habit.name;
+            document.getElementById('habit-unit').value = habit.unit;
+        }
+
+        const typeSelect = document.getElementById('habit-frequency');
+        const updateGroups = () => {
+            document.querySelectorAll('.habit-frequency-group').forEach(group => {
+                group.style.display = group.dataset.type === typeSelect.value ? 'block' : 'none';
+            });
+        };
+        typeSelect.addEventListener('change', updateGroups);
+        updateGroups();
+
+        const kindSelect = document.getElementById('habit-kind');
+        const updateKind = () => {
+            document.querySelectorAll('.habit-amount-group').forEach(group => {
+                group.style.display = kindSelect.value === 'amount' ? 'block' : 'none';
             });
+        };
+        kindSelect.addEventListener('change', updateKind);
+        updateKind();
+
+        document.querySelectorAll('.weekday-toggle').forEach(btn => {
+            btn.addEventListener('click', () => btn.classList.toggle('active'));
         });
+    },
 
-        pixelsGrid.innerHTML = html;
+    // ============================================
+    // ROUTINES
+    // ============================================
 
-        // Render yearly goals
-        this.renderYearlyGoals();
+    showRoutineModal(routine = null) {
+        const allHabits = Storage.getHabits();
+        const habits = allHabits.filter(h => !h.archivedAt);
+        const routines = Storage.getRoutines();
+        // Archived habits keep their place in the routine but aren't shown for editing
+        const steps = routine ? routine.steps.filter(step => allHabits.some(h => h.id === step.habitId)).map(step => ({ ...step })) : [];
+        const routineOf = habitId => routines.find(r => r.id !== (routine && routine.id) && r.steps.some(step => step.habitId === habitId));
+
+        this.openModal(routine ? 'Edit Routine' : 'New Routine', `
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Routine Name</label>
+                    <input type="text" id="routine-name" class="form-input" placeholder="e.g., Morning routine, Evening shutdown">
+                </div>
+                <div class="form-group">
+                    <label>Time (optional)</label>
+                    <input type="time" id="routine-time" class="form-input" value="${routine && routine.time ? routine.time : ''}">
+                </div>
+            </div>
+            <div class="form-group">
+                <label>Habits, in order</label>
+                <div class="routine-steps-editor" id="routine-steps-editor"></div>
+                <div class="routine-add-step">
+                    <select id="routine-add-habit" class="form-input"></select>
+                    <button type="button" class="btn btn-secondary btn-small" id="routine-add-step">Add</button>
+                </div>
+                <span class="hint-text">Step times are optional. A habit can be in one routine at a time.</span>
+            </div>
+            ${routine ? '<button type="button" class="btn btn-danger btn-small" id="routine-delete">Delete Routine</button>' : ''}
+        `, () => {
+            const name = document.getElementById('routine-name').value.trim();
+            if (!name) {
+                Utils.showToast('Please enter a routine name', 'warning');
+                return;
+            }
+
+            const values = { name, time: document.getElementById('routine-time').value || null, steps };
+            if (routine) {
+                Storage.updateRoutine(routine.id, values);
+            } else {
+                Storage.addRoutine(values);
+            }
+
+            Utils.hideModal('generic-modal');
+            this.renderHabitsView();
+            Utils.showToast(routine ? 'Routine updated' : 'Routine created', 'success');
+        });
+
+        if (routine) {
+            document.getElementById('routine-name').value = routine.name;
+            document.getElementById('routine-delete').addEventListener('click', () => {
+                Storage.deleteRoutine(routine.id);
+                Utils.hideModal('generic-modal');
+                this.renderHabitsView();
+                Utils.showToast('Routine deleted. Its habits are still tracked.', 'info');
+            });
+        }
+
+        const editor = document.getElementById('routine-steps-editor');
+        const addSelect = document.getElementById('routine-add-habit');
+        const renderSteps = () => {
+            const shown = steps.filter(step => habits.some(h => h.id === step.habitId));
+            editor.innerHTML = shown.length > 0 ? shown.map((step, i) => `
+                <div class="routine-step-row" data-index="${i}">
+                    <span class="routine-step-number">${i + 1}</span>
+                    <span class="routine-step-name">${Utils.sanitize(habits.find(h => h.id === step.habitId).name)}</span>
+                    <input type="time" class="form-input routine-step-time" value="${step.time || ''}">
+                    <button type="button" class="icon-btn routine-step-up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                    <button type="button" class="icon-btn routine-step-down" title="Move down" ${i === shown.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button type="button" class="icon-btn routine-step-remove" title="Remove">&times;</button>
+                </div>
+            `).join('') : '<p class="hint-text">Add the habits that make up this routine</p>';
+
+            const available = habits.filter(h => !steps.some(step => step.habitId === h.id));
+            addSelect.innerHTML = available.map(h => {
+                const other = routineOf(h.id);
+                return `<option value="${h.id}">${Utils.sanitize(h.name)}${other ? ` (from ${Utils.sanitize(other.name)})` : ''}</option>`;
+            }).join('');
+            addSelect.disabled = available.length === 0;
+            document.getElementById('routine-add-step').disabled = available.length === 0;
+
+            // Swap two shown steps in place, leaving hidden ones where they are
+            const swap = (a, b) => {
+                const from = steps.indexOf(shown[a]);
+                const to = steps.indexOf(shown[b]);
+                [steps[from], steps[to]] = [steps[to], steps[from]];
+                renderSteps();
+            };
+
+            editor.querySelectorAll('.routine-step-row').forEach(row => {
+                const i = parseInt(row.dataset.index);
+                row.querySelector('.routine-step-time').addEventListener('change', (e) => {
+                    shown[i].time = e.target.value || null;
+                });
+                row.querySelector('.routine-step-up').addEventListener('click', () => swap(i - 1, i));
+                row.querySelector('.routine-step-down').addEventListener('click', () => swap(i, i + 1));
+                row.querySelector('.routine-step-remove').addEventListener('click', () => {
+                    steps.splice(steps.indexOf(shown[i]), 1);
+                    renderSteps();
+                });
+            });
+        };
+
+        document.getElementById('routine-add-step').addEventListener('click', () => {
+            if (!addSelect.value) return;
+            steps.push({ habitId: addSelect.value, time: null });
+            renderSteps();
+        });
+        renderSteps();
     },
 
-    renderYearlyGoals() {
-        const goals = Storage.getGoals();
-        const container = document.getElementById('yearly-goals-list');
+    startRoutineRun(routineId) {
+        const routine = Storage.getRoutines().find(r => r.id === routineId);
+        const todayStr = Utils.getTodayStr();
+        const vacations = Habits.getVacations();
+        // Only what's still open today, in routine order
+        const habitIds = Habits.getRoutineSteps(routine, Storage.getHabits())
+            .filter(step => Habits.isDue(step.habit, todayStr)
+                && !Habits.isCompleted(step.habit, todayStr)
+                && !Habits.getExcuse(step.habit, todayStr, vacations))
+            .map(step => step.habit.id);
+
+        if (habitIds.length === 0) {
+            Utils.showToast('Everything in this routine is done for today', 'info');
+            return;
+        }
 
-        if (goals.yearly.length === 0) {
+        this.routineRun = { routineId, habitIds, index: 0, done: 0 };
+        document.getElementById('routine-run-name').textContent = routine.name;
+        this.renderRoutineStep();
+        Utils.showModal('routine-run');
+    },
+
+    renderRoutineStep() {
+        const run = this.routineRun;
+        const total = run.habitIds.length;
+        const finished = run.index >= total;
+        const routine = Storage.getRoutines().find(r => r.id === run.routineId);
+        const container = document.getElementById('routine-run-step');
+
+        document.getElementById('routine-run-fill').style.width = `${Math.round((Math.min(run.index, total) / total) * 100)}%`;
+        document.getElementById('routine-run-count').textContent = finished ? 'All steps visited' : `Step ${run.index + 1} of ${total}`;
+        document.getElementById('routine-run-later').style.display = finished ? 'none' : '';
+        document.getElementById('routine-run-done').textContent = finished ? 'Close' : 'Done ✓';
+
+        if (finished) {
             container.innerHTML = `
-                <div class="empty-state">
-                    <p>No yearly goals set yet</p>
-                    <p class="hint-text">Set meaningful goals to track your progress</p>
+                <div class="routine-run-summary">
+                    <div class="routine-run-icon">${run.done === total ? '🎉' : '👍'}</div>
+                    <h3>${run.done === total ? 'Routine complete!' : 'Routine finished'}</h3>
+                    <p class="hint-text">${run.done} of ${total} checked off${run.done < total ? '. The rest are still open for today.' : ''}</p>
                 </div>
             `;
             return;
         }
 
-        container.innerHTML = goals.yearly.map(goal => `
-            <div class="yearly-goal-item">
-                <div class="yearly-goal-title">${Utils.sanitize(goal.title)}</div>
-                <p class="hint-text">${Utils.sanitize(goal.description || '')}</p>
-                <div class="yearly-goal-progress">
-                    <div class="progress-bar"><div class="progress-fill" style="width: ${goal.progress}%"></div></div>
-                    <span class="hint-text">${goal.progress}% complete</span>
+        const habit = Storage.getHabits().find(h => h.id === run.habitIds[run.index]);
+        const step = routine.steps.find(st => st.habitId === habit.id);
+        container.innerHTML = `
+            <div class="routine-run-habit">${Utils.sanitize(habit.name)}</div>
+            <p class="hint-text">
+                ${step && step.time ? `${Utils.formatTime(step.time)} · ` : ''}${Habits.describe(habit.frequency)}
+            </p>
+            ${Habits.isQuantitative(habit) ? `
+                <div class="form-group">
+                    <label>How much?${habit.unit ? ` (${Utils.sanitize(habit.unit)})` : ''}</label>
+                    <input type="number" id="routine-run-value" class="form-input" min="0" step="any" value="${Math.max(habit.target, Habits.getValue(habit, Utils.getTodayStr()))}">
                 </div>
-            </div>
-        `).join('');
+            ` : ''}
+        `;
+    },
+
+    completeRoutineStep() {
+        const run = this.routineRun;
+        if (run.index >= run.habitIds.length) {
+            this.closeRoutineRun();
+            return;
+        }
+
+        const habit = Storage.getHabits().find(h => h.id === run.habitIds[run.index]);
+        const todayStr = Utils.getTodayStr();
+        if (Habits.isQuantitative(habit)) {
+            const value = parseFloat(document.getElementById('routine-run-value').value);
+            if (!(value >= 0)) {
+                Utils.showToast('Please enter an amount', 'warning');
+                return;
+            }
+            const updated = Storage.setHabitValue(habit.id, todayStr, value);
+            if (Habits.isCompleted(updated, todayStr)) run.done++;
+        } else {
+            Storage.toggleHabitCompletion(habit.id, todayStr);
+            run.done++;
+        }
+        this.nextRoutineStep();
+    },
+
+    nextRoutineStep() {
+        this.routineRun.index++;
+        this.renderRoutineStep();
+        this.renderHabitsView();
+    },
+
+    closeRoutineRun() {
+        this.routineRun = null;
+        Utils.hideModal('routine-run');
+        this.renderHabitsView();
     },
 
     // ============================================
-    // HABITS VIEW
+    // GOALS VIEW
     // ============================================
 
-    initHabitsView() {
-        document.getElementById('add-habit-btn').addEventListener('click', () => {
-            this.showAddHabitModal();
+    initGoalsView() {
+        document.getElementById('manage-areas-btn').addEventListener('click', () => this.showLifeAreaEditor());
+        document.getElementById('rate-areas-btn').addEventListener('click', () => this.showRateLifeAreas());
+        document.getElementById('life-wheel-compare').addEventListener('change', (e) => {
+            this.lifeWheelCompare = e.target.value;
+            this.renderLifeWheel();
         });
+
+        document.getElementById('goal-detail-close').addEventListener('click', () => this.closeGoalDetail());
+        document.getElementById('goal-tree-today').addEventListener('change', () => this.renderGoalTree());
     },
 
-    renderHabitsView() {
-        const habits = Storage.getHabits();
-        const container = document.getElementById('habits-list');
-        const today = new Date();
-        const weekDates = [];
-        
-        // Get last 7 days
-        for (let i = 6; i >= 0; i--) {
-            const date = new Date(today);
-            date.setDate(date.getDate() - i);
-            weekDates.push({
-                date,
-                dateStr: Utils.formatDateStr(date),
-                dayName: Utils.getDayName(date).charAt(0),
-                isToday: i === 0
-            });
-        }
+    renderGoalsView() {
+        const allGoals = Storage.getGoals();
+        const goals = Goals.getCurrent(allGoals);
+        const links = Storage.getGoalLinks(allGoals);
 
-        if (habits.length === 0) {
-            container.innerHTML = `
+        const areas = LifeAreas.getActive(Storage.getLifeAreas());
+        const grid = document.getElementById('life-areas-grid');
+
+        if (areas.length === 0) {
+            grid.innerHTML = `
                 <div class="empty-state">
-                    <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
-                        <polyline points="22 4 12 14.01 9 11.01"></polyline>
-                    </svg>
-                    <p>No habits tracked yet</p>
-                    <p class="hint-text">Start building positive routines</p>
+                    <p>No life areas yet</p>
+                    <p class="hint-text">Use Manage Areas to add the parts of life you want to balance</p>
                 </div>
             `;
+        } else {
+            grid.innerHTML = areas.map(area => {
+                const areaGoals = Goals.getAreaGoals(goals, area.id);
+                const progress = Goals.getAreaProgress(goals, area.id, links) || 0;
+                const rating = LifeAreas.getRating(area);
+                const previous = rating ? LifeAreas.getRating(area, Recurrence.addDays(rating.date, -1)) : null;
+                const change = previous ? rating.value - previous.value : 0;
+                return `
+                    <div class="life-area-card" data-area="${area.id}" style="--area-color: ${area.color}">
+                        <div class="area-icon">${Utils.sanitize(area.icon)}</div>
+                        <h3>${Utils.sanitize(area.name)}</h3>
+                        <div class="area-rating">
+                            ${rating
+                                ? `Feels like ${rating.value}/${LifeAreas.RATING_MAX}${change ? ` <span class="area-rating-change ${change > 0 ? 'up' : 'down'}">${change > 0 ? '↑' : '↓'}${Math.abs(change)}</span>` : ''}`
+                                : 'Not rated yet'}
+                        </div>
+                        <div class="area-progress">
+                            <div class="progress-bar"><div class="progress-fill" style="width: ${progress}%"></div></div>
+                            <span class="progress-text">${progress}% complete</span>
+                        </div>
+                        <div class="area-goals">
+                            ${areaGoals.slice(0, 3).map(g => `<div class="area-goal">${Utils.sanitize(g.title)}</div>`).join('')}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+
+            grid.querySelectorAll('.life-area-card').forEach(card => {
+                card.addEventListener('click', () => this.showLifeAreaGoals(card.dataset.area));
+            });
+        }
+
+        this.renderLifeWheel();
+        this.renderGoalTree();
+    },
+
+    renderLifeWheel() {
+        const allGoals = Storage.getGoals();
+        const goals = Goals.getCurrent(allGoals);
+        const links = Storage.getGoalLinks(allGoals);
+        const areas = LifeAreas.getActive(Storage.getLifeAreas());
+        const container = document.getElementById('life-wheel');
+        const compareSelect = document.getElementById('life-wheel-compare');
+        const dates = LifeAreas.getRatingDates(areas);
+
+        document.getElementById('life-wheel-due').textContent = LifeAreas.isRatingDue(areas)
+            ? (dates.length > 0
+                ? `Last rated ${Utils.formatDateShort(Utils.parseDateStr(dates[0]))}. Time for a fresh rating?`
+                : 'Rate each area from 1 to 10 to draw your wheel.')
+            : '';
+
+        // Compare with the rating before the latest unless another was picked
+        const earlier = dates.slice(1);
+        const compare = this.lifeWheelCompare === null ? earlier[0] || '' : this.lifeWheelCompare;
+        compareSelect.innerHTML = `<option value="">Nothing</option>${earlier.map(date => `
+            <option value="${date}" ${date === compare ? 'selected' : ''}>${Utils.formatDateShort(Utils.parseDateStr(date))}</option>
+        `).join('')}`;
+        compareSelect.disabled = earlier.length === 0;
+
+        if (areas.length < 3) {
+            container.innerHTML = '<p class="hint-text">Add at least three life areas to draw the wheel.</p>';
             return;
         }
 
-        container.innerHTML = habits.map(habit => `
-            <div class="habit-card" data-id="${habit.id}">
-                <div class="habit-info">
-                    <div class="habit-name">${Utils.sanitize(habit.name)}</div>
-                    <div class="habit-streak">
-                        🔥 <span class="streak-count">${habit.currentStreak}</span> day streak
-                    </div>
-                </div>
-                <div class="habit-week">
-                    ${weekDates.map(day => `
-                        <div class="habit-day ${habit.completedDates.includes(day.dateStr) ? 'completed' : ''} ${day.isToday ? 'today' : ''}" 
-                             data-date="${day.dateStr}" title="${day.dateStr}">
-                            ${day.dayName}
+        const size = 320;
+        const center = size / 2;
+        const radius = 110;
+        const points = values => LifeAreas.getWheelPoints(values, center, radius).map(p => `${p.x},${p.y}`).join(' ');
+        const ratingsOn = date => areas.map(area => {
+            const rating = LifeAreas.getRating(area, date);
+            return rating ? rating.value / LifeAreas.RATING_MAX : 0;
+        });
+
+        const spokes = LifeAreas.getWheelPoints(areas.map(() => 1), center, radius);
+        const labels = LifeAreas.getWheelPoints(areas.map(() => 1.18), center, radius);
+        const rings = [0.2, 0.4, 0.6, 0.8, 1].map(ring => `
+            <polygon class="life-wheel-ring" points="${points(areas.map(() => ring))}"></polygon>
+        `).join('');
+        const progress = areas.map(area => (Goals.getAreaProgress(goals, area.id, links) || 0) / 100);
+        const latest = dates.length > 0 ? ratingsOn(dates[0]) : null;
+        const dots = latest ? LifeAreas.getWheelPoints(latest, center, radius) : [];
+
+        container.innerHTML = `
+            <svg viewBox="0 0 ${size} ${size}" role="img" aria-label="Wheel of life">
+                ${rings}
+                ${spokes.map(p => `<line class="life-wheel-spoke" x1="${center}" y1="${center}" x2="${p.x}" y2="${p.y}"></line>`).join('')}
+                <polygon class="life-wheel-progress" points="${points(progress)}"></polygon>
+                ${compare ? `<polygon class="life-wheel-past" points="${points(ratingsOn(compare))}"></polygon>` : ''}
+                ${latest ? `<polygon class="life-wheel-rating" points="${points(latest)}"></polygon>` : ''}
+                ${dots.map((p, i) => `<circle cx="${p.x}" cy="${p.y}" r="4" fill="${areas[i].color}"></circle>`).join('')}
+                ${labels.map((p, i) => `
+                    <text class="life-wheel-label" x="${p.x}" y="${p.y}" text-anchor="middle" dominant-baseline="middle">
+                        <title>${Utils.sanitize(areas[i].name)}</title>${Utils.sanitize(areas[i].icon)}
+                    </text>
+                `).join('')}
+            </svg>
+        `;
+    },
+
+    showRateLifeAreas() {
+        const areas = LifeAreas.getActive(Storage.getLifeAreas());
+        if (areas.length === 0) {
+            Utils.showToast('Add a life area first', 'warning');
+            return;
+        }
+
+        this.openModal('Rate Your Life Areas', `
+            <p class="hint-text">How satisfied are you with each area right now? 1 is not at all, 10 is completely.</p>
+            <div class="area-rating-list">
+                ${areas.map(area => {
+                    const rating = LifeAreas.getRating(area);
+                    const value = rating ? rating.value : 5;
+                    return `
+                        <div class="area-rating-row">
+                            <label for="area-rating-${area.id}">${Utils.sanitize(area.icon)} ${Utils.sanitize(area.name)}</label>
+                            <input type="range" id="area-rating-${area.id}" data-id="${area.id}" min="${LifeAreas.RATING_MIN}" max="${LifeAreas.RATING_MAX}" value="${value}">
+                            <span class="area-rating-value">${value}</span>
                         </div>
-                    `).join('')}
-                </div>
+                    `;
+                }).join('')}
             </div>
-        `).join('');
+        `, () => {
+            const ratings = {};
+            document.querySelectorAll('#modal-body .area-rating-row input').forEach(input => {
+                ratings[input.dataset.id] = parseInt(input.value);
+            });
+            Storage.rateLifeAreas(ratings);
 
-        // Add click listeners
-        container.querySelectorAll('.habit-day').forEach(dayEl => {
-            dayEl.addEventListener('click', () => {
-                const habitId = dayEl.closest('.habit-card').dataset.id;
-                const dateStr = dayEl.dataset.date;
-                Storage.toggleHabitCompletion(habitId, dateStr);
-                this.renderHabitsView();
+            Utils.hideModal('generic-modal');
+            this.lifeWheelCompare = null;
+            this.renderGoalsView();
+            Utils.showToast('Ratings saved', 'success');
+        }, 'Save Ratings');
+
+        document.querySelectorAll('#modal-body .area-rating-row input').forEach(input => {
+            input.addEventListener('input', () => {
+                input.nextElementSibling.textContent = input.value;
             });
         });
     },
 
-    showAddHabitModal() {
-        const modal = document.getElementById('generic-modal');
-        document.getElementById('modal-title').textContent = 'New Habit';
-        
-        document.getElementById('modal-body').innerHTML = `
-            <div class="form-group">
-                <label>Habit Name</label>
-                <input type="text" id="habit-name" class="form-input" placeholder="e.g., Meditate, Exercise, Read">
+    showLifeAreaEditor() {
+        this.openModal('Life Areas', '', () => Utils.hideModal('generic-modal'), 'Done');
+        this.renderLifeAreaEditor();
+    },
+
+    renderLifeAreaEditor() {
+        const areas = Storage.getLifeAreas();
+        const body = document.getElementById('modal-body');
+
+        body.innerHTML = `
+            <p class="hint-text">Retired areas keep their goals and ratings but leave the Goals view.</p>
+            <div class="area-editor-list">
+                ${areas.map((area, i) => `
+                    <div class="area-editor-row ${area.retired ? 'retired' : ''}" data-id="${area.id}">
+                        <input type="text" class="form-input area-editor-icon" maxlength="4" title="Icon">
+                        <input type="text" class="form-input area-editor-name" title="Name">
+                        <input type="color" class="area-editor-color" value="${area.color}" title="Colour">
+                        <button type="button" class="icon-btn area-editor-up" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                        <button type="button" class="icon-btn area-editor-down" title="Move down" ${i === areas.length - 1 ? 'disabled' : ''}>↓</button>
+                        <button type="button" class="btn btn-small btn-secondary area-editor-retire">${area.retired ? 'Restore' : 'Retire'}</button>
+                    </div>
+                `).join('')}
             </div>
-            <div class="form-group">
-                <label>Frequency</label>
-                <select id="habit-frequency" class="form-input">
-                    <option value="daily">Daily</option>
-                    <option value="weekdays">Weekdays</option>
-                    <option value="weekly">Weekly</option>
-                </select>
+            <div class="area-editor-row area-editor-new">
+                <input type="text" id="new-area-icon" class="form-input area-editor-icon" value="⭐" maxlength="4" title="Icon">
+                <input type="text" id="new-area-name" class="form-input area-editor-name" placeholder="Add a life area, e.g. Family">
+                <input type="color" id="new-area-color" class="area-editor-color" value="${LifeAreas.getNextColor(areas)}" title="Colour">
+                <button type="button" class="btn btn-small btn-primary" id="new-area-add">Add</button>
             </div>
         `;
 
-        Utils.showModal('generic-modal');
+        // Edits save as they're made; only moves, retirements and new areas redraw the list
+        const changed = () => {
+            this.renderLifeAreaEditor();
+            this.renderGoalsView();
+        };
+
+        body.querySelectorAll('.area-editor-list .area-editor-row').forEach(row => {
+            const id = row.dataset.id;
+            const area = areas.find(a => a.id === id);
+            const nameInput = row.querySelector('.area-editor-name');
+            const iconInput = row.querySelector('.area-editor-icon');
+            nameInput.value = area.name;
+            iconInput.value = area.icon;
+
+            nameInput.addEventListener('change', () => {
+                const name = nameInput.value.trim();
+                if (!name) {
+                    nameInput.value = area.name;
+                    return;
+                }
+                area.name = name;
+                Storage.updateLifeArea(id, { name });
+                this.renderGoalsView();
+            });
+            iconInput.addEventListener('change', () => {
+                const icon = iconInput.value.trim();
+                if (!icon) {
+                    iconInput.value = area.icon;
+                    return;
+                }
+                area.icon = icon;
+                Storage.updateLifeArea(id, { icon });
+                this.renderGoalsView();
+            });
+            row.querySelector('.area-editor-color').addEventListener('change', (e) => {
+                Storage.updateLifeArea(id, { color: e.target.value });
+                this.renderGoalsView();
+            });
+            row.querySelector('.area-editor-up').addEventListener('click', () => {
+                Storage.moveLifeArea(id, -1);
+                changed();
+            });
+            row.querySelector('.area-editor-down').addEventListener('click', () => {
+                Storage.moveLifeArea(id, 1);
+                changed();
+            });
+            row.querySelector('.area-editor-retire').addEventListener('click', () => {
+                Storage.updateLifeArea(id, { retired: !row.classList.contains('retired') });
+                changed();
+            });
+        });
 
-        document.getElementById('modal-save').onclick = () => {
-            const name = document.getElementById('habit-name').value.trim();
+        document.getElementById('new-area-add').addEventListener('click', () => {
+            const name = document.getElementById('new-area-name').value.trim();
             if (!name) {
-                Utils.showToast('Please enter a habit name', 'warning');
+                Utils.showToast('Please enter a name for the area', 'warning');
                 return;
             }
-
-            Storage.addHabit({
+            Storage.addLifeArea({
                 name,
-                frequency: document.getElementById('habit-frequency').value
+                icon: document.getElementById('new-area-icon').value.trim() || '⭐',
+                color: document.getElementById('new-area-color').value
             });
+            changed();
+        });
+    },
 
-            Utils.hideModal('generic-modal');
-            this.renderHabitsView();
-            Utils.showToast('Habit created! Start building your streak.', 'success');
-        };
+    // Life area by ID, retired ones included
+    getLifeArea(id) {
+        return Storage.getLifeAreas().find(area => area.id === id) || null;
     },
 
-    // ============================================
-    // GOALS VIEW
-    // ============================================
+    renderGoalTree() {
+        const allGoals = Storage.getGoals();
+        const links = Storage.getGoalLinks(allGoals);
+        const today = Utils.getTodayStr();
+        const goals = Goals.getCurrent(allGoals, today);
+        const weekStart = Utils.formatDateStr(Utils.getWeekStart(Utils.getToday()));
+        const todayOnly = document.getElementById('goal-tree-today').checked;
+        const container = document.getElementById('goal-tree');
+
+        // Today's tasks include occurrences of repeating tasks, which
+        // aren't stored on their own
+        const todayTasks = Storage.getTasksForDate(today).filter(t => t.goalId);
+
+        const taskLeaf = task => `
+            <li class="goal-tree-leaf ${task.completed ? 'done' : ''}" data-task-id="${task.id}">
+                <span class="goal-tree-check">${task.completed ? '✓' : '○'}</span>
+                <span class="goal-tree-title">${Utils.sanitize(task.title)}</span>
+                ${task.date === today
+                    ? '<span class="goal-tree-today">Today</span>'
+                    : `<span class="hint-text">${task.date ? Utils.formatDateShort(Utils.parseDateStr(task.date)) : 'Inbox'}</span>`}
+            </li>
+        `;
+        const objectiveLeaf = objective => `
+            <li class="goal-tree-leaf ${objective.completed ? 'done' : ''}">
+                <span class="goal-tree-check">${objective.completed ? '✓' : '○'}</span>
+                <span class="goal-tree-title">${Utils.sanitize(objective.title)}</span>
+                <span class="hint-text">Week of ${Utils.formatDateShort(Utils.parseDateStr(objective.weekStart))}</span>
+            </li>
+        `;
 
-    initGoalsView() {
-        // Life area cards click
-        document.querySelectorAll('.life-area-card').forEach(card => {
-            card.addEventListener('click', () => {
-                this.showLifeAreaGoals(card.dataset.area);
-            });
-        });
-    },
+        // With the filter on, a goal only shows when today's work leads to it
+        const goalNode = (goal, kind, area = goal.area) => {
+            const linked = links[goal.id] || { goals: [], objectives: [], tasks: [] };
+            const children = linked.goals
+                .filter(child => !Goals.isArchived(child, today))
+                .map(child => goalNode(child, 'Monthly'))
+                .filter(Boolean);
+            const tasks = todayTasks.filter(t => t.goalId === goal.id);
+            const objectives = [];
+            if (!todayOnly) {
+                tasks.push(...linked.tasks.filter(t => !t.recurrence && !t.completed && t.date !== today));
+                objectives.push(...linked.objectives.filter(o => !o.completed || o.weekStart === weekStart));
+            }
+            if (todayOnly && children.length === 0 && tasks.length === 0) return '';
 
-    renderGoalsView() {
-        const goals = Storage.getGoals();
+            const areaInfo = area ? this.getLifeArea(area) : null;
+            const leaves = children.join('') + objectives.map(objectiveLeaf).join('') + tasks.map(taskLeaf).join('');
+            return `
+                <li class="goal-tree-node">
+                    <div class="goal-tree-goal" data-goal-id="${goal.id}">
+                        <span class="goal-tree-kind">${kind}</span>
+                        <span class="goal-tree-title">${Utils.sanitize(goal.title)}</span>
+                        ${areaInfo ? `<span title="${Utils.sanitize(areaInfo.name)}">${Utils.sanitize(areaInfo.icon)}</span>` : ''}
+                        <span class="goal-tree-progress">${Goals.getProgress(goal, links)}%</span>
+                    </div>
+                    ${leaves ? `<ul>${leaves}</ul>` : ''}
+                </li>
+            `;
+        };
 
-        // Update each life area
-        Object.keys(goals.lifeAreas).forEach(area => {
-            const areaGoals = goals.lifeAreas[area] || [];
-            const container = document.getElementById(`${area}-goals`);
-            const card = document.querySelector(`.life-area-card[data-area="${area}"]`);
+        const yearlyIds = goals.yearly.map(g => g.id);
+        const roots = [
+            ...goals.yearly.map(goal => goalNode(goal, 'Yearly')),
+            ...goals.monthly.filter(g => !yearlyIds.includes(g.parentId)).map(goal => goalNode(goal, 'Monthly')),
+            ...LifeAreas.getActive(Storage.getLifeAreas())
+                .flatMap(area => (goals.lifeAreas[area.id] || []).map(goal => goalNode(goal, 'Life area', area.id)))
+        ].filter(Boolean);
+
+        if (roots.length === 0) {
+            container.innerHTML = `<li class="hint-text">${todayOnly
+                ? 'None of today\'s tasks are linked to a goal yet. Open a task and pick the goal it serves.'
+                : 'Add goals, then link weekly objectives and tasks to them to see how your work adds up.'}</li>`;
+            return;
+        }
 
-            if (container) {
-                container.innerHTML = areaGoals.slice(0, 3).map(g => 
-                    `<div class="area-goal">${Utils.sanitize(g.title)}</div>`
-                ).join('');
-            }
+        container.innerHTML = roots.join('');
 
-            // Update progress
-            if (card && areaGoals.length > 0) {
-                const avgProgress = areaGoals.reduce((sum, g) => sum + g.progress, 0) / areaGoals.length;
-                card.querySelector('.progress-fill').style.width = `${avgProgress}%`;
-                card.querySelector('.progress-text').textContent = `${Math.round(avgProgress)}% complete`;
-            }
+        container.querySelectorAll('.goal-tree-goal').forEach(row => {
+            row.addEventListener('click', () => this.showGoalDetail(row.dataset.goalId));
+        });
+        container.querySelectorAll('[data-task-id]').forEach(row => {
+            row.addEventListener('click', () => this.openTaskPanel(row.dataset.taskId));
         });
     },
 
     showLifeAreaGoals(area) {
-        const goals = Storage.getGoals();
-        const areaGoals = goals.lifeAreas[area] || [];
-        const areaNames = {
-            career: 'Career',
-            health: 'Health & Fitness',
-            relationships: 'Relationships',
-            finance: 'Finance',
-            learning: 'Learning',
-            creativity: 'Creativity'
-        };
+        const allGoals = Storage.getGoals();
+        const goals = Goals.getCurrent(allGoals);
+        const links = Storage.getGoalLinks(allGoals);
+        const areaGoals = Goals.getAreaGoals(goals, area);
+        const kindOf = goal => (goals.yearly.includes(goal) ? 'Yearly' : goals.monthly.includes(goal) ? 'Monthly' : '');
 
-        const modal = document.getElementById('generic-modal');
-        document.getElementById('modal-title').textContent = `${areaNames[area]} Goals`;
-        
-        document.getElementById('modal-body').innerHTML = `
+        this.openModal(`${this.getLifeArea(area).name} Goals`, `
             <div class="goals-list-modal">
                 ${areaGoals.length > 0 ? areaGoals.map(g => `
-                    <div class="goal-modal-item">
-                        <span>${Utils.sanitize(g.title)}</span>
-                        <div class="progress-bar"><div class="progress-fill" style="width: ${g.progress}%"></div></div>
+                    <div class="goal-modal-item" data-id="${g.id}" title="${Goals.getProgress(g, links)}% complete">
+                        <div class="goal-item-header">
+                            <span class="goal-item-title">${Utils.sanitize(g.title)}${kindOf(g) ? ` <span class="goal-tree-kind">${kindOf(g)}</span>` : ''}</span>
+                            ${this.renderGoalBadge(g, Goals.getProgress(g, links))}
+                            ${this.renderGoalActions()}
+                        </div>
+                        <div class="progress-bar"><div class="progress-fill" style="width: ${Goals.getProgress(g, links)}%"></div></div>
                     </div>
                 `).join('') : '<p class="hint-text">No goals in this area yet</p>'}
             </div>
             <div class="add-goal-form" style="margin-top: 16px;">
                 <input type="text" id="new-area-goal" class="form-input" placeholder="Add a new goal...">
             </div>
-        `;
-
-        document.getElementById('modal-save').textContent = 'Add Goal';
-        Utils.showModal('generic-modal');
-
-        document.getElementById('modal-save').onclick = () => {
+        `, () => {
             const title = document.getElementById('new-area-goal').value.trim();
             if (title) {
                 Storage.addGoal('lifeArea', { title }, area);
@@ -1224,48 +3960,487 @@ const App = {
             } else {
                 Utils.hideModal('generic-modal');
             }
-        };
+        }, 'Add Goal');
+
+        // Every action here opens another dialog in place of this one
+        this.bindGoalItems(document.getElementById('modal-body'), '.goal-modal-item', () => Utils.hideModal('generic-modal'));
     },
 
-    showAddGoalModal(type) {
-        const modal = document.getElementById('generic-modal');
-        document.getElementById('modal-title').textContent = type === 'yearly' ? 'Add Yearly Goal' : 'Add Monthly Goal';
-        
-        document.getElementById('modal-body').innerHTML = `
+    showGoalModal(type, goal = null, area = null, returnToDetail = false) {
+        const goals = Storage.getGoals();
+        const titles = { yearly: 'Yearly Goal', monthly: 'Monthly Goal', lifeArea: 'Goal' };
+        // New monthly goals go to the month on screen
+        const month = goal ? goal.month : Goals.getMonthKey(Utils.formatDateStr(this.currentMonth));
+        const defaultTarget = type === 'monthly'
+            ? Goals.getDefaultTargetDate('monthly', `${month}-01`)
+            : Goals.getDefaultTargetDate(type, Utils.getTodayStr());
+        this.openModal(`${goal ? 'Edit' : 'Add'} ${titles[type]}`, `
             <div class="form-group">
                 <label>Goal Title</label>
                 <input type="text" id="goal-title" class="form-input" placeholder="What do you want to achieve?">
             </div>
             <div class="form-group">
                 <label>Description (optional)</label>
-                <textarea id="goal-description" class="form-input" placeholder="Add more details..."></textarea>
+                <textarea id="goal-description" class="form-input" placeholder="Add more details...">${goal ? Utils.sanitize(goal.description || '') : ''}</textarea>
             </div>
-        `;
-
-        Utils.showModal('generic-modal');
-
-        document.getElementById('modal-save').onclick = () => {
+            <div class="form-row">
+                ${type === 'monthly' ? `
+                    <div class="form-group">
+                        <label>Month</label>
+                        <input type="month" id="goal-month" class="form-input" value="${month}">
+                    </div>
+                ` : ''}
+                <div class="form-group">
+                    <label>Target Date${type === 'lifeArea' ? ' (optional)' : ''}</label>
+                    <input type="date" id="goal-target-date" class="form-input" value="${goal ? goal.targetDate || '' : defaultTarget || ''}">
+                </div>
+                ${goal ? `
+                    <div class="form-group">
+                        <label>Status</label>
+                        <select id="goal-status" class="form-input">${this.renderStatusOptions(goal.status)}</select>
+                    </div>
+                ` : ''}
+            </div>
+            ${type !== 'lifeArea' ? `
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Life Area</label>
+                        <select id="goal-area" class="form-input">${this.renderAreaOptions(goal ? goal.area : null)}</select>
+                    </div>
+                    ${type === 'monthly' ? `
+                        <div class="form-group">
+                            <label>Part of Yearly Goal</label>
+                            <select id="goal-parent" class="form-input">${this.renderParentOptions(goals, goal ? goal.parentId : null)}</select>
+                        </div>
+                    ` : ''}
+                </div>
+            ` : ''}
+        `, () => {
             const title = document.getElementById('goal-title').value.trim();
             if (!title) {
                 Utils.showToast('Please enter a goal title', 'warning');
                 return;
             }
 
-            Storage.addGoal(type, {
+            const fields = {
                 title,
-                description: document.getElementById('goal-description').value.trim()
-            });
+                description: document.getElementById('goal-description').value.trim(),
+                targetDate: document.getElementById('goal-target-date').value || null
+            };
+            if (type !== 'lifeArea') fields.area = document.getElementById('goal-area').value || null;
+            if (type === 'monthly') {
+                fields.parentId = document.getElementById('goal-parent').value || null;
+                fields.month = document.getElementById('goal-month').value || month;
+            }
 
-            Utils.hideModal('generic-modal');
-            
-            if (type === 'yearly') {
-                this.renderYearlyGoals();
+            if (goal) {
+                Storage.updateGoal(goal.id, fields);
+                Storage.setGoalStatus(goal.id, document.getElementById('goal-status').value);
             } else {
-                this.renderMonthlyGoals();
+                Storage.addGoal(type, fields, area);
             }
-            
-            Utils.showToast('Goal added!', 'success');
-        };
+
+            Utils.hideModal('generic-modal');
+            if (returnToDetail) this.showGoalDetail(goal.id);
+            this.renderGoalLists();
+            Utils.showToast(goal ? 'Goal updated' : 'Goal added!', 'success');
+        });
+
+        if (goal) {
+            document.getElementById('goal-title').value = goal.title;
+        }
+
+        // A target left at the month's end follows the month
+        const monthInput = document.getElementById('goal-month');
+        if (monthInput) {
+            let lastMonth = month;
+            monthInput.addEventListener('change', () => {
+                const targetInput = document.getElementById('goal-target-date');
+                if (monthInput.value && targetInput.value === Goals.getDefaultTargetDate('monthly', `${lastMonth}-01`)) {
+                    targetInput.value = Goals.getDefaultTargetDate('monthly', `${monthInput.value}-01`);
+                }
+                lastMonth = monthInput.value || lastMonth;
+            });
+        }
+    },
+
+    editGoal(goalId) {
+        const found = Goals.findGoal(Storage.getGoals(), goalId);
+        if (!found) return;
+        // The detail sits above the generic modal; it comes back after saving
+        const fromDetail = document.getElementById('goal-detail').style.display === 'flex';
+        if (fromDetail) this.closeGoalDetail();
+        this.showGoalModal(found.type, found.goal, found.area, fromDetail);
+    },
+
+    deleteGoal(goalId) {
+        const found = Goals.findGoal(Storage.getGoals(), goalId);
+        if (!found) return;
+        if (!confirm(`Delete "${found.goal.title}" with its key results? Linked goals, objectives and tasks are kept.`)) return;
+
+        Storage.deleteGoal(goalId);
+        if (this.goalDetailId === goalId) this.closeGoalDetail();
+        this.renderGoalLists();
+        Utils.showToast('Goal deleted', 'success');
+    },
+
+    /**
+     * Edit and delete buttons for a row in a goal list
+     */
+    renderGoalActions() {
+        return `
+            <button type="button" class="icon-btn goal-edit" title="Edit goal">✎</button>
+            <button type="button" class="icon-btn goal-delete" title="Delete goal">&times;</button>
+        `;
+    },
+
+    // Rows open the goal detail; their buttons edit or delete instead
+    bindGoalItems(container, selector, beforeOpen = () => {}) {
+        container.querySelectorAll(selector).forEach(item => {
+            const goalId = item.dataset.id;
+            item.addEventListener('click', () => {
+                beforeOpen();
+                this.showGoalDetail(goalId);
+            });
+            item.querySelector('.goal-edit').addEventListener('click', (e) => {
+                e.stopPropagation();
+                beforeOpen();
+                this.editGoal(goalId);
+            });
+            item.querySelector('.goal-delete').addEventListener('click', (e) => {
+                e.stopPropagation();
+                beforeOpen();
+                this.deleteGoal(goalId);
+            });
+        });
+    },
+
+    // Paused goals say so; active ones show whether they're keeping pace
+    renderGoalBadge(goal, progress) {
+        if (goal.status !== 'active') {
+            return `<span class="goal-status goal-status-${goal.status}">${Goals.STATUS_LABELS[goal.status]}</span>`;
+        }
+        const pace = Goals.getPace(goal, progress);
+        if (!pace) return '';
+        return `<span class="goal-status goal-pace-${pace.state}" title="${pace.expected}% of the time to ${Utils.formatDateShort(Utils.parseDateStr(goal.targetDate))} has passed">${Goals.PACE_LABELS[pace.state]}</span>`;
+    },
+
+    renderStatusOptions(selected) {
+        return Goals.STATUSES.map(status => `
+            <option value="${status}" ${status === selected ? 'selected' : ''}>${Goals.STATUS_LABELS[status]}</option>
+        `).join('');
+    },
+
+    renderGoalOptions(goals, selectedId = null) {
+        const option = goal => `<option value="${goal.id}" ${goal.id === selectedId ? 'selected' : ''}>${Utils.sanitize(goal.title)}</option>`;
+        // Archived goals stay listed only where they're already chosen
+        const today = Utils.getTodayStr();
+        const listed = list => list.filter(goal => goal.id === selectedId || !Goals.isArchived(goal, today));
+        const groups = [
+            ['Yearly goals', listed(goals.yearly)],
+            ['Monthly goals', listed(goals.monthly)],
+            // Retired areas' goals stay listed only where they're already chosen
+            ...Storage.getLifeAreas().map(area => [
+                area.name,
+                listed(goals.lifeAreas[area.id] || []).filter(goal => !area.retired || goal.id === selectedId)
+            ])
+        ].filter(([, list]) => list.length > 0);
+
+        return `<option value="">No goal</option>${groups.map(([label, list]) => `
+            <optgroup label="${Utils.sanitize(label)}">${list.map(option).join('')}</optgroup>
+        `).join('')}`;
+    },
+
+    renderAreaOptions(selected = null) {
+        const areas = Storage.getLifeAreas().filter(area => !area.retired || area.id === selected);
+        return `<option value="">None</option>${areas.map(area => `
+            <option value="${area.id}" ${area.id === selected ? 'selected' : ''}>${Utils.sanitize(area.icon)} ${Utils.sanitize(area.name)}</option>
+        `).join('')}`;
+    },
+
+    renderParentOptions(goals, selectedId = null) {
+        return `<option value="">None</option>${goals.yearly.map(goal => `
+            <option value="${goal.id}" ${goal.id === selectedId ? 'selected' : ''}>${Utils.sanitize(goal.title)}</option>
+        `).join('')}`;
+    },
+
+    showGoalDetail(goalId) {
+        this.goalDetailId = goalId;
+        this.renderGoalDetail();
+        Utils.showModal('goal-detail');
+    },
+
+    closeGoalDetail() {
+        this.goalDetailId = null;
+        Utils.hideModal('goal-detail');
+    },
+
+    renderGoalLists() {
+        this.renderYearlyGoals();
+        this.renderMonthlyGoals();
+        this.renderGoalsView();
+    },
+
+    renderGoalDetail() {
+        const goals = Storage.getGoals();
+        const found = Goals.findGoal(goals, this.goalDetailId);
+        if (!found) return;
+
+        const { goal } = found;
+        const links = Storage.getGoalLinks(goals);
+        const linked = links[goal.id] || { goals: [], objectives: [], tasks: [] };
+        const work = Goals.getWorkProgress(linked);
+        const progress = Goals.getProgress(goal, links);
+        const keyResultCount = goal.keyResults.length > 0
+            ? ` · ${Goals.countKeyResultsDone(goal)}/${goal.keyResults.length} key results done`
+            : '';
+        const pace = Goals.getPace(goal, progress);
+        let due = '';
+        if (goal.closedAt) {
+            due = `${Goals.STATUS_LABELS[goal.status]} ${Utils.formatDateShort(Utils.parseDateStr(goal.closedAt))}`;
+        } else if (goal.targetDate) {
+            due = `Due ${Utils.formatDateShort(Utils.parseDateStr(goal.targetDate))}`;
+            if (pace && pace.state !== 'overdue') due += ` · ${pace.expected}% of the time used`;
+        }
+
+        document.getElementById('goal-detail-title').textContent = goal.title;
+        const body = document.getElementById('goal-detail-body');
+        body.innerHTML = `
+            ${goal.description ? `<p class="hint-text">${Utils.sanitize(goal.description)}</p>` : ''}
+            <div class="goal-detail-progress">
+                <div class="progress-bar"><div class="progress-fill" style="width: ${progress}%"></div></div>
+                <span class="hint-text">${progress}% complete${keyResultCount}</span>
+                <div class="goal-detail-pace">
+                    ${this.renderGoalBadge(goal, progress)}
+                    ${due ? `<span class="hint-text">${due}</span>` : ''}
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Status</label>
+                    <select id="goal-detail-status" class="form-input">${this.renderStatusOptions(goal.status)}</select>
+                </div>
+                <div class="goal-detail-actions">
+                    <button type="button" class="btn btn-small" id="goal-detail-edit">Edit</button>
+                    <button type="button" class="btn btn-small btn-danger" id="goal-detail-delete">Delete</button>
+                </div>
+            </div>
+            ${found.type !== 'lifeArea' ? `
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Life Area</label>
+                        <select id="goal-detail-area" class="form-input">${this.renderAreaOptions(goal.area)}</select>
+                    </div>
+                    ${found.type === 'monthly' ? `
+                        <div class="form-group">
+                            <label>Part of Yearly Goal</label>
+                            <select id="goal-detail-parent" class="form-input">${this.renderParentOptions(goals, goal.parentId)}</select>
+                        </div>
+                    ` : ''}
+                </div>
+            ` : ''}
+            ${linked.goals.length > 0 || work.total > 0 ? `
+                <h3 class="goal-detail-heading">Linked Work</h3>
+                <div class="goal-linked">
+                    ${linked.goals.map(child => `
+                        <div class="goal-linked-goal" data-goal-id="${child.id}">
+                            <span>${Utils.sanitize(child.title)}</span>
+                            <span class="hint-text">${Goals.getProgress(child, links)}%</span>
+                        </div>
+                    `).join('')}
+                    ${work.total > 0 ? `<p class="hint-text">${work.done}/${work.total} linked objectives and tasks done</p>` : ''}
+                </div>
+            ` : ''}
+            <h3 class="goal-detail-heading">Key Results</h3>
+            <div class="key-results-list">
+                ${goal.keyResults.length > 0
+                    ? goal.keyResults.map(kr => this.renderKeyResult(kr)).join('')
+                    : '<p class="hint-text">Add measurable key results and this goal\'s progress will follow them.</p>'}
+            </div>
+            <div class="key-result-form">
+                <h3 class="goal-detail-heading">Add Key Result</h3>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label>Key Result</label>
+                        <input type="text" id="kr-title" class="form-input" placeholder="e.g., Read 12 books">
+                    </div>
+                    <div class="form-group">
+                        <label>Measured by</label>
+                        <select id="kr-type" class="form-input">
+                            <option value="number">A number</option>
+                            <option value="checklist">A checklist</option>
+                        </select>
+                    </div>
+                </div>
+                <div class="form-row" id="kr-number-fields">
+                    <div class="form-group">
+                        <label>Start</label>
+                        <input type="number" id="kr-start" class="form-input" value="0" step="any">
+                    </div>
+                    <div class="form-group">
+                        <label>Target</label>
+                        <input type="number" id="kr-target" class="form-input" step="any" placeholder="e.g., 12">
+                    </div>
+                    <div class="form-group">
+                        <label>Unit (optional)</label>
+                        <input type="text" id="kr-unit" class="form-input" placeholder="e.g., books, kg, €">
+                    </div>
+                </div>
+                <div class="form-group" id="kr-checklist-fields" style="display: none;">
+                    <label>Items, one per line</label>
+                    <textarea id="kr-items" class="form-input" placeholder="Book the venue&#10;Send invites"></textarea>
+                </div>
+                <button type="button" class="btn btn-primary btn-small" id="kr-add">Add Key Result</button>
+            </div>
+        `;
+
+        document.getElementById('goal-detail-status').addEventListener('change', (e) => {
+            Storage.setGoalStatus(goal.id, e.target.value);
+            this.afterGoalChange();
+        });
+        document.getElementById('goal-detail-edit').addEventListener('click', () => this.editGoal(goal.id));
+        document.getElementById('goal-detail-delete').addEventListener('click', () => this.deleteGoal(goal.id));
+
+        const areaSelect = document.getElementById('goal-detail-area');
+        if (areaSelect) {
+            areaSelect.addEventListener('change', () => {
+                Storage.updateGoal(goal.id, { area: areaSelect.value || null });
+                this.afterGoalChange();
+            });
+        }
+        const parentSelect = document.getElementById('goal-detail-parent');
+        if (parentSelect) {
+            parentSelect.addEventListener('change', () => {
+                Storage.updateGoal(goal.id, { parentId: parentSelect.value || null });
+                this.afterGoalChange();
+            });
+        }
+        body.querySelectorAll('.goal-linked-goal').forEach(row => {
+            row.addEventListener('click', () => this.showGoalDetail(row.dataset.goalId));
+        });
+
+        const typeSelect = document.getElementById('kr-type');
+        typeSelect.addEventListener('change', () => {
+            document.getElementById('kr-number-fields').style.display = typeSelect.value === 'number' ? '' : 'none';
+            document.getElementById('kr-checklist-fields').style.display = typeSelect.value === 'checklist' ? '' : 'none';
+        });
+        document.getElementById('kr-add').addEventListener('click', () => this.addKeyResult(goal.id));
+
+        body.querySelectorAll('.key-result').forEach(row => {
+            const keyResultId = row.dataset.id;
+
+            row.querySelector('.key-result-delete').addEventListener('click', () => {
+                if (!confirm('Delete this key result and its check-ins?')) return;
+                Storage.deleteKeyResult(goal.id, keyResultId);
+                this.afterGoalChange();
+            });
+
+            const checkInBtn = row.querySelector('.key-result-checkin-btn');
+            if (checkInBtn) {
+                checkInBtn.addEventListener('click', () => {
+                    const value = parseFloat(row.querySelector('.key-result-input').value);
+                    if (!Number.isFinite(value)) {
+                        Utils.showToast('Please enter the current value', 'warning');
+                        return;
+                    }
+                    Storage.checkInKeyResult(goal.id, keyResultId, value, row.querySelector('.key-result-note').value.trim());
+                    this.afterGoalChange();
+                    Utils.showToast('Checked in', 'success');
+                });
+            }
+
+            row.querySelectorAll('.key-result-item input').forEach(checkbox => {
+                checkbox.addEventListener('change', () => {
+                    Storage.toggleKeyResultItem(goal.id, keyResultId, checkbox.dataset.item);
+                    this.afterGoalChange();
+                });
+            });
+        });
+    },
+
+    renderKeyResult(keyResult) {
+        const progress = Math.round(Goals.getKeyResultProgress(keyResult) * 100);
+        const checkIns = Goals.getCheckIns(keyResult);
+        const formatValue = value => (keyResult.type === 'checklist'
+            ? `${value}/${keyResult.items.length}`
+            : `${Math.round(value * 100) / 100}${keyResult.unit ? ' ' + keyResult.unit : ''}`);
+
+        return `
+            <div class="key-result ${progress >= 100 ? 'done' : ''}" data-id="${keyResult.id}">
+                <div class="key-result-header">
+                    <span class="key-result-title">${Utils.sanitize(keyResult.title)}</span>
+                    <span class="key-result-value">${Utils.sanitize(Goals.formatKeyResult(keyResult))}</span>
+                    <button type="button" class="icon-btn key-result-delete" title="Delete key result">&times;</button>
+                </div>
+                <div class="progress-bar"><div class="progress-fill" style="width: ${progress}%"></div></div>
+                ${keyResult.type === 'number' ? `
+                    <div class="key-result-checkin">
+                        <input type="number" class="form-input key-result-input" step="any" placeholder="New value">
+                        <input type="text" class="form-input key-result-note" placeholder="Note (optional)">
+                        <button type="button" class="btn btn-secondary btn-small key-result-checkin-btn">Check In</button>
+                    </div>
+                ` : `
+                    <div class="key-result-items">
+                        ${keyResult.items.map(item => `
+                            <label class="key-result-item">
+                                <input type="checkbox" data-item="${item.id}" ${item.done ? 'checked' : ''}>
+                                <span>${Utils.sanitize(item.text)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                `}
+                ${checkIns.length > 0 ? `
+                    <details class="key-result-history">
+                        <summary>History (${checkIns.length})</summary>
+                        <ul>
+                            ${checkIns.map(c => `
+                                <li>
+                                    <span class="key-result-history-date">${Utils.formatDateShort(Utils.parseDateStr(c.date))}</span>
+                                    <span>${Utils.sanitize(formatValue(c.value))}</span>
+                                    ${c.note ? `<span class="hint-text">${Utils.sanitize(c.note)}</span>` : ''}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </details>
+                ` : ''}
+            </div>
+        `;
+    },
+
+    addKeyResult(goalId) {
+        const title = document.getElementById('kr-title').value.trim();
+        const type = document.getElementById('kr-type').value;
+        if (!title) {
+            Utils.showToast('Please describe the key result', 'warning');
+            return;
+        }
+
+        let keyResult;
+        if (type === 'checklist') {
+            const items = document.getElementById('kr-items').value.split('\n').map(item => item.trim()).filter(Boolean);
+            if (items.length === 0) {
+                Utils.showToast('Add at least one checklist item', 'warning');
+                return;
+            }
+            keyResult = { title, type, items };
+        } else {
+            const start = parseFloat(document.getElementById('kr-start').value) || 0;
+            const target = parseFloat(document.getElementById('kr-target').value);
+            if (!Number.isFinite(target) || target === start) {
+                Utils.showToast('Set a target different from the start', 'warning');
+                return;
+            }
+            keyResult = { title, type, start, target, unit: document.getElementById('kr-unit').value.trim() };
+        }
+
+        Storage.addKeyResult(goalId, keyResult);
+        this.afterGoalChange();
+        Utils.showToast('Key result added', 'success');
+    },
+
+    afterGoalChange() {
+        this.renderGoalDetail();
+        this.renderGoalLists();
     },
 
     // ============================================
@@ -1283,7 +4458,7 @@ const App = {
     },
 
     renderAnalyticsView(range = 'week') {
-        const today = new Date();
+        const today = Utils.getToday();
         let startDate, endDate;
 
         if (range === 'week') {
@@ -1315,8 +4490,17 @@ const App = {
         // Render patterns chart
         this.renderPatternsChart(startDate, endDate);
 
+        // Render planned vs actual time
+        this.renderTimeTracking(Utils.formatDateStr(startDate), Utils.formatDateStr(endDate));
+
+        // Render distraction report
+        this.renderDistractionReport(Utils.formatDateStr(startDate), Utils.formatDateStr(endDate));
+
         // Render streaks
         this.renderStreaks();
+
+        // Render chronic deferrals
+        this.renderDeferrals();
     },
 
     renderTaskCompletionChart(startDate, endDate) {
@@ -1372,8 +4556,121 @@ const App = {
         `;
     },
 
+    renderTimeTracking(startStr, endStr) {
+        const tracking = Storage.getTimeTracking(startStr, endStr);
+        const summary = document.getElementById('time-tracking');
+        const breakdown = document.getElementById('category-breakdown');
+        const { planned, actual } = tracking.totals;
+
+        if (planned === 0 && actual === 0) {
+            summary.innerHTML = '<p class="hint-text">Complete tasks or run focus sessions to compare estimates with reality</p>';
+            breakdown.innerHTML = '<p class="hint-text">No focus time logged yet</p>';
+            return;
+        }
+
+        // Per-category bars, actual drawn over planned
+        const categories = Object.keys(tracking.categories);
+        const maxCategory = Math.max(...categories.map(c => Math.max(tracking.categories[c].planned, tracking.categories[c].actual)), 1);
+        breakdown.innerHTML = categories.map(c => {
+            const entry = tracking.categories[c];
+            return `
+                <div class="category-row" title="${Utils.formatDuration(entry.actual)} actual of ${Utils.formatDuration(entry.planned)} planned">
+                    <span class="category-label">${Utils.getCategoryIcon(c)} ${c.charAt(0).toUpperCase() + c.slice(1)}</span>
+                    <div class="category-bar">
+                        <div class="category-planned" style="width: ${(entry.planned / maxCategory) * 100}%"></div>
+                        <div class="category-fill ${c}" style="width: ${(entry.actual / maxCategory) * 100}%"></div>
+                    </div>
+                    <span class="category-value">${Utils.formatDuration(entry.actual)}</span>
+                </div>
+            `;
+        }).join('');
+
+        // Per-day paired bars
+        const dayKeys = [];
+        for (let d = startStr; d <= endStr; d = Recurrence.addDays(d, 1)) dayKeys.push(d);
+        const maxDay = Math.max(...dayKeys.map(d => {
+            const entry = tracking.days[d] || { planned: 0, actual: 0 };
+            return Math.max(entry.planned, entry.actual);
+        }), 1);
+
+        // Tasks furthest off their estimate first
+        const tasks = [...tracking.tasks]
+            .sort((a, b) => Math.abs(b.actual - b.planned) - Math.abs(a.actual - a.planned))
+            .slice(0, 5);
+
+        const ratio = planned > 0 ? Math.round((actual / planned) * 100) : null;
+
+        summary.innerHTML = `
+            <div class="tracking-totals">
+                <span><span class="tracking-swatch planned"></span>Planned <strong>${Utils.formatDuration(planned)}</strong></span>
+                <span><span class="tracking-swatch actual"></span>Actual <strong>${Utils.formatDuration(actual)}</strong></span>
+                ${ratio !== null ? `<span class="tracking-ratio">${ratio}% of estimate</span>` : ''}
+            </div>
+            <div class="tracking-days">
+                ${dayKeys.map(d => {
+                    const entry = tracking.days[d] || { planned: 0, actual: 0 };
+                    return `
+                        <div class="tracking-day" title="${Utils.formatDateShort(Utils.parseDateStr(d))}: ${Utils.formatDuration(entry.actual)} actual of ${Utils.formatDuration(entry.planned)} planned">
+                            <div class="tracking-bar planned" style="height: ${(entry.planned / maxDay) * 100}%"></div>
+                            <div class="tracking-bar actual" style="height: ${(entry.actual / maxDay) * 100}%"></div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <div class="tracking-tasks">
+                ${tasks.map(({ task, planned: p, actual: a }) => `
+                    <div class="tracking-task" data-id="${task.id}">
+                        <span class="tracking-task-name">${Utils.sanitize(task.title)}</span>
+                        <span class="tracking-task-time">${Utils.formatDuration(a)} / ${Utils.formatDuration(p)}</span>
+                        ${a !== p ? `<span class="tracking-diff ${a > p ? 'over' : 'under'}">${a > p ? '+' : '−'}${Utils.formatDuration(Math.abs(a - p))}</span>` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        summary.querySelectorAll('.tracking-task').forEach(item => {
+            item.addEventListener('click', () => this.openTaskPanel(item.dataset.id));
+        });
+    },
+
+    renderDistractionReport(startStr, endStr) {
+        const report = Storage.getDistractionReport(startStr, endStr);
+        const container = document.getElementById('distraction-report');
+
+        if (report.total === 0) {
+            container.innerHTML = '<p class="hint-text">No distractions logged. Use "I got distracted" in focus mode to capture them.</p>';
+            return;
+        }
+
+        const internalPct = Math.round((report.internal / report.total) * 100);
+        const peakHour = report.byHour.indexOf(Math.max(...report.byHour));
+
+        container.innerHTML = `
+            <div class="big-stat">
+                <span class="big-number">${report.total}</span>
+                <span class="big-label">logged</span>
+            </div>
+            <div class="distraction-split" title="${report.internal} internal, ${report.external} external">
+                <div class="distraction-split-fill internal" style="width: ${internalPct}%"></div>
+                <div class="distraction-split-fill external" style="width: ${100 - internalPct}%"></div>
+            </div>
+            <div class="distraction-split-legend">
+                <span>Internal ${report.internal}</span>
+                <span>External ${report.external}</span>
+            </div>
+            <p class="stat-description">
+                ${report.perSession !== null ? `${report.perSession} per focus session. ` : ''}Most often around ${Utils.formatTime(Utils.minutesToTime(peakHour * 60))}.
+            </p>
+            <div class="distraction-notes">
+                ${report.recent.filter(d => d.note).map(d => `
+                    <div class="distraction-note ${d.kind}">${Utils.sanitize(d.note)}</div>
+                `).join('')}
+            </div>
+        `;
+    },
+
     renderStreaks() {
-        const habits = Storage.getHabits();
+        const habits = Storage.getHabits().filter(h => !h.archivedAt);
         const container = document.getElementById('streaks-list');
 
         if (habits.length === 0) {
@@ -1381,17 +4678,43 @@ const App = {
             return;
         }
 
-        const sorted = [...habits].sort((a, b) => b.currentStreak - a.currentStreak);
+        const sorted = habits
+            .map(h => ({ ...h, currentStreak: Habits.getCurrentStreak(h) }))
+            .sort((a, b) => b.currentStreak - a.currentStreak);
 
         container.innerHTML = sorted.slice(0, 5).map(h => `
             <div class="streak-item">
                 <div class="streak-icon">🔥</div>
                 <div class="streak-info">
                     <div class="streak-name">${Utils.sanitize(h.name)}</div>
-                    <div class="streak-days">${h.currentStreak} day streak</div>
+                    <div class="streak-days">${h.currentStreak} ${Habits.getStreakUnit(h)} streak</div>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    renderDeferrals() {
+        const tasks = Storage.getChronicDeferrals();
+        const container = document.getElementById('deferrals-list');
+
+        if (tasks.length === 0) {
+            container.innerHTML = '<p class="hint-text">Nothing keeps getting pushed back</p>';
+            return;
+        }
+
+        container.innerHTML = tasks.slice(0, 5).map(t => `
+            <div class="deferral-item" data-id="${t.id}">
+                <div class="deferral-count">${t.deferCount}×</div>
+                <div class="deferral-info">
+                    <div class="deferral-name">${Utils.sanitize(t.title)}</div>
+                    <div class="deferral-meta">${t.date ? `Now on ${Utils.formatDateShort(Utils.parseDateStr(t.date))}` : 'In the Inbox'}</div>
                 </div>
             </div>
         `).join('');
+
+        container.querySelectorAll('.deferral-item').forEach(item => {
+            item.addEventListener('click', () => this.openTaskPanel(item.dataset.id));
+        });
     },
 
     // ============================================
@@ -1408,11 +4731,38 @@ const App = {
         document.getElementById('settings-capacity').value = settings.dailyCapacity;
         document.getElementById('settings-pomodoro').value = settings.pomodoroLength;
         document.getElementById('settings-break').value = settings.breakLength;
+        document.getElementById('settings-long-break').value = settings.longBreakLength;
+        document.getElementById('settings-cycles').value = settings.pomodoroCycles;
+        document.getElementById('settings-auto-advance').checked = settings.pomodoroAutoAdvance;
+        document.getElementById('settings-notifications').checked = settings.notificationsEnabled;
+        document.getElementById('settings-chime-volume').value = settings.chimeVolume;
+        document.getElementById('settings-ambient').value = settings.ambientSound;
+        document.getElementById('settings-ambient-volume').value = settings.ambientVolume;
+        document.getElementById('settings-rollover').value = settings.rolloverPolicy;
+        document.getElementById('settings-buffer').value = settings.scheduleBuffer;
+        document.getElementById('settings-lunch-start').value = settings.lunchStart;
+        document.getElementById('settings-lunch-duration').value = settings.lunchDuration;
+        this.renderTimeZoneOptions(settings.timeZone);
+        document.getElementById('settings-day-start').value = settings.dayStartHour;
 
         Utils.showModal('settings-modal');
     },
 
+    renderTimeZoneOptions(selected) {
+        const deviceZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+        if (selected && !zones.includes(selected)) zones.unshift(selected);
+
+        const select = document.getElementById('settings-time-zone');
+        select.innerHTML = `
+            <option value="">This device (${Utils.sanitize(deviceZone)})</option>
+            ${zones.map(zone => `<option value="${zone}">${zone.replace(/_/g, ' ')}</option>`).join('')}
+        `;
+        select.value = selected;
+    },
+
     saveSettings() {
+        const previousDay = Utils.getDayConfig();
         const user = Storage.getUser() || {};
         user.name = document.getElementById('settings-name').value.trim();
         Storage.setUser(user);
@@ -1422,10 +4772,32 @@ const App = {
             workEnd: document.getElementById('settings-work-end').value,
             dailyCapacity: parseInt(document.getElementById('settings-capacity').value),
             pomodoroLength: parseInt(document.getElementById('settings-pomodoro').value),
-            breakLength: parseInt(document.getElementById('settings-break').value)
+            breakLength: parseInt(document.getElementById('settings-break').value),
+            longBreakLength: parseInt(document.getElementById('settings-long-break').value),
+            pomodoroCycles: Math.max(1, parseInt(document.getElementById('settings-cycles').value) || 1),
+            pomodoroAutoAdvance: document.getElementById('settings-auto-advance').checked,
+            notificationsEnabled: document.getElementById('settings-notifications').checked,
+            chimeVolume: parseInt(document.getElementById('settings-chime-volume').value),
+            ambientSound: document.getElementById('settings-ambient').value,
+            ambientVolume: parseInt(document.getElementById('settings-ambient-volume').value),
+            rolloverPolicy: document.getElementById('settings-rollover').value,
+            scheduleBuffer: Math.max(0, parseInt(document.getElementById('settings-buffer').value) || 0),
+            lunchStart: document.getElementById('settings-lunch-start').value || '12:00',
+            lunchDuration: Math.max(0, parseInt(document.getElementById('settings-lunch-duration').value) || 0),
+            timeZone: document.getElementById('settings-time-zone').value,
+            dayStartHour: parseInt(document.getElementById('settings-day-start').value) || 0
         });
 
         this.loadUserData();
+        this.updateFocusSound();
+
+        // "Today" may have moved, so redraw everything keyed by date
+        const day = Utils.getDayConfig();
+        if (day.timeZone !== previousDay.timeZone || day.dayStartHour !== previousDay.dayStartHour) {
+            this.currentWeek = Utils.getWeekStart(Utils.getToday());
+            this.currentMonth = Utils.getToday();
+            this.refreshCurrentView();
+        }
         Utils.hideModal('settings-modal');
         Utils.showToast('Settings saved!', 'success');
     },
@@ -1451,12 +4823,20 @@ const App = {
             if (file) {
                 const reader = new FileReader();
                 reader.onload = (event) => {
-                    if (Storage.importData(event.target.result)) {
-                        Utils.showToast('Data imported successfully!', 'success');
+                    const result = Storage.importData(event.target.result);
+                    if (result.success) {
+                        const { repaired, dropped } = result.report;
+                        if (dropped > 0) {
+                            Utils.showToast(`Data imported. ${dropped} invalid item${dropped === 1 ? '' : 's'} skipped.`, 'warning', 5000);
+                        } else if (repaired > 0) {
+                            Utils.showToast(`Data imported. ${repaired} item${repaired === 1 ? '' : 's'} repaired.`, 'success');
+                        } else {
+                            Utils.showToast('Data imported successfully!', 'success');
+                        }
                         this.refreshCurrentView();
                         this.loadUserData();
                     } else {
-                        Utils.showToast('Failed to import data', 'error');
+                        Utils.showToast(`Failed to import data: ${result.error}`, 'error');
                     }
                 };
                 reader.readAsText(file);
@@ -1480,9 +4860,21 @@ const App = {
     // ============================================
 
     setupEventListeners() {
+        // Storage failures
+        window.addEventListener('zenith:storage-error', (e) => {
+            const message = e.detail.quotaExceeded
+                ? 'Storage is full. Export a backup, then remove old data.'
+                : 'Could not save your changes. Try exporting a backup.';
+            Utils.showToast(message, 'error', 6000);
+        });
+
         // Navigation
         document.querySelectorAll('.nav-item').forEach(item => {
             item.addEventListener('click', () => {
+                // "Today" always brings the daily view back to today
+                if (item.dataset.view === 'daily') {
+                    this.currentDate = null;
+                }
                 this.switchView(item.dataset.view);
             });
         });
@@ -1517,6 +4909,35 @@ const App = {
             this.resetData();
         });
 
+        // Focus sounds
+        document.getElementById('settings-notifications').addEventListener('change', async (e) => {
+            if (!e.target.checked) return;
+            const allowed = await Utils.requestNotificationPermission();
+            if (!allowed) {
+                e.target.checked = false;
+                Utils.showToast('Notifications are blocked in this browser', 'warning');
+            }
+        });
+
+        document.getElementById('test-chime').addEventListener('click', () => {
+            Sounds.playChime('focusEnd', parseInt(document.getElementById('settings-chime-volume').value));
+        });
+
+        document.getElementById('test-ambient').addEventListener('click', () => {
+            Sounds.stopAmbient();
+            Sounds.startAmbient(
+                document.getElementById('settings-ambient').value,
+                parseInt(document.getElementById('settings-ambient-volume').value)
+            );
+            // Short preview, then back to whatever focus mode wants
+            setTimeout(() => this.updateFocusSound(), 3000);
+        });
+
+        // Repaint the focus timer as soon as a throttled tab comes back
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.tickFocusTimer();
+        });
+
         // Generic modal
         document.getElementById('close-modal').addEventListener('click', () => {
             Utils.hideModal('generic-modal');
@@ -1557,6 +4978,28 @@ const App = {
         // M - Switch to monthly
         Utils.registerShortcut('m', () => this.switchView('monthly'));
 
+        // Arrow keys - Previous / next day; other views keep arrow scrolling
+        const inDailyView = () => this.currentView === 'daily';
+        Utils.registerShortcut('arrowleft', () => {
+            this.goToDay(Recurrence.addDays(this.getDailyDate(), -1));
+        }, { when: inDailyView });
+
+        Utils.registerShortcut('arrowright', () => {
+            this.goToDay(Recurrence.addDays(this.getDailyDate(), 1));
+        }, { when: inDailyView });
+
+        // I - Switch to inbox
+        Utils.registerShortcut('i', () => this.switchView('inbox'));
+
+        // C - Quick capture to inbox
+        Utils.registerShortcut('c', () => {
+            if (this.focusState && !this.focusState.minimized) {
+                this.showDistractionCapture();
+            } else {
+                this.showQuickCapture();
+            }
+        });
+
         // H - Switch to habits
         Utils.registerShortcut('h', () => this.switchView('habits'));
 
@@ -1566,7 +5009,11 @@ const App = {
                 modal.style.display = 'none';
             });
             document.body.style.overflow = '';
-            this.stopFocusMode();
+
+            // Keep the timer running; stopping is an explicit choice
+            if (this.focusState && !this.focusState.minimized) {
+                this.minimizeFocusMode();
+            }
         });
 
         // Ctrl+S - Save/Settings
@@ -1576,7 +5023,11 @@ const App = {
 
 // Initialize app when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    App.init();
+    App.init().catch(error => {
+        console.error('Error starting Zenith:', error);
+        // Leave it up for a while; the app may be half set up behind it
+        Utils.showToast('Zenith could not start. Try reloading the page; details are in the console.', 'error', 60000);
+    });
 });
 
 // Export for debugging
@@ -0,0 +1,345 @@
+/**
+ * ZENITH DIGITAL PLANNER - Goals
+ * Key results and the progress they add up to
+ *
+ * Goals live in three lists (`yearly`, `monthly` and `lifeAreas[area]`) and
+ * each may carry OKR-style key results, one of:
+ *   { type: 'number', start: 0, target: 12, current: 3, unit: 'books' }
+ *   { type: 'checklist', items: [{ id, text, done }] }
+ *
+ * Every key result keeps a `checkIns` history of { date, at, value, note },
+ * where value is the new current value (or the number of ticked items).
+ *
+ * Monthly goals belong to one `month` (YYYY-MM). When a month ends, its
+ * unfinished goals wait for review: they're carried forward into the new
+ * month (noting `carriedFrom`), rescheduled to a later one, marked
+ * achieved or dropped.
+ *
+ * Goals form a cascade: a monthly goal may belong to a yearly goal
+ * (`parentId`), yearly and monthly goals may be tagged with a life area
+ * (`area`), and weekly objectives and tasks may link to any goal (`goalId`).
+ *
+ * A goal's progress is the average of its parts: each key result, each
+ * child goal, and its linked objectives and one-off tasks taken together
+ * as a single share done. Goals with none of these keep the plain 0-100
+ * `progress` they were stored with.
+ *
+ * Every goal has a `status` (active, paused, achieved or abandoned) and
+ * usually a `targetDate`. Achieved and abandoned goals record `closedAt`
+ * and move to the archive for that year, as do open goals whose target
+ * year is over.
+ */
+
+const Goals = {
+    KEY_RESULT_TYPES: ['number', 'checklist'],
+
+    STATUSES: ['active', 'paused', 'achieved', 'abandoned'],
+    STATUS_LABELS: { active: 'Active', paused: 'Paused', achieved: 'Achieved', abandoned: 'Abandoned' },
+
+    PACE_LABELS: { 'on-track': 'On track', behind: 'Behind', overdue: 'Overdue' },
+
+    // Percentage points a goal may trail the calendar before it counts as behind
+    PACE_TOLERANCE: 10,
+
+    // ============================================
+    // KEY RESULTS
+    // ============================================
+
+    /**
+     * How far a key result has come
+     * @param {Object} keyResult - Key result
+     * @returns {number} Fraction done, 0-1
+     */
+    getKeyResultProgress(keyResult) {
+        if (keyResult.type === 'checklist') {
+            if (keyResult.items.length === 0) return 0;
+            return keyResult.items.filter(item => item.done).length / keyResult.items.length;
+        }
+
+        // Works for targets below the start too, like a weight to lose
+        const span = keyResult.target - keyResult.start;
+        if (span === 0) return keyResult.current === keyResult.target ? 1 : 0;
+        return Math.min(1, Math.max(0, (keyResult.current - keyResult.start) / span));
+    },
+
+    /**
+     * Describe where a key result stands (e.g. "3/12 books", "2/5 done")
+     * @param {Object} keyResult - Key result
+     * @returns {string}
+     */
+    formatKeyResult(keyResult) {
+        if (keyResult.type === 'checklist') {
+            return `${keyResult.items.filter(item => item.done).length}/${keyResult.items.length} done`;
+        }
+        const round = n => Math.round(n * 100) / 100;
+        return `${round(keyResult.current)}/${round(keyResult.target)}${keyResult.unit ? ' ' + keyResult.unit : ''}`;
+    },
+
+    /**
+     * Check-ins for a key result, newest first
+     * @param {Object} keyResult - Key result
+     * @returns {Array} Check-ins
+     */
+    getCheckIns(keyResult) {
+        return [...keyResult.checkIns].sort((a, b) => b.at.localeCompare(a.at));
+    },
+
+    // ============================================
+    // GOAL PROGRESS
+    // ============================================
+
+    /**
+     * Progress of a goal
+     * @param {Object} goal - Goal
+     * @param {Object} [links] - From buildLinks; without it only key results count
+     * @returns {number} Percent complete, 0-100
+     */
+    getProgress(goal, links = null) {
+        const parts = (goal.keyResults || []).map(kr => this.getKeyResultProgress(kr));
+
+        const linked = links && links[goal.id];
+        if (linked) {
+            linked.goals
+                .filter(child => child.status !== 'abandoned')
+                .forEach(child => parts.push(this.getProgress(child, links) / 100));
+            const work = this.getWorkProgress(linked);
+            if (work.total > 0) parts.push(work.done / work.total);
+        }
+
+        if (parts.length === 0) return Math.round(goal.progress || 0);
+        return Math.round(parts.reduce((sum, part) => sum + part, 0) / parts.length * 100);
+    },
+
+    /**
+     * Count a goal's finished key results
+     * @param {Object} goal - Goal
+     * @returns {number}
+     */
+    countKeyResultsDone(goal) {
+        return (goal.keyResults || []).filter(kr => this.getKeyResultProgress(kr) >= 1).length;
+    },
+
+    // ============================================
+    // HIERARCHY
+    // ============================================
+
+    /**
+     * Index everything linked beneath each goal
+     * @param {Object} goals - Goals object from Storage.getGoals()
+     * @param {Array} tasks - Stored tasks
+     * @param {Array} objectives - Weekly objectives from every week
+     * @returns {Object} Map of goal ID to { goals, objectives, tasks }
+     */
+    buildLinks(goals, tasks, objectives) {
+        const links = {};
+        const linksOf = id => links[id] || (links[id] = { goals: [], objectives: [], tasks: [] });
+
+        goals.monthly.forEach(goal => {
+            if (goal.parentId) linksOf(goal.parentId).goals.push(goal);
+        });
+        // Dropped objectives no longer count toward anything
+        objectives.forEach(objective => {
+            if (objective.goalId && !objective.dropped) linksOf(objective.goalId).objectives.push(objective);
+        });
+        tasks.forEach(task => {
+            if (task.goalId) linksOf(task.goalId).tasks.push(task);
+        });
+        return links;
+    },
+
+    /**
+     * Count finished work linked directly to a goal. Repeating tasks never
+     * finish, so only one-off tasks count.
+     * @param {Object} linked - Entry from buildLinks
+     * @returns {Object} { done, total }
+     */
+    getWorkProgress(linked) {
+        const work = [...linked.objectives, ...linked.tasks.filter(t => !t.recurrence)];
+        return { done: work.filter(item => item.completed).length, total: work.length };
+    },
+
+    /**
+     * Average progress of a life area's goals
+     * @param {Object} goals - Goals object, usually only current goals
+     * @param {string} area - Life area ID
+     * @param {Object} links - From buildLinks
+     * @returns {number|null} Percent complete, or null when the area has no goals
+     */
+    getAreaProgress(goals, area, links) {
+        const areaGoals = this.getAreaGoals(goals, area);
+        if (areaGoals.length === 0) return null;
+        return Math.round(areaGoals.reduce((sum, goal) => sum + this.getProgress(goal, links), 0) / areaGoals.length);
+    },
+
+    /**
+     * Goals that belong to a life area: those filed under it and the
+     * yearly and monthly goals tagged with it
+     * @param {Object} goals - Goals object
+     * @param {string} area - Life area key
+     * @returns {Array} Goals
+     */
+    getAreaGoals(goals, area) {
+        const tagged = [...goals.yearly, ...goals.monthly].filter(g => g.area === area);
+        return [...(goals.lifeAreas[area] || []), ...tagged];
+    },
+
+    // ============================================
+    // MONTHS
+    // ============================================
+
+    /**
+     * Month a date falls in
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {string} Month key (YYYY-MM)
+     */
+    getMonthKey(dateStr) {
+        return dateStr.slice(0, 7);
+    },
+
+    /**
+     * Monthly goals set for a month
+     * @param {Object} goals - Goals object
+     * @param {string} month - Month key (YYYY-MM)
+     * @returns {Array} Goals
+     */
+    getMonthGoals(goals, month) {
+        return goals.monthly.filter(goal => goal.month === month);
+    },
+
+    /**
+     * Open monthly goals left over from months before this one
+     * @param {Object} goals - Goals object
+     * @param {string} month - Current month key (YYYY-MM)
+     * @returns {Array} Goals, oldest month first
+     */
+    getUnfinishedMonthly(goals, month) {
+        return goals.monthly
+            .filter(goal => goal.month < month && !this.isClosed(goal))
+            .sort((a, b) => a.month.localeCompare(b.month));
+    },
+
+    // ============================================
+    // LIFECYCLE
+    // ============================================
+
+    /**
+     * Check whether a goal has been achieved or abandoned
+     * @param {Object} goal - Goal
+     * @returns {boolean}
+     */
+    isClosed(goal) {
+        return goal.status === 'achieved' || goal.status === 'abandoned';
+    },
+
+    /**
+     * Default deadline for a new goal: the end of the year or month it starts in
+     * @param {string} type - 'yearly', 'monthly' or 'lifeArea'
+     * @param {string} startDate - Date string (YYYY-MM-DD)
+     * @returns {string|null} Date string, or null for life-area goals
+     */
+    getDefaultTargetDate(type, startDate) {
+        if (type === 'yearly') return `${startDate.slice(0, 4)}-12-31`;
+        if (type === 'monthly') {
+            const [year, month] = startDate.split('-').map(Number);
+            return Recurrence.format(new Date(Date.UTC(year, month, 0)));
+        }
+        return null;
+    },
+
+    /**
+     * Day a goal was set, or for a monthly goal moved to a later month,
+     * the first of that month
+     * @param {Object} goal - Goal
+     * @returns {string} Date string (YYYY-MM-DD)
+     */
+    getStartDate(goal) {
+        const created = goal.createdAt ? Utils.toDateKey(goal.createdAt) : Utils.getTodayStr();
+        if (goal.month && `${goal.month}-01` > created) return `${goal.month}-01`;
+        return created;
+    },
+
+    /**
+     * Compare progress with how much of the time to the target date has passed
+     * @param {Object} goal - Goal
+     * @param {number} progress - Percent complete (see getProgress)
+     * @param {string} todayStr - Date string (YYYY-MM-DD)
+     * @returns {Object|null} { state: 'on-track'|'behind'|'overdue', expected } or
+     *   null for goals that aren't active or have no target date
+     */
+    getPace(goal, progress, todayStr = Utils.getTodayStr()) {
+        if (goal.status !== 'active' || !goal.targetDate) return null;
+        if (progress >= 100) return { state: 'on-track', expected: 100 };
+        if (todayStr > goal.targetDate) return { state: 'overdue', expected: 100 };
+
+        const start = this.getStartDate(goal);
+        const days = (from, to) => Math.round((Recurrence.parse(to) - Recurrence.parse(from)) / 86400000) + 1;
+        const total = days(start, goal.targetDate);
+        const elapsed = days(start, todayStr);
+        const expected = total > 0 ? Math.round(Math.min(1, Math.max(0, elapsed / total)) * 100) : 100;
+
+        return {
+            state: progress + this.PACE_TOLERANCE >= expected ? 'on-track' : 'behind',
+            expected
+        };
+    },
+
+    /**
+     * Year a goal is archived under
+     * @param {Object} goal - Goal
+     * @param {string} todayStr - Date string (YYYY-MM-DD)
+     * @returns {number|null} Null while the goal is still current
+     */
+    getArchiveYear(goal, todayStr = Utils.getTodayStr()) {
+        if (this.isClosed(goal)) return Number((goal.closedAt || todayStr).slice(0, 4));
+        if (goal.targetDate && goal.targetDate.slice(0, 4) < todayStr.slice(0, 4)) {
+            return Number(goal.targetDate.slice(0, 4));
+        }
+        return null;
+    },
+
+    /**
+     * Check whether a goal belongs in the archive rather than the current lists
+     * @param {Object} goal - Goal
+     * @param {string} todayStr - Date string (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    isArchived(goal, todayStr = Utils.getTodayStr()) {
+        return this.getArchiveYear(goal, todayStr) !== null;
+    },
+
+    /**
+     * Copy of the goals object holding only current goals
+     * @param {Object} goals - Goals object
+     * @param {string} todayStr - Date string (YYYY-MM-DD)
+     * @returns {Object} Goals object
+     */
+    getCurrent(goals, todayStr = Utils.getTodayStr()) {
+        const current = list => list.filter(goal => !this.isArchived(goal, todayStr));
+        const lifeAreas = {};
+        Object.keys(goals.lifeAreas).forEach(area => {
+            lifeAreas[area] = current(goals.lifeAreas[area]);
+        });
+        return { ...goals, yearly: current(goals.yearly), monthly: current(goals.monthly), lifeAreas };
+    },
+
+    /**
+     * Find a goal in the stored goals object
+     * @param {Object} goals - Goals object from Storage.getGoals()
+     * @param {string} id - Goal ID
+     * @returns {Object|null} { goal, type, area } where area is set for life-area goals
+     */
+    findGoal(goals, id) {
+        for (const type of ['yearly', 'monthly']) {
+            const goal = goals[type].find(g => g.id === id);
+            if (goal) return { goal, type, area: null };
+        }
+        for (const area of Object.keys(goals.lifeAreas)) {
+            const goal = goals.lifeAreas[area].find(g => g.id === id);
+            if (goal) return { goal, type: 'lifeArea', area };
+        }
+        return null;
+    }
+};
+
+// Export for use in other modules
+window.Goals = Goals;
@@ -0,0 +1,584 @@
+/**
+ * ZENITH DIGITAL PLANNER - Habit Schedules
+ * When a habit is due, and the streaks and rates that follow from it
+ *
+ * A habit's frequency looks like one of:
+ *   { type: 'daily' }
+ *   { type: 'weekdays', days: [1, 3, 5] }   // 0 (Sun) - 6 (Sat)
+ *   { type: 'weekly', times: 3 }            // any N days in a Monday-Sunday week
+ *   { type: 'interval', every: 2 }          // every N days from the start date
+ *
+ * Quantitative habits also have a `target` and `unit` and log an amount per
+ * day in `values`; a day counts as completed once it reaches the target, and
+ * Storage keeps `completedDates` in step so streaks work the same for both.
+ *
+ * An archived habit (`archivedAt` set) keeps its history but stops being
+ * due after that date.
+ *
+ * A due day that wasn't done can be excused instead of missed: skipped
+ * (`dayStates[date] = 'skip'`, planned ahead for today or later), frozen
+ * (`'freeze'`, spends a freeze earned by keeping a streak) or covered by a
+ * vacation range in settings. Excused days are left out of streaks and rates.
+ *
+ * Day-based habits (daily, weekdays, interval) count streaks in due days;
+ * days the habit isn't due neither extend nor break a streak. Weekly habits
+ * count streaks in weeks that met their target. Nothing before the habit's
+ * start date counts (or its first check-in, if earlier), and a due day that
+ * is still today never breaks a streak.
+ */
+
+const Habits = {
+    FREQUENCY_TYPES: ['daily', 'weekdays', 'weekly', 'interval'],
+
+    // A freeze is earned for every this many days (or weeks) in a row, up to MAX_FREEZES banked
+    FREEZE_EARN_EVERY: { day: 7, week: 4 },
+    MAX_FREEZES: 3,
+
+    EXCUSE_LABELS: { skip: 'Skipped', freeze: 'Frozen', vacation: 'Vacation' },
+
+    // ============================================
+    // SCHEDULE
+    // ============================================
+
+    /**
+     * Day the habit was set to start: its start date, or the day it was
+     * created for habits from before start dates existed
+     * @param {Object} habit - Habit
+     * @returns {string|null} Date string (YYYY-MM-DD)
+     */
+    getPlannedStart(habit) {
+        if (habit.startDate) return habit.startDate;
+        return habit.createdAt ? Utils.toDateKey(habit.createdAt) : null;
+    },
+
+    /**
+     * First day the habit counts from: the planned start, or the first
+     * check-in if one was logged before it
+     * @param {Object} habit - Habit
+     * @returns {string} Date string (YYYY-MM-DD)
+     */
+    getStartDate(habit) {
+        const firstEntry = [...habit.completedDates, ...Object.keys(habit.values || {})].sort()[0];
+        const candidates = [this.getPlannedStart(habit), firstEntry].filter(Boolean).sort();
+        return candidates[0] || Utils.getTodayStr();
+    },
+
+    /**
+     * Check whether a habit is due on a date
+     * @param {Object} habit - Habit
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    isDue(habit, dateStr) {
+        const start = this.getStartDate(habit);
+        if (dateStr < start) return false;
+        if (habit.archivedAt && dateStr > habit.archivedAt) return false;
+
+        const frequency = habit.frequency;
+        switch (frequency.type) {
+            case 'weekdays':
+                return frequency.days.includes(Recurrence.parse(dateStr).getUTCDay());
+            case 'interval': {
+                // Keep the planned rhythm even when check-ins go back further
+                const anchor = this.getPlannedStart(habit) || start;
+                const days = Math.round((Recurrence.parse(dateStr) - Recurrence.parse(anchor)) / 86400000);
+                const every = Math.max(1, frequency.every);
+                return ((days % every) + every) % every === 0;
+            }
+            default:
+                // Daily habits are due every day; weekly ones may be done on any day
+                return true;
+        }
+    },
+
+    /**
+     * Last day the habit counts up to: the given day, or its archive date if earlier
+     * @param {Object} habit - Habit
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {string} Date string (YYYY-MM-DD)
+     */
+    getEndDate(habit, dateStr) {
+        return habit.archivedAt && habit.archivedAt < dateStr ? habit.archivedAt : dateStr;
+    },
+
+    /**
+     * Check if the habit is done on a date
+     * @param {Object} habit - Habit
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    isCompleted(habit, dateStr) {
+        return habit.completedDates.includes(dateStr);
+    },
+
+    /**
+     * Check if a habit measures an amount rather than yes/no
+     * @param {Object} habit - Habit
+     * @returns {boolean}
+     */
+    isQuantitative(habit) {
+        return typeof habit.target === 'number' && habit.target > 0;
+    },
+
+    /**
+     * Amount logged on a date
+     * @param {Object} habit - Habit
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {number} 0 when nothing was logged
+     */
+    getValue(habit, dateStr) {
+        return (habit.values && habit.values[dateStr]) || 0;
+    },
+
+    /**
+     * How far a day is towards done
+     * @param {Object} habit - Habit
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {number} 0-1; yes/no habits are either 0 or 1
+     */
+    getDayProgress(habit, dateStr) {
+        if (!this.isQuantitative(habit)) return this.isCompleted(habit, dateStr) ? 1 : 0;
+        return Math.min(1, this.getValue(habit, dateStr) / habit.target);
+    },
+
+    /**
+     * Format an amount with the habit's unit (e.g. "3/8 glasses")
+     * @param {Object} habit - Quantitative habit
+     * @param {number} value - Amount
+     * @returns {string}
+     */
+    formatValue(habit, value) {
+        const round = n => Math.round(n * 100) / 100;
+        return `${round(value)}/${round(habit.target)}${habit.unit ? ' ' + habit.unit : ''}`;
+    },
+
+    /**
+     * Note written for a check-in
+     * @param {Object} habit - Habit
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {string} Empty when there is none
+     */
+    getNote(habit, dateStr) {
+        return (habit.notes && habit.notes[dateStr]) || '';
+    },
+
+    /**
+     * Whether streaks are counted in days or weeks
+     * @param {Object} habit - Habit
+     * @returns {string} 'day' or 'week'
+     */
+    getStreakUnit(habit) {
+        return habit.frequency.type === 'weekly' ? 'week' : 'day';
+    },
+
+    // ============================================
+    // STREAKS
+    // ============================================
+
+    /**
+     * Current streak, up to and including today
+     * @param {Object} habit - Habit
+     * @param {string} todayStr - Today's date (YYYY-MM-DD)
+     * @returns {number} Streak in days or weeks (see getStreakUnit)
+     */
+    getCurrentStreak(habit, todayStr = Utils.getTodayStr()) {
+        const runs = this.getStreakRuns(habit, todayStr);
+        const last = runs[runs.length - 1];
+        return last && last.current ? last.length : 0;
+    },
+
+    /**
+     * Longest streak ever reached
+     * @param {Object} habit - Habit
+     * @param {string} todayStr - Today's date (YYYY-MM-DD)
+     * @returns {number} Streak in days or weeks
+     */
+    getLongestStreak(habit, todayStr = Utils.getTodayStr()) {
+        return this.getStreakRuns(habit, todayStr).reduce((max, run) => Math.max(max, run.length), 0);
+    },
+
+    /**
+     * Every unbroken run of completed periods, oldest first
+     * @param {Object} habit - Habit
+     * @param {string} todayStr - Today's date (YYYY-MM-DD)
+     * @returns {Array} [{ start, end, length, current }] with start/end as dates
+     */
+    getStreakRuns(habit, todayStr = Utils.getTodayStr()) {
+        return this.walkStreaks(habit, todayStr).runs;
+    },
+
+    /**
+     * Freezes banked and ready to protect a missed day
+     * @param {Object} habit - Habit
+     * @param {string} todayStr - Today's date (YYYY-MM-DD)
+     * @returns {number}
+     */
+    getFreezesAvailable(habit, todayStr = Utils.getTodayStr()) {
+        return this.walkStreaks(habit, todayStr).freezes;
+    },
+
+    /**
+     * Replay a habit's history in order, building streaks and banking
+     * freezes. Skipped, vacation and frozen periods are neutral: they
+     * neither extend nor break a run. A freeze only holds if one had been
+     * earned by then; otherwise the period counts as missed.
+     * @param {Object} habit - Habit
+     * @param {string} todayStr - Today's date (YYYY-MM-DD)
+     * @returns {Object} { runs, freezes, spent } with freezes still banked and spent so far
+     */
+    walkStreaks(habit, todayStr) {
+        const periods = this.getPeriods(habit, this.getStartDate(habit), this.getEndDate(habit, todayStr));
+        const earnEvery = this.FREEZE_EARN_EVERY[this.getStreakUnit(habit)];
+        const runs = [];
+        let run = null;
+        let freezes = 0;
+        let spent = 0;
+
+        periods.forEach((period, i) => {
+            const isLast = i === periods.length - 1;
+            if (period.met) {
+                if (!run) {
+                    run = { start: period.start, end: period.end, length: 0, current: false };
+                    runs.push(run);
+                }
+                run.end = period.end;
+                run.length++;
+                if (run.length % earnEvery === 0) freezes = Math.min(this.MAX_FREEZES, freezes + 1);
+            } else if (period.excuse === 'freeze' && freezes > 0) {
+                freezes--;
+                spent++;
+            } else if (period.excuse && period.excuse !== 'freeze') {
+                // Skipped or on vacation: the streak simply waits
+            } else if (!(isLast && period.open)) {
+                // A period still in progress can't break the streak yet
+                run = null;
+            }
+        });
+
+        if (run) run.current = true;
+        return { runs, freezes, spent };
+    },
+
+    /**
+     * Split a date range into the periods a streak is made of
+     * @param {Object} habit - Habit
+     * @param {string} startStr - First date (YYYY-MM-DD)
+     * @param {string} endStr - Last date, usually today (YYYY-MM-DD)
+     * @returns {Array} [{ start, end, met, open, excuse }] where open means the period includes endStr
+     */
+    getPeriods(habit, startStr, endStr) {
+        const vacations = this.getVacations();
+        const periods = [];
+
+        if (habit.frequency.type === 'weekly') {
+            const habitStart = this.getStartDate(habit);
+            const habitEnd = this.getEndDate(habit, '9999-12-31');
+            let weekStart = this.getWeekStart(startStr);
+            while (weekStart <= endStr) {
+                const weekEnd = Recurrence.addDays(weekStart, 6);
+                const from = weekStart > habitStart ? weekStart : habitStart;
+                const to = weekEnd < habitEnd ? weekEnd : habitEnd;
+                // Skipped and vacation days shrink the week; a frozen day covers the whole week
+                const target = Math.min(habit.frequency.times, this.countAvailableDays(habit, from, to, ['skip', 'vacation'], vacations));
+                const done = this.countCompletions(habit, weekStart, weekEnd);
+                const excuses = this.getExcusesInRange(habit, from, to, vacations);
+                let excuse = null;
+                if (excuses.includes('freeze')) excuse = 'freeze';
+                else if (target === 0) excuse = excuses[0] || 'skip';
+                periods.push({
+                    start: weekStart,
+                    end: weekEnd,
+                    met: target > 0 && done >= target,
+                    open: weekEnd >= endStr,
+                    excuse
+                });
+                weekStart = Recurrence.addDays(weekStart, 7);
+            }
+            return periods;
+        }
+
+        for (let date = startStr; date <= endStr; date = Recurrence.addDays(date, 1)) {
+            if (!this.isDue(habit, date)) continue;
+            periods.push({
+                start: date,
+                end: date,
+                met: this.isCompleted(habit, date),
+                open: date === endStr,
+                excuse: this.getExcuse(habit, date, vacations)
+            });
+        }
+        return periods;
+    },
+
+    // ============================================
+    // SKIPS, FREEZES & VACATIONS
+    // ============================================
+
+    /**
+     * Why a day is excused, if it is. A completed day is never excused.
+     * @param {Object} habit - Habit
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @param {Array} vacations - Vacation ranges (see getVacations)
+     * @returns {string|null} 'skip', 'freeze', 'vacation' or null
+     */
+    getExcuse(habit, dateStr, vacations = this.getVacations()) {
+        if (this.isCompleted(habit, dateStr)) return null;
+        if (habit.dayStates && habit.dayStates[dateStr]) return habit.dayStates[dateStr];
+        return this.isOnVacation(dateStr, vacations) ? 'vacation' : null;
+    },
+
+    /**
+     * Distinct excuses used within a range
+     * @param {Object} habit - Habit
+     * @param {string} startStr - First date (YYYY-MM-DD)
+     * @param {string} endStr - Last date (YYYY-MM-DD)
+     * @param {Array} vacations - Vacation ranges
+     * @returns {Array} Excuse names
+     */
+    getExcusesInRange(habit, startStr, endStr, vacations) {
+        const excuses = new Set();
+        for (let date = startStr; date <= endStr; date = Recurrence.addDays(date, 1)) {
+            const excuse = this.getExcuse(habit, date, vacations);
+            if (excuse) excuses.add(excuse);
+        }
+        return [...excuses];
+    },
+
+    /**
+     * Count days in a range the habit could be done on
+     * @param {Object} habit - Habit
+     * @param {string} startStr - First date (YYYY-MM-DD)
+     * @param {string} endStr - Last date (YYYY-MM-DD)
+     * @param {Array} excluded - Excuses that take a day out
+     * @param {Array} vacations - Vacation ranges
+     * @returns {number}
+     */
+    countAvailableDays(habit, startStr, endStr, excluded, vacations) {
+        let days = 0;
+        for (let date = startStr; date <= endStr; date = Recurrence.addDays(date, 1)) {
+            if (!excluded.includes(this.getExcuse(habit, date, vacations))) days++;
+        }
+        return days;
+    },
+
+    /**
+     * All vacation ranges, past and planned
+     * @returns {Array} [{ start, end }] as inclusive date strings
+     */
+    getVacations() {
+        return Storage.getSettings().vacations || [];
+    },
+
+    /**
+     * Check if a date falls in a vacation
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @param {Array} vacations - Vacation ranges
+     * @returns {boolean}
+     */
+    isOnVacation(dateStr, vacations = this.getVacations()) {
+        return vacations.some(v => dateStr >= v.start && dateStr <= v.end);
+    },
+
+    // ============================================
+    // RATES
+    // ============================================
+
+    /**
+     * Count what was done against what was due in a range. Excused days
+     * (skipped, frozen or on vacation) aren't due.
+     * @param {Object} habit - Habit
+     * @param {string} startStr - First date (YYYY-MM-DD)
+     * @param {string} endStr - Last date (YYYY-MM-DD)
+     * @returns {Object} { done, possible }
+     */
+    getProgress(habit, startStr, endStr) {
+        const from = startStr > this.getStartDate(habit) ? startStr : this.getStartDate(habit);
+        const vacations = this.getVacations();
+        endStr = this.getEndDate(habit, endStr);
+        let done = 0;
+        let possible = 0;
+
+        if (habit.frequency.type === 'weekly') {
+            // Each week asks for `times` completions, fewer when the range cuts it short
+            let weekStart = this.getWeekStart(from);
+            while (weekStart <= endStr) {
+                const rangeStart = weekStart > from ? weekStart : from;
+                const weekEnd = Recurrence.addDays(weekStart, 6);
+                const rangeEnd = weekEnd < endStr ? weekEnd : endStr;
+                const days = this.countAvailableDays(habit, rangeStart, rangeEnd, ['skip', 'freeze', 'vacation'], vacations);
+                const target = Math.min(habit.frequency.times, days);
+                possible += target;
+                done += Math.min(target, this.countCompletions(habit, rangeStart, rangeEnd));
+                weekStart = Recurrence.addDays(weekStart, 7);
+            }
+            return { done, possible };
+        }
+
+        for (let date = from; date <= endStr; date = Recurrence.addDays(date, 1)) {
+            if (!this.isDue(habit, date) || this.getExcuse(habit, date, vacations)) continue;
+            possible++;
+            if (this.isCompleted(habit, date)) done++;
+        }
+        return { done, possible };
+    },
+
+    /**
+     * Completion rate for each month of a year
+     * @param {Object} habit - Habit
+     * @param {number} year - Full year
+     * @param {string} todayStr - Today's date; later days aren't counted yet
+     * @returns {Array} 12 entries of { month, done, possible, rate } with rate null when nothing was due
+     */
+    getMonthlyRates(habit, year, todayStr = Utils.getTodayStr()) {
+        return Array.from({ length: 12 }, (_, month) => {
+            const start = Recurrence.format(new Date(Date.UTC(year, month, 1)));
+            const end = Recurrence.format(new Date(Date.UTC(year, month + 1, 0)));
+            const { done, possible } = start > todayStr
+                ? { done: 0, possible: 0 }
+                : this.getProgress(habit, start, end < todayStr ? end : todayStr);
+            return { month, done, possible, rate: possible > 0 ? Math.round((done / possible) * 100) : null };
+        });
+    },
+
+    /**
+     * Count completions within a range
+     * @param {Object} habit - Habit
+     * @param {string} startStr - First date (YYYY-MM-DD)
+     * @param {string} endStr - Last date (YYYY-MM-DD)
+     * @returns {number}
+     */
+    countCompletions(habit, startStr, endStr) {
+        return habit.completedDates.filter(d => d >= startStr && d <= endStr).length;
+    },
+
+    // ============================================
+    // ROUTINES
+    // ============================================
+
+    /**
+     * Pair a routine's steps with their habits, dropping archived or deleted ones
+     * @param {Object} routine - Routine with ordered steps
+     * @param {Array} habits - All habits
+     * @returns {Array} [{ habit, time }] in routine order
+     */
+    getRoutineSteps(routine, habits) {
+        return routine.steps
+            .map(step => ({ habit: habits.find(h => h.id === step.habitId), time: step.time }))
+            .filter(step => step.habit && !step.habit.archivedAt);
+    },
+
+    /**
+     * Where a routine stands on one day
+     * @param {Array} steps - Steps from getRoutineSteps
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @param {Array} vacations - Vacation ranges
+     * @returns {Object} { due, done } counting steps that are due and not excused
+     */
+    getRoutineDay(steps, dateStr, vacations = this.getVacations()) {
+        const due = steps.filter(step => this.isDue(step.habit, dateStr) && !this.getExcuse(step.habit, dateStr, vacations));
+        return { due: due.length, done: due.filter(step => this.isCompleted(step.habit, dateStr)).length };
+    },
+
+    /**
+     * Count days the whole routine was finished. A day counts when at
+     * least one step was due, and is complete when every due step was done.
+     * @param {Object} routine - Routine
+     * @param {Array} habits - All habits
+     * @param {string} startStr - First date (YYYY-MM-DD)
+     * @param {string} endStr - Last date (YYYY-MM-DD)
+     * @returns {Object} { done, possible } in days
+     */
+    getRoutineProgress(routine, habits, startStr, endStr) {
+        const steps = this.getRoutineSteps(routine, habits);
+        const vacations = this.getVacations();
+        let done = 0;
+        let possible = 0;
+
+        for (let date = startStr; date <= endStr; date = Recurrence.addDays(date, 1)) {
+            const day = this.getRoutineDay(steps, date, vacations);
+            if (day.due === 0) continue;
+            possible++;
+            if (day.done === day.due) done++;
+        }
+        return { done, possible };
+    },
+
+    // ============================================
+    // DESCRIPTION & VALIDATION
+    // ============================================
+
+    /**
+     * Describe a frequency in plain English (e.g. "3 times a week")
+     * @param {Object} frequency - Habit frequency
+     * @returns {string}
+     */
+    describe(frequency) {
+        switch (frequency.type) {
+            case 'weekdays': {
+                const days = [...frequency.days].sort();
+                if (days.join(',') === '1,2,3,4,5') return 'Weekdays';
+                return days.map(d => Recurrence.WEEKDAY_NAMES[d].slice(0, 3)).join(', ');
+            }
+            case 'weekly':
+                return frequency.times === 1 ? 'Once a week' : `${frequency.times} times a week`;
+            case 'interval':
+                return frequency.every === 1 ? 'Daily' : `Every ${frequency.every} days`;
+            default:
+                return 'Daily';
+        }
+    },
+
+    /**
+     * Convert the frequency strings older versions stored
+     * @param {string} value - daily, weekdays or weekly
+     * @returns {Object} Frequency
+     */
+    fromLegacy(value) {
+        switch (value) {
+            case 'weekdays':
+                return { type: 'weekdays', days: [1, 2, 3, 4, 5] };
+            case 'weekly':
+                return { type: 'weekly', times: 1 };
+            default:
+                return { type: 'daily' };
+        }
+    },
+
+    /**
+     * Check that a frequency is well-formed
+     * @param {Object} frequency - Habit frequency
+     * @returns {boolean}
+     */
+    isValidFrequency(frequency) {
+        if (!frequency || typeof frequency !== 'object') return false;
+        switch (frequency.type) {
+            case 'daily':
+                return true;
+            case 'weekdays':
+                return Array.isArray(frequency.days) && frequency.days.length > 0
+                    && frequency.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6);
+            case 'weekly':
+                return Number.isInteger(frequency.times) && frequency.times >= 1 && frequency.times <= 7;
+            case 'interval':
+                return Number.isInteger(frequency.every) && frequency.every >= 1;
+            default:
+                return false;
+        }
+    },
+
+    // ============================================
+    // DATE HELPERS
+    // ============================================
+
+    /**
+     * Get the Monday starting a date's week
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {string} Monday (YYYY-MM-DD)
+     */
+    getWeekStart(dateStr) {
+        return Recurrence.format(Recurrence.mondayOf(Recurrence.parse(dateStr)));
+    }
+};
+
+// Export for use in other modules
+window.Habits = Habits;
@@ -0,0 +1,120 @@
+/**
+ * ZENITH DIGITAL PLANNER - Life Areas
+ * The areas of life goals are balanced across, and how each one feels
+ *
+ * Areas are stored in display order as:
+ *   { id, name, icon, color, retired, ratings: [{ date, value }] }
+ *
+ * Retired areas keep their goals and ratings but no longer show in the
+ * Goals view, the area pickers or the wheel. A rating is a 1-10 score
+ * taken on a date; rating every area at once makes a snapshot, and
+ * snapshots over time draw the wheel of life.
+ */
+
+const LifeAreas = {
+    // Areas every planner starts with; their IDs are also the original goal list keys
+    DEFAULTS: [
+        { id: 'career', name: 'Career', icon: '💼', color: '#6366f1' },
+        { id: 'health', name: 'Health & Fitness', icon: '💪', color: '#10b981' },
+        { id: 'relationships', name: 'Relationships', icon: '❤️', color: '#ef4444' },
+        { id: 'finance', name: 'Finance', icon: '💰', color: '#f59e0b' },
+        { id: 'learning', name: 'Learning', icon: '📚', color: '#3b82f6' },
+        { id: 'creativity', name: 'Creativity', icon: '🎨', color: '#ec4899' }
+    ],
+
+    // Offered to new areas, in turn
+    COLORS: ['#6366f1', '#10b981', '#ef4444', '#f59e0b', '#3b82f6', '#ec4899', '#8b5cf6', '#14b8a6', '#f97316', '#64748b'],
+
+    RATING_MIN: 1,
+    RATING_MAX: 10,
+
+    // Days between self-ratings before the wheel asks for a new one
+    RATING_INTERVAL_DAYS: 30,
+
+    // ============================================
+    // AREAS
+    // ============================================
+
+    /**
+     * Areas still in use, in display order
+     * @param {Array} areas - Stored life areas
+     * @returns {Array} Areas
+     */
+    getActive(areas) {
+        return areas.filter(area => !area.retired);
+    },
+
+    /**
+     * Colour for the next new area
+     * @param {Array} areas - Stored life areas
+     * @returns {string} Hex colour
+     */
+    getNextColor(areas) {
+        const used = areas.map(area => area.color);
+        return this.COLORS.find(color => !used.includes(color)) || this.COLORS[areas.length % this.COLORS.length];
+    },
+
+    // ============================================
+    // RATINGS
+    // ============================================
+
+    /**
+     * Latest rating of an area, optionally as it stood on a date
+     * @param {Object} area - Life area
+     * @param {string} [date] - Date string (YYYY-MM-DD); defaults to the latest
+     * @returns {Object|null} { date, value } or null if never rated by then
+     */
+    getRating(area, date = null) {
+        const ratings = area.ratings
+            .filter(rating => !date || rating.date <= date)
+            .sort((a, b) => b.date.localeCompare(a.date));
+        return ratings[0] || null;
+    },
+
+    /**
+     * Days on which any area was rated, newest first
+     * @param {Array} areas - Life areas
+     * @returns {Array<string>} Date strings
+     */
+    getRatingDates(areas) {
+        const dates = new Set(areas.flatMap(area => area.ratings.map(rating => rating.date)));
+        return [...dates].sort((a, b) => b.localeCompare(a));
+    },
+
+    /**
+     * Check whether it's time for a new self-rating
+     * @param {Array} areas - Active life areas
+     * @param {string} todayStr - Date string (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    isRatingDue(areas, todayStr = Utils.getTodayStr()) {
+        const [latest] = this.getRatingDates(areas);
+        if (!latest) return areas.length > 0;
+        return Recurrence.addDays(latest, this.RATING_INTERVAL_DAYS) <= todayStr;
+    },
+
+    // ============================================
+    // WHEEL
+    // ============================================
+
+    /**
+     * Corner points of a wheel polygon, one spoke per value, starting at
+     * twelve o'clock and going clockwise
+     * @param {Array<number>} values - Fractions of the radius, 0-1
+     * @param {number} center - Centre x and y
+     * @param {number} radius - Radius of a full score
+     * @returns {Array<Object>} [{ x, y }]
+     */
+    getWheelPoints(values, center, radius) {
+        return values.map((value, i) => {
+            const angle = (Math.PI * 2 * i) / values.length - Math.PI / 2;
+            return {
+                x: Math.round((center + Math.cos(angle) * radius * value) * 10) / 10,
+                y: Math.round((center + Math.sin(angle) * radius * value) * 10) / 10
+            };
+        });
+    }
+};
+
+// Export for use in other modules
+window.LifeAreas = LifeAreas;
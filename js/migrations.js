@@ -0,0 +1,840 @@
+/**
+ * ZENITH DIGITAL PLANNER - Schema Migrations
+ * Upgrades persisted data to the current schema and repairs invalid records
+ *
+ * Data passed around here is a plain object keyed by storage key
+ * (e.g. { zenith_tasks: [...], zenith_habits: [...] }). Unversioned data
+ * is treated as version 0.
+ */
+
+const Migrations = {
+    // ============================================
+    // MIGRATION STEPS
+    // ============================================
+
+    /**
+     * Ordered list of upgrades. Each step receives data at `version - 1`
+     * and returns it at `version`. Append new steps; never edit old ones.
+     */
+    steps: [
+        {
+            version: 1,
+            description: 'Add notes to tasks and frequency to habits',
+            up(data) {
+                const tasks = data.zenith_tasks;
+                if (Array.isArray(tasks)) {
+                    tasks.forEach(task => {
+                        if (task && typeof task.notes !== 'string') task.notes = '';
+                    });
+                }
+                const habits = data.zenith_habits;
+                if (Array.isArray(habits)) {
+                    habits.forEach(habit => {
+                        if (habit && !habit.frequency) habit.frequency = 'daily';
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 2,
+            description: 'Add subtasks, tags and deadline to tasks',
+            up(data) {
+                const tasks = data.zenith_tasks;
+                if (Array.isArray(tasks)) {
+                    tasks.forEach(task => {
+                        if (!task) return;
+                        if (!Array.isArray(task.subtasks)) task.subtasks = [];
+                        if (!Array.isArray(task.tags)) task.tags = [];
+                        if (task.deadline === undefined) task.deadline = null;
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 3,
+            description: 'Allow unscheduled inbox tasks without a date',
+            up(data) {
+                // No reshaping needed; the bump keeps older builds from
+                // dropping dateless tasks they consider invalid
+                return data;
+            }
+        },
+        {
+            version: 4,
+            description: 'Record Pomodoro phase and interruptions on focus sessions',
+            up(data) {
+                const sessions = data.zenith_focus_sessions;
+                if (Array.isArray(sessions)) {
+                    sessions.forEach(session => {
+                        if (!session) return;
+                        // Sessions logged before breaks existed were all work
+                        if (!session.type) session.type = 'work';
+                        if (session.interruptions === undefined) session.interruptions = 0;
+                        if (session.completed === undefined) session.completed = true;
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 5,
+            description: 'Count internal and external distractions on focus sessions',
+            up(data) {
+                const sessions = data.zenith_focus_sessions;
+                if (Array.isArray(sessions)) {
+                    sessions.forEach(session => {
+                        if (session && !session.distractions) session.distractions = { internal: 0, external: 0 };
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 6,
+            description: 'Store habit frequency as a schedule object',
+            up(data) {
+                const habits = data.zenith_habits;
+                if (Array.isArray(habits)) {
+                    habits.forEach(habit => {
+                        if (habit && typeof habit.frequency !== 'object') {
+                            habit.frequency = Habits.fromLegacy(habit.frequency);
+                        }
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 7,
+            description: 'Add targets, units and daily values to habits',
+            up(data) {
+                const habits = data.zenith_habits;
+                if (Array.isArray(habits)) {
+                    habits.forEach(habit => {
+                        if (!habit) return;
+                        // Existing habits stay yes/no
+                        if (habit.target === undefined) habit.target = null;
+                        if (habit.unit === undefined) habit.unit = '';
+                        if (habit.step === undefined) habit.step = 1;
+                        if (!habit.values) habit.values = {};
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 8,
+            description: 'Add check-in notes and archiving to habits',
+            up(data) {
+                const habits = data.zenith_habits;
+                if (Array.isArray(habits)) {
+                    habits.forEach(habit => {
+                        if (!habit) return;
+                        if (!habit.notes) habit.notes = {};
+                        if (habit.archivedAt === undefined) habit.archivedAt = null;
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 9,
+            description: 'Add skipped and frozen days to habits',
+            up(data) {
+                const habits = data.zenith_habits;
+                if (Array.isArray(habits)) {
+                    habits.forEach(habit => {
+                        if (habit && !habit.dayStates) habit.dayStates = {};
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 10,
+            description: 'Refile timestamped records under their local day',
+            up(data) {
+                // Older builds filed these under the UTC date of their
+                // timestamp, a day off for anyone far from UTC
+                const config = { timeZone: '', dayStartHour: 0 };
+                const refile = (records, stampField) => {
+                    if (!Array.isArray(records)) return;
+                    records.forEach(record => {
+                        if (!record || !record[stampField]) return;
+                        const stamp = new Date(record[stampField]);
+                        if (!isNaN(stamp.getTime())) record.date = Utils.toDateKey(stamp, config);
+                    });
+                };
+                refile(data.zenith_focus_sessions, 'startedAt');
+                refile(data.zenith_distractions, 'at');
+
+                // Tasks added for "today" got the UTC day they were created on;
+                // any other date was picked by hand, so it stays. Habit check-ins
+                // and daily entries have no timestamp to go by and stay as they are.
+                if (Array.isArray(data.zenith_tasks)) {
+                    data.zenith_tasks.forEach(task => {
+                        if (!task || !task.createdAt || task.recurrence) return;
+                        const created = new Date(task.createdAt);
+                        if (isNaN(created.getTime())) return;
+                        if (task.date === created.toISOString().split('T')[0]) {
+                            task.date = Utils.toDateKey(created, config);
+                        }
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 11,
+            description: 'Add key results to goals',
+            up(data) {
+                const goals = data.zenith_goals;
+                if (goals && typeof goals === 'object') {
+                    const lists = [goals.yearly, goals.monthly, ...Object.values(goals.lifeAreas || {})];
+                    lists.filter(Array.isArray).forEach(list => {
+                        list.forEach(goal => {
+                            if (goal && !Array.isArray(goal.keyResults)) goal.keyResults = [];
+                        });
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 12,
+            description: 'Link monthly goals, objectives and tasks to goals',
+            up(data) {
+                const goals = data.zenith_goals;
+                if (goals && typeof goals === 'object') {
+                    [goals.yearly, goals.monthly].filter(Array.isArray).forEach(list => {
+                        list.forEach(goal => {
+                            if (goal && goal.area === undefined) goal.area = null;
+                        });
+                    });
+                    (Array.isArray(goals.monthly) ? goals.monthly : []).forEach(goal => {
+                        if (goal && goal.parentId === undefined) goal.parentId = null;
+                    });
+                }
+                ['zenith_tasks', 'zenith_weekly_objectives'].forEach(key => {
+                    if (!Array.isArray(data[key])) return;
+                    data[key].forEach(item => {
+                        if (item && item.goalId === undefined) item.goalId = null;
+                    });
+                });
+                return data;
+            }
+        },
+        {
+            version: 13,
+            description: 'Add status and target dates to goals',
+            up(data) {
+                const goals = data.zenith_goals;
+                if (goals && typeof goals === 'object') {
+                    const lists = [
+                        ['yearly', goals.yearly],
+                        ['monthly', goals.monthly],
+                        ...Object.values(goals.lifeAreas || {}).map(list => ['lifeArea', list])
+                    ];
+                    lists.filter(([, list]) => Array.isArray(list)).forEach(([type, list]) => {
+                        list.forEach(goal => {
+                            if (!goal) return;
+                            if (!goal.status) goal.status = 'active';
+                            if (goal.closedAt === undefined) goal.closedAt = null;
+                            if (goal.targetDate === undefined) {
+                                // Only this year's goals get the default deadline; older ones
+                                // may be long-running, so they stay open-ended rather than
+                                // dropping straight into the archive
+                                const created = new Date(goal.createdAt);
+                                const createdOn = isNaN(created.getTime())
+                                    ? null
+                                    : Utils.toDateKey(created, { timeZone: '', dayStartHour: 0 });
+                                goal.targetDate = createdOn && createdOn.slice(0, 4) === Utils.getTodayStr().slice(0, 4)
+                                    ? Goals.getDefaultTargetDate(type, createdOn)
+                                    : null;
+                            }
+                        });
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 14,
+            description: 'Give monthly goals a month and let objectives carry over',
+            up(data) {
+                const goals = data.zenith_goals;
+                const thisMonth = Goals.getMonthKey(Utils.getTodayStr());
+                if (goals && Array.isArray(goals.monthly)) {
+                    goals.monthly.forEach(goal => {
+                        if (!goal) return;
+                        if (goal.month === undefined) {
+                            // The one global list showed every goal in every month, so open
+                            // goals stay in view this month; closed ones go back to the
+                            // month they were made in
+                            const created = new Date(goal.createdAt);
+                            goal.month = Goals.isClosed(goal) && !isNaN(created.getTime())
+                                ? Goals.getMonthKey(Utils.toDateKey(created, { timeZone: '', dayStartHour: 0 }))
+                                : thisMonth;
+                        }
+                        if (goal.carriedFrom === undefined) goal.carriedFrom = null;
+                    });
+                }
+                if (Array.isArray(data.zenith_weekly_objectives)) {
+                    // Unfinished objectives used to vanish with their week; only
+                    // last week's are left for the plan review to ask about
+                    const lastWeek = Recurrence.addDays(Utils.formatDateStr(Utils.getWeekStart(Utils.getToday())), -7);
+                    data.zenith_weekly_objectives.forEach(objective => {
+                        if (!objective) return;
+                        if (objective.carriedFrom === undefined) objective.carriedFrom = null;
+                        if (objective.dropped === undefined) {
+                            objective.dropped = !objective.completed && objective.weekStart < lastWeek;
+                        }
+                    });
+                }
+                return data;
+            }
+        },
+        {
+            version: 15,
+            description: 'Store life areas so they can be edited and rated',
+            up(data) {
+                const goals = data.zenith_goals;
+                if (!Array.isArray(data.zenith_life_areas) && goals && typeof goals === 'object') {
+                    // The six built-in areas, plus any goal lists under other keys
+                    const extra = Object.keys(goals.lifeAreas || {})
+                        .filter(key => !LifeAreas.DEFAULTS.some(area => area.id === key));
+                    data.zenith_life_areas = [
+                        ...LifeAreas.DEFAULTS.map(area => ({ ...area, retired: false, ratings: [] })),
+                        ...extra.map((key, i) => ({
+                            id: key,
+                            name: key,
+                            icon: '⭐',
+                            color: LifeAreas.COLORS[(LifeAreas.DEFAULTS.length + i) % LifeAreas.COLORS.length],
+                            retired: false,
+                            ratings: []
+                        }))
+                    ];
+                }
+                return data;
+            }
+        }
+    ],
+
+    /**
+     * Latest schema version
+     * @returns {number}
+     */
+    get CURRENT_VERSION() {
+        return this.steps[this.steps.length - 1].version;
+    },
+
+    /**
+     * Upgrade data to the current version and repair invalid records
+     * @param {Object} data - Data keyed by storage key
+     * @param {number} fromVersion - Version the data is at
+     * @returns {Object} { data, report } where report lists applied steps and fixes
+     */
+    run(data, fromVersion = 0) {
+        if (fromVersion > this.CURRENT_VERSION) {
+            throw new Error(`Data is from a newer version of Zenith (schema ${fromVersion})`);
+        }
+
+        const report = { applied: [], repaired: 0, dropped: 0 };
+        let migrated = data;
+
+        this.steps
+            .filter(step => step.version > fromVersion)
+            .forEach(step => {
+                migrated = step.up(migrated);
+                report.applied.push(step.version);
+            });
+
+        migrated = this.validate(migrated, report);
+        return { data: migrated, report };
+    },
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    /**
+     * Repair or drop records that do not match the current schema
+     * @param {Object} data - Data keyed by storage key
+     * @param {Object} report - Report to record fixes in
+     * @returns {Object} Validated data
+     */
+    validate(data, report) {
+        const result = { ...data };
+
+        const list = (key, validator) => {
+            if (!(key in result) || result[key] === null) return;
+            if (!Array.isArray(result[key])) {
+                report.dropped++;
+                delete result[key];
+                return;
+            }
+            result[key] = result[key]
+                .map(item => this.check(item, validator, report))
+                .filter(item => item !== null);
+        };
+
+        list('zenith_tasks', this.validators.task);
+        list('zenith_habits', this.validators.habit);
+        list('zenith_timeblocks', this.validators.timeBlock);
+        list('zenith_weekly_objectives', this.validators.weeklyObjective);
+        list('zenith_focus_sessions', this.validators.focusSession);
+        list('zenith_distractions', this.validators.distraction);
+        list('zenith_routines', this.validators.routine);
+        list('zenith_life_areas', this.validators.lifeArea);
+
+        if ('zenith_goals' in result && result.zenith_goals !== null) {
+            result.zenith_goals = this.validators.goals(result.zenith_goals, report);
+        }
+
+        if ('zenith_daily_data' in result && result.zenith_daily_data !== null) {
+            result.zenith_daily_data = this.validators.dailyData(result.zenith_daily_data, report);
+        }
+
+        if ('zenith_settings' in result && result.zenith_settings !== null) {
+            result.zenith_settings = this.validators.settings(result.zenith_settings, report);
+        }
+
+        return result;
+    },
+
+    /**
+     * Run a validator on one record and count the outcome
+     * @param {Object} item - Record to check
+     * @param {Function} validator - Returns a repaired record or null
+     * @param {Object} report - Report to record fixes in
+     * @returns {Object|null} Valid record or null if dropped
+     */
+    check(item, validator, report) {
+        if (!item || typeof item !== 'object') {
+            report.dropped++;
+            return null;
+        }
+        const before = JSON.stringify(item);
+        const repaired = validator.call(this, { ...item });
+        if (repaired === null) {
+            report.dropped++;
+        } else if (JSON.stringify(repaired) !== before) {
+            report.repaired++;
+        }
+        return repaired;
+    },
+
+    validators: {
+        /**
+         * @param {Object} task - Task record
+         * @returns {Object|null} Repaired task or null
+         */
+        task(task) {
+            if (typeof task.title !== 'string' || !task.title.trim()) return null;
+            if (!task.id) task.id = Storage.generateId();
+            if (task.date === undefined || task.date === '') task.date = null;
+            if (task.date !== null && !Migrations.isDateStr(task.date)) return null;
+            if (!['low', 'medium', 'high'].includes(task.priority)) task.priority = 'medium';
+            if (typeof task.category !== 'string' || !task.category) task.category = 'personal';
+            task.duration = Migrations.toPositiveInt(task.duration, 30);
+            task.completed = task.completed === true;
+            if (!task.completed) task.completedAt = null;
+            if (typeof task.notes !== 'string') task.notes = '';
+            task.subtasks = (Array.isArray(task.subtasks) ? task.subtasks : [])
+                .filter(st => st && typeof st.title === 'string' && st.title.trim())
+                .map(st => ({ id: st.id || Storage.generateId(), title: st.title, completed: st.completed === true }));
+            task.tags = (Array.isArray(task.tags) ? task.tags : [])
+                .filter(tag => typeof tag === 'string' && tag.trim());
+            if (!Migrations.isDateStr(task.deadline)) task.deadline = null;
+            if (typeof task.goalId !== 'string' || !task.goalId) task.goalId = null;
+            if ('deferCount' in task) task.deferCount = Migrations.toPositiveInt(task.deferCount, 0);
+            if ('recurrence' in task) {
+                // A series needs a start date; inbox tasks can't repeat
+                if (!Recurrence.isValid(task.recurrence) || task.date === null) {
+                    // Keep the task as a one-off rather than lose it
+                    delete task.recurrence;
+                    delete task.completions;
+                    delete task.exdates;
+                } else {
+                    if (!task.completions || typeof task.completions !== 'object') task.completions = {};
+                    task.exdates = Array.isArray(task.exdates) ? task.exdates.filter(d => Migrations.isDateStr(d)) : [];
+                }
+            }
+            return task;
+        },
+
+        /**
+         * @param {Object} habit - Habit record
+         * @returns {Object|null} Repaired habit or null
+         */
+        habit(habit) {
+            if (typeof habit.name !== 'string' || !habit.name.trim()) return null;
+            if (!habit.id) habit.id = Storage.generateId();
+            if (typeof habit.frequency === 'string') habit.frequency = Habits.fromLegacy(habit.frequency);
+            if (!Habits.isValidFrequency(habit.frequency)) habit.frequency = { type: 'daily' };
+            const dates = Array.isArray(habit.completedDates) ? habit.completedDates : [];
+            habit.completedDates = [...new Set(dates.filter(d => Migrations.isDateStr(d)))];
+            habit.currentStreak = Migrations.toPositiveInt(habit.currentStreak, 0);
+            habit.longestStreak = Math.max(Migrations.toPositiveInt(habit.longestStreak, 0), habit.currentStreak);
+            if (!(typeof habit.target === 'number' && habit.target > 0)) habit.target = null;
+            if (typeof habit.unit !== 'string') habit.unit = '';
+            if (!(typeof habit.step === 'number' && habit.step > 0)) habit.step = 1;
+            const values = habit.values && typeof habit.values === 'object' ? habit.values : {};
+            habit.values = {};
+            Object.keys(values).forEach(date => {
+                if (Migrations.isDateStr(date) && Number.isFinite(values[date]) && values[date] > 0) {
+                    habit.values[date] = values[date];
+                }
+            });
+            const notes = habit.notes && typeof habit.notes === 'object' ? habit.notes : {};
+            habit.notes = {};
+            Object.keys(notes).forEach(date => {
+                if (Migrations.isDateStr(date) && typeof notes[date] === 'string' && notes[date].trim()) {
+                    habit.notes[date] = notes[date];
+                }
+            });
+            const dayStates = habit.dayStates && typeof habit.dayStates === 'object' ? habit.dayStates : {};
+            habit.dayStates = {};
+            Object.keys(dayStates).forEach(date => {
+                if (Migrations.isDateStr(date) && ['skip', 'freeze'].includes(dayStates[date])) {
+                    habit.dayStates[date] = dayStates[date];
+                }
+            });
+            if (!Migrations.isDateStr(habit.archivedAt)) habit.archivedAt = null;
+            return habit;
+        },
+
+        /**
+         * @param {Object} block - Time block record
+         * @returns {Object|null} Repaired time block or null
+         */
+        timeBlock(block) {
+            if (!Migrations.isDateStr(block.date)) return null;
+            if (!Migrations.isTimeStr(block.startTime)) return null;
+            if (!Migrations.isTimeStr(block.endTime)) {
+                // Older builds could save an empty or unpadded end time; assume one hour
+                const [h, m] = block.startTime.split(':').map(Number);
+                const end = Math.min(h * 60 + m + 60, 23 * 60 + 59);
+                block.endTime = `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+            }
+            if (!block.id) block.id = Storage.generateId();
+            if (typeof block.title !== 'string') block.title = '';
+            if (typeof block.category !== 'string' || !block.category) block.category = 'work';
+            if ('taskId' in block && typeof block.taskId !== 'string') delete block.taskId;
+            return block;
+        },
+
+        /**
+         * @param {Object} objective - Weekly objective record
+         * @returns {Object|null} Repaired objective or null
+         */
+        weeklyObjective(objective) {
+            if (typeof objective.title !== 'string' || !objective.title.trim()) return null;
+            if (!Migrations.isDateStr(objective.weekStart)) return null;
+            if (!objective.id) objective.id = Storage.generateId();
+            objective.completed = objective.completed === true;
+            if (typeof objective.goalId !== 'string' || !objective.goalId) objective.goalId = null;
+            if (!Migrations.isDateStr(objective.carriedFrom)) objective.carriedFrom = null;
+            objective.dropped = objective.dropped === true;
+            return objective;
+        },
+
+        /**
+         * @param {Object} session - Focus session record
+         * @returns {Object|null} Repaired session or null
+         */
+        focusSession(session) {
+            if (!Migrations.isDateStr(session.date)) return null;
+            if (typeof session.startedAt !== 'string' || !session.startedAt) return null;
+            if (!session.id) session.id = Storage.generateId();
+            if (typeof session.taskId !== 'string') session.taskId = null;
+            if (typeof session.endedAt !== 'string') session.endedAt = session.startedAt;
+            session.minutes = Migrations.toPositiveInt(session.minutes, 0);
+            if (!['work', 'shortBreak', 'longBreak'].includes(session.type)) session.type = 'work';
+            session.interruptions = Migrations.toPositiveInt(session.interruptions, 0);
+            const distractions = session.distractions && typeof session.distractions === 'object' ? session.distractions : {};
+            session.distractions = {
+                internal: Migrations.toPositiveInt(distractions.internal, 0),
+                external: Migrations.toPositiveInt(distractions.external, 0)
+            };
+            session.completed = session.completed === true;
+            if (typeof session.category !== 'string' || !session.category) session.category = 'personal';
+            return session;
+        },
+
+        /**
+         * @param {Object} routine - Routine record
+         * @returns {Object|null} Repaired routine or null
+         */
+        routine(routine) {
+            if (typeof routine.name !== 'string' || !routine.name.trim()) return null;
+            if (!routine.id) routine.id = Storage.generateId();
+            if (!Migrations.isTimeStr(routine.time)) routine.time = null;
+            const steps = Array.isArray(routine.steps) ? routine.steps : [];
+            routine.steps = steps
+                .filter(step => step && typeof step.habitId === 'string')
+                .map(step => ({ habitId: step.habitId, time: Migrations.isTimeStr(step.time) ? step.time : null }));
+            return routine;
+        },
+
+        /**
+         * @param {Object} area - Life area record
+         * @returns {Object|null} Repaired life area or null
+         */
+        lifeArea(area) {
+            if (typeof area.name !== 'string' || !area.name.trim()) return null;
+            if (typeof area.id !== 'string' || !area.id) area.id = Storage.generateId();
+            if (typeof area.icon !== 'string' || !area.icon) area.icon = '⭐';
+            if (typeof area.color !== 'string' || !/^#[0-9a-f]{6}$/i.test(area.color)) area.color = LifeAreas.COLORS[0];
+            area.retired = area.retired === true;
+            area.ratings = (Array.isArray(area.ratings) ? area.ratings : []).filter(rating => rating
+                && Migrations.isDateStr(rating.date)
+                && Number.isInteger(rating.value)
+                && rating.value >= LifeAreas.RATING_MIN
+                && rating.value <= LifeAreas.RATING_MAX);
+            return area;
+        },
+
+        /**
+         * @param {Object} distraction - Distraction record
+         * @returns {Object|null} Repaired distraction or null
+         */
+        distraction(distraction) {
+            if (!Migrations.isDateStr(distraction.date)) return null;
+            if (typeof distraction.at !== 'string' || !distraction.at) return null;
+            if (!distraction.id) distraction.id = Storage.generateId();
+            if (!['internal', 'external'].includes(distraction.kind)) distraction.kind = 'internal';
+            if (typeof distraction.note !== 'string') distraction.note = '';
+            if (typeof distraction.taskId !== 'string') distraction.taskId = null;
+            if (typeof distraction.inboxTaskId !== 'string') distraction.inboxTaskId = null;
+            return distraction;
+        },
+
+        /**
+         * @param {Object} goals - Goals object
+         * @param {Object} report - Report to record fixes in
+         * @returns {Object} Repaired goals object
+         */
+        goals(goals, report) {
+            if (!goals || typeof goals !== 'object' || Array.isArray(goals)) {
+                report.dropped++;
+                goals = {};
+            }
+            const goal = (g) => {
+                if (typeof g.title !== 'string' || !g.title.trim()) return null;
+                if (!g.id) g.id = Storage.generateId();
+                const progress = Number(g.progress);
+                g.progress = Number.isFinite(progress) ? Math.min(100, Math.max(0, progress)) : 0;
+                if (!Goals.STATUSES.includes(g.status)) g.status = 'active';
+                if (!Migrations.isDateStr(g.targetDate)) g.targetDate = null;
+                if (!Goals.isClosed(g) || !Migrations.isDateStr(g.closedAt)) g.closedAt = null;
+                g.keyResults = (Array.isArray(g.keyResults) ? g.keyResults : [])
+                    .map(kr => Migrations.check(kr, keyResult, report))
+                    .filter(kr => kr !== null);
+                return g;
+            };
+            const keyResult = (kr) => {
+                if (typeof kr.title !== 'string' || !kr.title.trim()) return null;
+                if (!Goals.KEY_RESULT_TYPES.includes(kr.type)) return null;
+                if (!kr.id) kr.id = Storage.generateId();
+                if (kr.type === 'checklist') {
+                    kr.items = (Array.isArray(kr.items) ? kr.items : [])
+                        .filter(item => item && typeof item.text === 'string')
+                        .map(item => ({ id: item.id || Storage.generateId(), text: item.text, done: item.done === true }));
+                } else {
+                    ['start', 'target', 'current'].forEach(field => {
+                        const value = Number(kr[field]);
+                        kr[field] = Number.isFinite(value) ? value : 0;
+                    });
+                    if (typeof kr.unit !== 'string') kr.unit = '';
+                }
+                kr.checkIns = (Array.isArray(kr.checkIns) ? kr.checkIns : []).filter(c => c
+                    && Migrations.isDateStr(c.date)
+                    && typeof c.at === 'string'
+                    && Number.isFinite(c.value));
+                return kr;
+            };
+            const clean = (arr) => (Array.isArray(arr) ? arr : [])
+                .map(g => Migrations.check(g, goal, report))
+                .filter(g => g !== null);
+
+            const lifeAreas = {};
+            const areas = goals.lifeAreas && typeof goals.lifeAreas === 'object' ? goals.lifeAreas : {};
+            Object.keys(areas).forEach(area => {
+                lifeAreas[area] = clean(areas[area]);
+            });
+
+            // Drop links to areas and yearly goals that no longer exist
+            const yearly = clean(goals.yearly);
+            const monthly = clean(goals.monthly);
+            const yearlyIds = yearly.map(g => g.id);
+            [...yearly, ...monthly].forEach(g => {
+                if (g.area !== null && g.area !== undefined && !(g.area in lifeAreas)) {
+                    g.area = null;
+                    report.repaired++;
+                }
+            });
+            monthly.forEach(g => {
+                if (g.parentId && !yearlyIds.includes(g.parentId)) {
+                    g.parentId = null;
+                    report.repaired++;
+                }
+                if (!Migrations.isMonthStr(g.month)) {
+                    g.month = Goals.getMonthKey(g.targetDate || Utils.getTodayStr());
+                    report.repaired++;
+                }
+                if (!Migrations.isMonthStr(g.carriedFrom)) g.carriedFrom = null;
+            });
+
+            return {
+                ...goals,
+                yearly,
+                monthly,
+                lifeAreas
+            };
+        },
+
+        /**
+         * @param {Object} dailyData - Daily data keyed by date
+         * @param {Object} report - Report to record fixes in
+         * @returns {Object} Repaired daily data
+         */
+        dailyData(dailyData, report) {
+            if (!dailyData || typeof dailyData !== 'object' || Array.isArray(dailyData)) {
+                report.dropped++;
+                return {};
+            }
+            const result = {};
+            Object.keys(dailyData).forEach(dateStr => {
+                const entry = dailyData[dateStr];
+                if (!Migrations.isDateStr(dateStr) || !entry || typeof entry !== 'object') {
+                    report.dropped++;
+                    return;
+                }
+                const repaired = { ...entry };
+                ['energy', 'mood', 'sleep'].forEach(tracker => {
+                    const value = repaired[tracker];
+                    if (value !== null && value !== undefined && !(Number.isInteger(value) && value >= 1 && value <= 5)) {
+                        repaired[tracker] = null;
+                    }
+                });
+                if (JSON.stringify(repaired) !== JSON.stringify(entry)) report.repaired++;
+                result[dateStr] = repaired;
+            });
+            return result;
+        },
+
+        /**
+         * @param {Object} settings - Settings object
+         * @param {Object} report - Report to record fixes in
+         * @returns {Object} Repaired settings
+         */
+        settings(settings, report) {
+            if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+                report.dropped++;
+                return {};
+            }
+            const repaired = { ...settings };
+            ['workStart', 'workEnd', 'lunchStart'].forEach(field => {
+                if (field in repaired && !Migrations.isTimeStr(repaired[field])) delete repaired[field];
+            });
+            ['dailyCapacity', 'pomodoroLength', 'breakLength', 'longBreakLength', 'pomodoroCycles'].forEach(field => {
+                if (field in repaired && !(Number(repaired[field]) > 0)) delete repaired[field];
+            });
+            ['scheduleBuffer', 'lunchDuration'].forEach(field => {
+                if (field in repaired && !(Number(repaired[field]) >= 0)) delete repaired[field];
+            });
+            ['pomodoroAutoAdvance', 'notificationsEnabled'].forEach(field => {
+                if (field in repaired && typeof repaired[field] !== 'boolean') delete repaired[field];
+            });
+            ['chimeVolume', 'ambientVolume'].forEach(field => {
+                const volume = Number(repaired[field]);
+                if (field in repaired && !(volume >= 0 && volume <= 100)) delete repaired[field];
+            });
+            if ('ambientSound' in repaired && !['none', 'tick', 'white', 'brown'].includes(repaired.ambientSound)) {
+                delete repaired.ambientSound;
+            }
+            if ('rolloverPolicy' in repaired && !['auto', 'prompt', 'leave'].includes(repaired.rolloverPolicy)) {
+                delete repaired.rolloverPolicy;
+            }
+            ['rolloverPromptDate', 'planReviewPromptDate'].forEach(field => {
+                if (field in repaired && repaired[field] !== null && !Migrations.isDateStr(repaired[field])) delete repaired[field];
+            });
+            if ('vacations' in repaired) {
+                repaired.vacations = Array.isArray(repaired.vacations)
+                    ? repaired.vacations.filter(v => v && Migrations.isDateStr(v.start) && Migrations.isDateStr(v.end) && v.start <= v.end)
+                    : [];
+            }
+            if ('timeZone' in repaired && repaired.timeZone !== '' && !Migrations.isTimeZone(repaired.timeZone)) {
+                delete repaired.timeZone;
+            }
+            if ('dayStartHour' in repaired && !(Number.isInteger(repaired.dayStartHour) && repaired.dayStartHour >= 0 && repaired.dayStartHour <= 6)) {
+                delete repaired.dayStartHour;
+            }
+            if (JSON.stringify(repaired) !== JSON.stringify(settings)) report.repaired++;
+            return repaired;
+        }
+    },
+
+    // ============================================
+    // HELPERS
+    // ============================================
+
+    /**
+     * Check for a YYYY-MM-DD string
+     * @param {any} value - Value to check
+     * @returns {boolean}
+     */
+    isDateStr(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    },
+
+    /**
+     * Check for a YYYY-MM string
+     * @param {any} value - Value to check
+     * @returns {boolean}
+     */
+    isMonthStr(value) {
+        return typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+    },
+
+    /**
+     * Check for an HH:MM string
+     * @param {any} value - Value to check
+     * @returns {boolean}
+     */
+    isTimeStr(value) {
+        return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    },
+
+    /**
+     * Check for a time zone name the browser knows (e.g. "Europe/Berlin")
+     * @param {any} value - Value to check
+     * @returns {boolean}
+     */
+    isTimeZone(value) {
+        if (typeof value !== 'string' || !value) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    },
+
+    /**
+     * Coerce to a non-negative integer
+     * @param {any} value - Value to coerce
+     * @param {number} fallback - Value to use when invalid
+     * @returns {number}
+     */
+    toPositiveInt(value, fallback) {
+        const n = parseInt(value);
+        return Number.isFinite(n) && n >= 0 ? n : fallback;
+    }
+};
+
+// Export for use in other modules
+window.Migrations = Migrations;
@@ -0,0 +1,108 @@
+/**
+ * ZENITH DIGITAL PLANNER - Pomodoro Cycle
+ * Phase transitions for focus sessions
+ *
+ * A run alternates work and break phases:
+ *   work -> shortBreak -> work -> shortBreak -> ... -> work -> longBreak
+ * with a long break after every `pomodoroCycles` completed work phases.
+ *
+ * Time is never counted tick by tick. A phase stores when it started and how
+ * long it has been paused, so elapsed time is always derived from the clock
+ * and stays correct in throttled background tabs and across reloads:
+ *   { phaseStartedAt, phaseLength, pausedAt, pausedMs }  (ms epoch / seconds / ms)
+ */
+
+const Pomodoro = {
+    PHASES: {
+        work: { label: 'Focus', setting: 'pomodoroLength' },
+        shortBreak: { label: 'Short break', setting: 'breakLength' },
+        longBreak: { label: 'Long break', setting: 'longBreakLength' }
+    },
+
+    /**
+     * Create the state for a new run
+     * @param {string} taskId - Task being worked on
+     * @returns {Object} { taskId, phase, completedWork }
+     */
+    createState(taskId) {
+        return { taskId, phase: 'work', completedWork: 0 };
+    },
+
+    /**
+     * Length of a phase
+     * @param {string} phase - work, shortBreak or longBreak
+     * @param {Object} settings - User settings
+     * @returns {number} Minutes
+     */
+    getPhaseLength(phase, settings) {
+        return settings[this.PHASES[phase].setting];
+    },
+
+    /**
+     * Decide which phase follows the current one
+     * @param {Object} state - Current run state
+     * @param {Object} settings - User settings
+     * @returns {string} Next phase
+     */
+    nextPhase(state, settings) {
+        if (state.phase !== 'work') return 'work';
+        const cycles = Math.max(1, settings.pomodoroCycles);
+        return (state.completedWork + 1) % cycles === 0 ? 'longBreak' : 'shortBreak';
+    },
+
+    /**
+     * Move a run on to its next phase
+     * @param {Object} state - Current run state
+     * @param {Object} settings - User settings
+     * @returns {Object} New state
+     */
+    advance(state, settings) {
+        return {
+            ...state,
+            phase: this.nextPhase(state, settings),
+            completedWork: state.phase === 'work' ? state.completedWork + 1 : state.completedWork
+        };
+    },
+
+    /**
+     * Seconds a phase has been running, excluding pauses
+     * @param {Object} state - Run state
+     * @param {number} now - Current time in ms
+     * @returns {number} Whole seconds
+     */
+    getElapsed(state, now = Date.now()) {
+        const paused = state.pausedMs + (state.pausedAt ? now - state.pausedAt : 0);
+        return Math.max(0, Math.floor((now - state.phaseStartedAt - paused) / 1000));
+    },
+
+    /**
+     * Seconds left in a phase
+     * @param {Object} state - Run state
+     * @param {number} now - Current time in ms
+     * @returns {number} Whole seconds, never negative
+     */
+    getRemaining(state, now = Date.now()) {
+        return Math.max(0, state.phaseLength - this.getElapsed(state, now));
+    },
+
+    /**
+     * When a running phase reaches zero
+     * @param {Object} state - Run state (not paused)
+     * @returns {number} Time in ms
+     */
+    getPhaseEnd(state) {
+        return state.phaseStartedAt + state.pausedMs + state.phaseLength * 1000;
+    },
+
+    /**
+     * Check if a phase is a break
+     * @param {string} phase - Phase name
+     * @returns {boolean}
+     */
+    isBreak(phase) {
+        return phase !== 'work';
+    }
+};
+
+// Export for use in other modules
+window.Pomodoro = Pomodoro;
@@ -0,0 +1,261 @@
+/**
+ * ZENITH DIGITAL PLANNER - Recurrence Rules
+ * RRULE-style repeat rules for tasks and their expansion into dates
+ *
+ * A rule looks like:
+ *   {
+ *     freq: 'daily' | 'weekly' | 'monthly' | 'yearly',
+ *     interval: 1,                      // every N days/weeks/months/years
+ *     byWeekday: [1, 3],                // weekly only: 0 (Sun) - 6 (Sat)
+ *     monthlyWeekday: { nth, weekday }, // monthly only: nth 1-4, or -1 for last
+ *     until: 'YYYY-MM-DD' | null        // last possible occurrence
+ *   }
+ *
+ * The series starts on the task's `date`. All math is done on UTC dates so
+ * results don't depend on the browser's time zone.
+ */
+
+const Recurrence = {
+    WEEKDAY_NAMES: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+    ORDINALS: { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', '-1': 'last' },
+
+    // ============================================
+    // PRESETS
+    // ============================================
+
+    /**
+     * Build a common rule anchored on a start date
+     * @param {string} preset - daily, weekdays, weekly, monthly, yearly
+     * @param {string} startStr - Series start (YYYY-MM-DD)
+     * @returns {Object|null} Rule or null for 'none'
+     */
+    fromPreset(preset, startStr) {
+        switch (preset) {
+            case 'daily':
+                return { freq: 'daily', interval: 1, until: null };
+            case 'weekdays':
+                return { freq: 'weekly', interval: 1, byWeekday: [1, 2, 3, 4, 5], until: null };
+            case 'weekly':
+                return { freq: 'weekly', interval: 1, byWeekday: [this.parse(startStr).getUTCDay()], until: null };
+            case 'monthly':
+                return { freq: 'monthly', interval: 1, monthlyWeekday: this.getNthWeekday(startStr), until: null };
+            case 'yearly':
+                return { freq: 'yearly', interval: 1, until: null };
+            default:
+                return null;
+        }
+    },
+
+    // ============================================
+    // EXPANSION
+    // ============================================
+
+    /**
+     * Check whether a series has an occurrence on a date
+     * @param {Object} rule - Recurrence rule
+     * @param {string} startStr - Series start (YYYY-MM-DD)
+     * @param {string} dateStr - Date to check (YYYY-MM-DD)
+     * @returns {boolean}
+     */
+    occursOn(rule, startStr, dateStr) {
+        if (!rule || dateStr < startStr) return false;
+        if (rule.until && dateStr > rule.until) return false;
+
+        const start = this.parse(startStr);
+        const date = this.parse(dateStr);
+        const interval = Math.max(1, rule.interval || 1);
+
+        switch (rule.freq) {
+            case 'daily': {
+                const days = Math.round((date - start) / 86400000);
+                return days % interval === 0;
+            }
+            case 'weekly': {
+                const weekdays = rule.byWeekday && rule.byWeekday.length > 0
+                    ? rule.byWeekday
+                    : [start.getUTCDay()];
+                if (!weekdays.includes(date.getUTCDay())) return false;
+                const weeks = Math.round((this.mondayOf(date) - this.mondayOf(start)) / (7 * 86400000));
+                return weeks % interval === 0;
+            }
+            case 'monthly': {
+                const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12
+                    + date.getUTCMonth() - start.getUTCMonth();
+                if (months % interval !== 0) return false;
+                if (rule.monthlyWeekday) {
+                    const { nth, weekday } = this.getNthWeekday(dateStr);
+                    const isLast = this.isLastWeekdayOfMonth(date);
+                    return weekday === rule.monthlyWeekday.weekday
+                        && (nth === rule.monthlyWeekday.nth || (rule.monthlyWeekday.nth === -1 && isLast));
+                }
+                return date.getUTCDate() === start.getUTCDate();
+            }
+            case 'yearly': {
+                const years = date.getUTCFullYear() - start.getUTCFullYear();
+                return years % interval === 0
+                    && date.getUTCMonth() === start.getUTCMonth()
+                    && date.getUTCDate() === start.getUTCDate();
+            }
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * List occurrence dates within a range
+     * @param {Object} rule - Recurrence rule
+     * @param {string} startStr - Series start (YYYY-MM-DD)
+     * @param {string} rangeStart - First date to include (YYYY-MM-DD)
+     * @param {string} rangeEnd - Last date to include (YYYY-MM-DD)
+     * @returns {Array<string>} Occurrence dates
+     */
+    expand(rule, startStr, rangeStart, rangeEnd) {
+        const dates = [];
+        const from = rangeStart > startStr ? rangeStart : startStr;
+        const to = rule.until && rule.until < rangeEnd ? rule.until : rangeEnd;
+
+        for (let current = from; current <= to; current = this.addDays(current, 1)) {
+            if (this.occursOn(rule, startStr, current)) {
+                dates.push(current);
+            }
+        }
+        return dates;
+    },
+
+    // ============================================
+    // DESCRIPTION
+    // ============================================
+
+    /**
+     * Describe a rule in plain English (e.g. "Every 2 weeks on Mon, Wed")
+     * @param {Object} rule - Recurrence rule
+     * @returns {string} Description
+     */
+    describe(rule) {
+        if (!rule) return '';
+        const interval = Math.max(1, rule.interval || 1);
+        const every = (unit) => (interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`);
+        let text;
+
+        switch (rule.freq) {
+            case 'daily':
+                text = every('day');
+                break;
+            case 'weekly': {
+                const days = [...(rule.byWeekday || [])].sort();
+                if (interval === 1 && days.join(',') === '1,2,3,4,5') {
+                    text = 'Every weekday';
+                } else {
+                    const names = days.map(d => this.WEEKDAY_NAMES[d].slice(0, 3)).join(', ');
+                    text = names ? `${every('week')} on ${names}` : every('week');
+                }
+                break;
+            }
+            case 'monthly':
+                text = rule.monthlyWeekday
+                    ? `${every('month')} on the ${this.ORDINALS[rule.monthlyWeekday.nth]} ${this.WEEKDAY_NAMES[rule.monthlyWeekday.weekday]}`
+                    : every('month');
+                break;
+            case 'yearly':
+                text = every('year');
+                break;
+            default:
+                return '';
+        }
+
+        return rule.until ? `${text} until ${rule.until}` : text;
+    },
+
+    // ============================================
+    // VALIDATION
+    // ============================================
+
+    /**
+     * Check that a rule is well-formed
+     * @param {Object} rule - Recurrence rule
+     * @returns {boolean}
+     */
+    isValid(rule) {
+        if (!rule || typeof rule !== 'object') return false;
+        if (!['daily', 'weekly', 'monthly', 'yearly'].includes(rule.freq)) return false;
+        if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval >= 1)) return false;
+        if (rule.byWeekday !== undefined && !(Array.isArray(rule.byWeekday)
+            && rule.byWeekday.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) return false;
+        if (rule.monthlyWeekday && !(Number.isInteger(rule.monthlyWeekday.weekday)
+            && [1, 2, 3, 4, -1].includes(rule.monthlyWeekday.nth))) return false;
+        if (rule.until && !/^\d{4}-\d{2}-\d{2}$/.test(rule.until)) return false;
+        return true;
+    },
+
+    // ============================================
+    // DATE HELPERS
+    // ============================================
+
+    /**
+     * Parse YYYY-MM-DD to a UTC midnight Date
+     * @param {string} dateStr - Date string
+     * @returns {Date}
+     */
+    parse(dateStr) {
+        const [y, m, d] = dateStr.split('-').map(Number);
+        return new Date(Date.UTC(y, m - 1, d));
+    },
+
+    /**
+     * Format a UTC Date as YYYY-MM-DD
+     * @param {Date} date - Date object
+     * @returns {string}
+     */
+    format(date) {
+        return date.toISOString().split('T')[0];
+    },
+
+    /**
+     * Add days to a date string
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} New date string
+     */
+    addDays(dateStr, days) {
+        const date = this.parse(dateStr);
+        date.setUTCDate(date.getUTCDate() + days);
+        return this.format(date);
+    },
+
+    /**
+     * Get which weekday of its month a date is (e.g. 2nd Tuesday)
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {Object} { nth, weekday } with nth 1-4, or -1 for a 5th occurrence
+     */
+    getNthWeekday(dateStr) {
+        const date = this.parse(dateStr);
+        const nth = Math.ceil(date.getUTCDate() / 7);
+        return { nth: nth > 4 ? -1 : nth, weekday: date.getUTCDay() };
+    },
+
+    /**
+     * Check if no later date in the month has the same weekday
+     * @param {Date} date - UTC date
+     * @returns {boolean}
+     */
+    isLastWeekdayOfMonth(date) {
+        const next = new Date(date);
+        next.setUTCDate(next.getUTCDate() + 7);
+        return next.getUTCMonth() !== date.getUTCMonth();
+    },
+
+    /**
+     * Get the Monday of a date's week
+     * @param {Date} date - UTC date
+     * @returns {Date}
+     */
+    mondayOf(date) {
+        const monday = new Date(date);
+        const day = monday.getUTCDay();
+        monday.setUTCDate(monday.getUTCDate() - (day === 0 ? 6 : day - 1));
+        return monday;
+    }
+};
+
+// Export for use in other modules
+window.Recurrence = Recurrence;
@@ -0,0 +1,98 @@
+/**
+ * ZENITH DIGITAL PLANNER - Day Scheduler
+ * Packs a day's tasks into the free time around existing time blocks
+ *
+ * Everything here works in minutes after midnight. Existing blocks and the
+ * lunch break are fixed; tasks are placed first-fit, highest priority first,
+ * keeping a buffer between neighbouring items.
+ */
+
+const Scheduler = {
+    PRIORITY_ORDER: { high: 0, medium: 1, low: 2 },
+
+    // Proposed start times are rounded up to this step
+    STEP_MINUTES: 5,
+
+    /**
+     * Propose a start and end time for each task
+     * @param {Array} tasks - Tasks to place (each with duration and priority)
+     * @param {Array} blocks - Existing time blocks for the day
+     * @param {Object} options - { dayStart, dayEnd, buffer, lunchStart, lunchDuration } in minutes
+     * @returns {Object} { scheduled: [{ task, start, end }], unscheduled: [task] }
+     */
+    planDay(tasks, blocks, options) {
+        const { dayStart, dayEnd, buffer = 0, lunchStart = null, lunchDuration = 0 } = options;
+
+        const busy = blocks.map(block => ({
+            start: Utils.timeToMinutes(block.startTime),
+            end: Utils.timeToMinutes(block.endTime)
+        }));
+        if (lunchStart !== null && lunchDuration > 0) {
+            busy.push({ start: lunchStart, end: lunchStart + lunchDuration });
+        }
+
+        const scheduled = [];
+        const unscheduled = [];
+
+        this.sortByPriority(tasks).forEach(task => {
+            const duration = task.duration || 30;
+            const start = this.findSlot(busy, duration, dayStart, dayEnd, buffer);
+
+            if (start === null) {
+                unscheduled.push(task);
+                return;
+            }
+
+            busy.push({ start, end: start + duration });
+            scheduled.push({ task, start, end: start + duration });
+        });
+
+        scheduled.sort((a, b) => a.start - b.start);
+        return { scheduled, unscheduled };
+    },
+
+    /**
+     * Order tasks high priority first, keeping their order within a priority
+     * @param {Array} tasks - Tasks to sort
+     * @returns {Array} New sorted array
+     */
+    sortByPriority(tasks) {
+        const rank = (task) => this.PRIORITY_ORDER[task.priority] ?? this.PRIORITY_ORDER.medium;
+        return [...tasks].sort((a, b) => rank(a) - rank(b));
+    },
+
+    /**
+     * Find the earliest start that fits a duration between busy intervals
+     * @param {Array} busy - Busy intervals { start, end }
+     * @param {number} duration - Minutes needed
+     * @param {number} from - Earliest allowed start
+     * @param {number} to - Latest allowed end
+     * @param {number} buffer - Minutes to keep clear around busy intervals
+     * @returns {number|null} Start minute or null if nothing fits
+     */
+    findSlot(busy, duration, from, to, buffer) {
+        let start = this.roundUp(from);
+
+        [...busy]
+            .sort((a, b) => a.start - b.start)
+            .forEach(interval => {
+                if (interval.end + buffer <= start) return;
+                if (start + duration + buffer <= interval.start) return;
+                start = this.roundUp(Math.max(start, interval.end + buffer));
+            });
+
+        return start + duration <= to ? start : null;
+    },
+
+    /**
+     * Round minutes up to the scheduling step
+     * @param {number} minutes - Minutes after midnight
+     * @returns {number}
+     */
+    roundUp(minutes) {
+        return Math.ceil(minutes / this.STEP_MINUTES) * this.STEP_MINUTES;
+    }
+};
+
+// Export for use in other modules
+window.Scheduler = Scheduler;
@@ -0,0 +1,196 @@
+/**
+ * ZENITH DIGITAL PLANNER - Sounds
+ * Focus mode chimes and background noise, synthesized with Web Audio
+ *
+ * Nothing is loaded from files. Volumes are 0-100 as stored in settings;
+ * 0 means off. Browsers only allow audio after a user gesture, so the
+ * context is created lazily and resumed on every use.
+ */
+
+const Sounds = {
+    context: null,
+
+    // Running background sound: { type, gain, source, timer }
+    ambient: null,
+
+    // Notes played in sequence (Hz): rising when focus ends, falling when a break ends
+    CHIMES: {
+        focusEnd: [523.25, 659.25, 783.99],
+        breakEnd: [783.99, 659.25, 523.25]
+    },
+
+    // Loudest gain used at volume 100; noise is kept well below the chimes
+    MAX_GAIN: {
+        chime: 0.4,
+        tick: 0.25,
+        noise: 0.15
+    },
+
+    /**
+     * Get (and wake) the shared audio context
+     * @returns {AudioContext|null} Null where Web Audio is unsupported
+     */
+    getContext() {
+        const AudioCtx = window.AudioContext || window.webkitAudioContext;
+        if (!AudioCtx) return null;
+
+        if (!this.context) {
+            this.context = new AudioCtx();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume();
+        }
+        return this.context;
+    },
+
+    /**
+     * Convert a 0-100 volume to a gain value
+     * @param {number} volume - Volume 0-100
+     * @param {string} kind - chime, tick or noise
+     * @returns {number}
+     */
+    toGain(volume, kind) {
+        return (Math.min(100, Math.max(0, volume)) / 100) * this.MAX_GAIN[kind];
+    },
+
+    // ============================================
+    // CHIMES
+    // ============================================
+
+    /**
+     * Play a short bell-like chime
+     * @param {string} name - Key of CHIMES
+     * @param {number} volume - Volume 0-100
+     */
+    playChime(name, volume) {
+        if (!(volume > 0)) return;
+        const ctx = this.getContext();
+        if (!ctx) return;
+
+        const peak = this.toGain(volume, 'chime');
+        this.CHIMES[name].forEach((frequency, i) => {
+            const start = ctx.currentTime + i * 0.18;
+            const osc = ctx.createOscillator();
+            const gain = ctx.createGain();
+
+            osc.type = 'sine';
+            osc.frequency.value = frequency;
+            gain.gain.setValueAtTime(0, start);
+            gain.gain.linearRampToValueAtTime(peak, start + 0.02);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + 1.2);
+
+            osc.connect(gain);
+            gain.connect(ctx.destination);
+            osc.start(start);
+            osc.stop(start + 1.25);
+        });
+    },
+
+    // ============================================
+    // BACKGROUND SOUND
+    // ============================================
+
+    /**
+     * Start a looping background sound, replacing any other one
+     * @param {string} type - none, tick, white or brown
+     * @param {number} volume - Volume 0-100
+     */
+    startAmbient(type, volume) {
+        if (this.ambient && this.ambient.type === type) {
+            this.setAmbientVolume(volume);
+            return;
+        }
+
+        this.stopAmbient();
+        if (type === 'none' || !(volume > 0)) return;
+
+        const ctx = this.getContext();
+        if (!ctx) return;
+
+        const gain = ctx.createGain();
+        gain.gain.value = this.toGain(volume, type === 'tick' ? 'tick' : 'noise');
+        gain.connect(ctx.destination);
+        this.ambient = { type, gain, source: null, timer: null };
+
+        if (type === 'tick') {
+            this.ambient.timer = setInterval(() => this.playTick(gain), 1000);
+        } else {
+            const source = ctx.createBufferSource();
+            source.buffer = this.createNoise(ctx, type);
+            source.loop = true;
+            source.connect(gain);
+            source.start();
+            this.ambient.source = source;
+        }
+    },
+
+    /**
+     * Change the volume of the running background sound
+     * @param {number} volume - Volume 0-100
+     */
+    setAmbientVolume(volume) {
+        if (!this.ambient) return;
+        const kind = this.ambient.type === 'tick' ? 'tick' : 'noise';
+        this.ambient.gain.gain.value = this.toGain(volume, kind);
+    },
+
+    /**
+     * Stop the background sound, if any
+     */
+    stopAmbient() {
+        if (!this.ambient) return;
+        if (this.ambient.timer) clearInterval(this.ambient.timer);
+        if (this.ambient.source) this.ambient.source.stop();
+        this.ambient.gain.disconnect();
+        this.ambient = null;
+    },
+
+    /**
+     * Play one clock tick
+     * @param {AudioNode} destination - Node to play into
+     */
+    playTick(destination) {
+        const ctx = this.getContext();
+        const start = ctx.currentTime;
+        const osc = ctx.createOscillator();
+        const gain = ctx.createGain();
+
+        osc.type = 'square';
+        osc.frequency.value = 1800;
+        gain.gain.setValueAtTime(1, start);
+        gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.03);
+
+        osc.connect(gain);
+        gain.connect(destination);
+        osc.start(start);
+        osc.stop(start + 0.04);
+    },
+
+    /**
+     * Generate a loopable noise buffer
+     * @param {AudioContext} ctx - Audio context
+     * @param {string} type - white or brown
+     * @returns {AudioBuffer}
+     */
+    createNoise(ctx, type) {
+        const length = ctx.sampleRate * 2;
+        const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+        const data = buffer.getChannelData(0);
+        let last = 0;
+
+        for (let i = 0; i < length; i++) {
+            const white = Math.random() * 2 - 1;
+            if (type === 'brown') {
+                // Integrated white noise: deeper, like distant rain
+                last = (last + 0.02 * white) / 1.02;
+                data[i] = last * 3.5;
+            } else {
+                data[i] = white;
+            }
+        }
+        return buffer;
+    }
+};
+
+// Export for use in other modules
+window.Sounds = Sounds;
@@ -0,0 +1,361 @@
+/**
+ * ZENITH DIGITAL PLANNER - Storage Backends
+ * Persistence engines used underneath the Storage module
+ *
+ * Every backend exposes the same shape:
+ *   isAvailable()       -> boolean
+ *   open(keys)          -> Promise<Object> resolving to { key: value } for all stored keys
+ *   write(key, data)    -> Promise, persists a full value for one key
+ *   writeRecords(key, data, records, removedIds)
+ *                       -> optional Promise, persists changed and deleted
+ *                          records of a list value (data is the full list)
+ *   remove(key)         -> Promise, deletes one key
+ *
+ * Storage keeps an in-memory copy of every key, so reads stay synchronous
+ * and backends only have to deal with persisting changes.
+ */
+
+const StorageBackends = {
+    // ============================================
+    // LOCALSTORAGE BACKEND
+    // ============================================
+
+    localStorage: {
+        name: 'localStorage',
+
+        /**
+         * Check if localStorage can be used
+         * @returns {boolean}
+         */
+        isAvailable() {
+            try {
+                const probe = '__zenith_probe__';
+                window.localStorage.setItem(probe, probe);
+                window.localStorage.removeItem(probe);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        /**
+         * Load every key from localStorage
+         * @param {Array<string>} keys - Storage keys to load
+         * @returns {Promise<Object>} Object keyed by storage key
+         */
+        async open(keys) {
+            const data = {};
+            keys.forEach(key => {
+                try {
+                    const raw = window.localStorage.getItem(key);
+                    if (raw !== null) {
+                        data[key] = JSON.parse(raw);
+                    }
+                } catch (error) {
+                    console.error(`Error reading from storage [${key}]:`, error);
+                }
+            });
+            return data;
+        },
+
+        /**
+         * Persist a value
+         * @param {string} key - Storage key
+         * @param {any} data - Data to store
+         * @returns {Promise}
+         */
+        async write(key, data) {
+            window.localStorage.setItem(key, JSON.stringify(data));
+        },
+
+        /**
+         * Remove a value
+         * @param {string} key - Storage key
+         * @returns {Promise}
+         */
+        async remove(key) {
+            window.localStorage.removeItem(key);
+        }
+    },
+
+    // ============================================
+    // INDEXEDDB BACKEND
+    // ============================================
+
+    indexedDB: {
+        name: 'indexedDB',
+        DB_NAME: 'zenith',
+        DB_VERSION: 4,
+        db: null,
+
+        // Keys stored one record per entity. Lists are keyed by their `id`,
+        // maps (daily data) by their object key. Everything else lives in `kv`.
+        ENTITY_STORES: {
+            zenith_tasks: { store: 'tasks', type: 'list', indexes: ['date'] },
+            zenith_habits: { store: 'habits', type: 'list', indexes: [] },
+            zenith_timeblocks: { store: 'timeblocks', type: 'list', indexes: ['date'] },
+            zenith_weekly_objectives: { store: 'weeklyObjectives', type: 'list', indexes: ['weekStart'] },
+            zenith_focus_sessions: { store: 'focusSessions', type: 'list', indexes: ['date', 'taskId'] },
+            zenith_distractions: { store: 'distractions', type: 'list', indexes: ['date'] },
+            zenith_routines: { store: 'routines', type: 'list', indexes: [] },
+            zenith_daily_data: { store: 'dailyData', type: 'map', indexes: [] }
+        },
+
+        // Serialized copy of each persisted record, used to write only what changed
+        snapshots: {},
+
+        /**
+         * Check if IndexedDB can be used
+         * @returns {boolean}
+         */
+        isAvailable() {
+            return typeof window.indexedDB !== 'undefined' && window.indexedDB !== null;
+        },
+
+        /**
+         * Open the database, migrate legacy localStorage data and load every key
+         * @param {Array<string>} keys - Storage keys to load
+         * @returns {Promise<Object>} Object keyed by storage key
+         */
+        async open(keys) {
+            this.db = await this.openDatabase();
+            await this.migrateFromLocalStorage(keys);
+
+            const data = {};
+            for (const key of keys) {
+                const value = await this.read(key);
+                if (value !== null) {
+                    data[key] = value;
+                }
+            }
+            return data;
+        },
+
+        /**
+         * Open (and create or upgrade) the database
+         * @returns {Promise<IDBDatabase>}
+         */
+        openDatabase() {
+            return new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('kv')) {
+                        db.createObjectStore('kv', { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains('meta')) {
+                        db.createObjectStore('meta', { keyPath: 'key' });
+                    }
+                    Object.values(this.ENTITY_STORES).forEach(config => {
+                        if (db.objectStoreNames.contains(config.store)) return;
+                        const store = db.createObjectStore(config.store, { keyPath: 'id' });
+                        config.indexes.forEach(field => {
+                            store.createIndex(field, `value.${field}`, { unique: false });
+                        });
+                    });
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+            });
+        },
+
+        /**
+         * Copy existing zenith_* keys from localStorage on first launch
+         * @param {Array<string>} keys - Storage keys to migrate
+         * @returns {Promise}
+         */
+        async migrateFromLocalStorage(keys) {
+            const meta = await this.request(this.db.transaction('meta').objectStore('meta').get('migratedFromLocalStorage'));
+            if (meta && meta.value) return;
+
+            const legacy = StorageBackends.localStorage.isAvailable()
+                ? await StorageBackends.localStorage.open(keys)
+                : {};
+
+            for (const key of Object.keys(legacy)) {
+                await this.write(key, legacy[key]);
+            }
+
+            await this.complete(this.db.transaction('meta', 'readwrite'), tx => {
+                tx.objectStore('meta').put({ key: 'migratedFromLocalStorage', value: new Date().toISOString() });
+            });
+
+            // Free the localStorage quota now that IndexedDB holds the data
+            Object.keys(legacy).forEach(key => {
+                StorageBackends.localStorage.remove(key);
+            });
+        },
+
+        /**
+         * Read a full value for one key
+         * @param {string} key - Storage key
+         * @returns {Promise<any>} Stored value or null
+         */
+        async read(key) {
+            const config = this.ENTITY_STORES[key];
+
+            if (!config) {
+                const record = await this.request(this.db.transaction('kv').objectStore('kv').get(key));
+                return record ? record.value : null;
+            }
+
+            const records = await this.request(this.db.transaction(config.store).objectStore(config.store).getAll());
+            this.snapshots[key] = new Map(records.map(r => [r.id, JSON.stringify(r.value)]));
+
+            // An empty store is indistinguishable from a key that was never written
+            if (records.length === 0 && !(await this.hasKey(key))) {
+                return null;
+            }
+
+            if (config.type === 'map') {
+                const map = {};
+                records.forEach(r => { map[r.id] = r.value; });
+                return map;
+            }
+            return records.map(r => r.value);
+        },
+
+        /**
+         * Persist a full value, writing only records that changed
+         * @param {string} key - Storage key
+         * @param {any} data - Data to store
+         * @returns {Promise}
+         */
+        write(key, data) {
+            const config = this.ENTITY_STORES[key];
+
+            if (!config) {
+                return this.complete(this.db.transaction('kv', 'readwrite'), tx => {
+                    tx.objectStore('kv').put({ key, value: data });
+                });
+            }
+
+            const entries = config.type === 'map'
+                ? Object.entries(data || {})
+                : (data || []).map(item => [item.id, item]);
+            const previous = this.snapshots[key];
+            const next = new Map(entries.map(([id, value]) => [id, JSON.stringify(value)]));
+
+            // Transactions run in the order they are created, so the next write
+            // can diff against this one before it commits
+            this.snapshots[key] = next;
+
+            return this.complete(this.db.transaction([config.store, 'meta'], 'readwrite'), tx => {
+                const store = tx.objectStore(config.store);
+                if (!previous) {
+                    store.clear();
+                }
+                entries.forEach(([id, value]) => {
+                    if (!previous || previous.get(id) !== next.get(id)) {
+                        store.put({ id, value });
+                    }
+                });
+                if (previous) {
+                    previous.forEach((json, id) => {
+                        if (!next.has(id)) {
+                            store.delete(id);
+                        }
+                    });
+                }
+                tx.objectStore('meta').put({ key: `written:${key}`, value: true });
+            }).catch(error => {
+                // The store no longer matches any snapshot; rewrite it fully next time
+                this.snapshots[key] = null;
+                throw error;
+            });
+        },
+
+        /**
+         * Persist changed and deleted records of a list without diffing the rest
+         * @param {string} key - Storage key
+         * @param {Array} data - Full list, used when the store has to be rewritten
+         * @param {Array<Object>} records - Records that were added or changed
+         * @param {Array<string>} removedIds - IDs of records that were deleted
+         * @returns {Promise}
+         */
+        writeRecords(key, data, records, removedIds) {
+            const config = this.ENTITY_STORES[key];
+            const snapshot = this.snapshots[key];
+            if (!config || config.type !== 'list' || !snapshot) {
+                return this.write(key, data);
+            }
+
+            records.forEach(record => snapshot.set(record.id, JSON.stringify(record)));
+            removedIds.forEach(id => snapshot.delete(id));
+
+            return this.complete(this.db.transaction([config.store, 'meta'], 'readwrite'), tx => {
+                const store = tx.objectStore(config.store);
+                records.forEach(record => store.put({ id: record.id, value: record }));
+                removedIds.forEach(id => store.delete(id));
+                tx.objectStore('meta').put({ key: `written:${key}`, value: true });
+            }).catch(error => {
+                this.snapshots[key] = null;
+                throw error;
+            });
+        },
+
+        /**
+         * Remove one key
+         * @param {string} key - Storage key
+         * @returns {Promise}
+         */
+        remove(key) {
+            const config = this.ENTITY_STORES[key];
+
+            if (!config) {
+                return this.complete(this.db.transaction('kv', 'readwrite'), tx => {
+                    tx.objectStore('kv').delete(key);
+                });
+            }
+
+            this.snapshots[key] = new Map();
+            return this.complete(this.db.transaction([config.store, 'meta'], 'readwrite'), tx => {
+                tx.objectStore(config.store).clear();
+                tx.objectStore('meta').delete(`written:${key}`);
+            });
+        },
+
+        /**
+         * Check whether an entity key has ever been written
+         * @param {string} key - Storage key
+         * @returns {Promise<boolean>}
+         */
+        async hasKey(key) {
+            const record = await this.request(this.db.transaction('meta').objectStore('meta').get(`written:${key}`));
+            return !!record;
+        },
+
+        /**
+         * Wrap an IDBRequest in a promise
+         * @param {IDBRequest} request - Request to wait for
+         * @returns {Promise<any>} Request result
+         */
+        request(request) {
+            return new Promise((resolve, reject) => {
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        },
+
+        /**
+         * Run work inside a transaction and resolve once it commits
+         * @param {IDBTransaction} tx - Transaction to use
+         * @param {Function} work - Receives the transaction and queues requests
+         * @returns {Promise}
+         */
+        complete(tx, work) {
+            return new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+                work(tx);
+            });
+        }
+    }
+};
+
+// Export for use in other modules
+window.StorageBackends = StorageBackends;
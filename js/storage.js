@@ -1,6 +1,9 @@
 /**
  * ZENITH DIGITAL PLANNER - Storage Module
- * Handles all localStorage operations with data validation
+ * Handles all persistence operations with data validation
+ *
+ * Reads and writes go through an in-memory cache that is loaded once from a
+ * backend (IndexedDB, falling back to localStorage) in init().
  */
 
 const Storage = {
@@ -13,14 +16,60 @@ const Storage = {
         TIME_BLOCKS: 'zenith_timeblocks',
         DAILY_DATA: 'zenith_daily_data',
         WEEKLY_OBJECTIVES: 'zenith_weekly_objectives',
+        FOCUS_SESSIONS: 'zenith_focus_sessions',
+        FOCUS_STATE: 'zenith_focus_state',
+        DISTRACTIONS: 'zenith_distractions',
+        ROUTINES: 'zenith_routines',
+        LIFE_AREAS: 'zenith_life_areas',
         SETTINGS: 'zenith_settings',
-        THEME: 'zenith_theme'
+        THEME: 'zenith_theme',
+        SCHEMA_VERSION: 'zenith_schema_version'
     },
 
+    // Backends tried in order of preference
+    BACKENDS: ['indexedDB', 'localStorage'],
+
+    // Settings used until the user changes them
+    DEFAULT_SETTINGS: {
+        workStart: '09:00',
+        workEnd: '17:00',
+        dailyCapacity: 5,
+        pomodoroLength: 25,
+        breakLength: 5,
+        longBreakLength: 15,
+        pomodoroCycles: 4,
+        pomodoroAutoAdvance: false,
+        notificationsEnabled: false,
+        chimeVolume: 70,
+        ambientSound: 'none',
+        ambientVolume: 30,
+        rolloverPolicy: 'prompt',
+        rolloverPromptDate: null, // Last day the rollover prompt was shown, so it asks once a day
+        planReviewPromptDate: null, // Same for the plan review
+        scheduleBuffer: 10,
+        lunchStart: '12:00',
+        lunchDuration: 60,
+        vacations: [], // [{ start, end }] pausing every habit; past ones are kept for streak history
+        timeZone: '', // IANA zone days are counted in; empty follows the device
+        dayStartHour: 0 // Hour the day rolls over, e.g. 3 files 1am under the day before
+    },
+
+    // Active backend and in-memory copy of every key
+    backend: null,
+    cache: {},
+
     /**
      * Initialize storage with default data if empty
+     * @returns {Promise} Resolves once data is loaded from the backend
      */
-    init() {
+    async init() {
+        if (!this.backend) {
+            await this.connect();
+        }
+
+        // Bring stored data up to the current schema
+        this.migrate();
+
         // Initialize each storage key with defaults if not exists
         if (!this.get(this.KEYS.TASKS)) {
             this.set(this.KEYS.TASKS, []);
@@ -32,16 +81,12 @@ const Storage = {
             this.set(this.KEYS.GOALS, {
                 yearly: [],
                 monthly: [],
-                lifeAreas: {
-                    career: [],
-                    health: [],
-                    relationships: [],
-                    finance: [],
-                    learning: [],
-                    creativity: []
-                }
+                lifeAreas: Object.fromEntries(LifeAreas.DEFAULTS.map(area => [area.id, []]))
             });
         }
+        if (!this.get(this.KEYS.LIFE_AREAS)) {
+            this.set(this.KEYS.LIFE_AREAS, LifeAreas.DEFAULTS.map(area => ({ ...area, retired: false, ratings: [] })));
+        }
         if (!this.get(this.KEYS.TIME_BLOCKS)) {
             this.set(this.KEYS.TIME_BLOCKS, []);
         }
@@ -51,59 +96,222 @@ const Storage = {
         if (!this.get(this.KEYS.WEEKLY_OBJECTIVES)) {
             this.set(this.KEYS.WEEKLY_OBJECTIVES, []);
         }
+        if (!this.get(this.KEYS.FOCUS_SESSIONS)) {
+            this.set(this.KEYS.FOCUS_SESSIONS, []);
+        }
+        if (!this.get(this.KEYS.DISTRACTIONS)) {
+            this.set(this.KEYS.DISTRACTIONS, []);
+        }
+        if (!this.get(this.KEYS.ROUTINES)) {
+            this.set(this.KEYS.ROUTINES, []);
+        }
         if (!this.get(this.KEYS.SETTINGS)) {
-            this.set(this.KEYS.SETTINGS, {
-                workStart: '09:00',
-                workEnd: '17:00',
-                dailyCapacity: 5,
-                pomodoroLength: 25,
-                breakLength: 5
-            });
+            this.set(this.KEYS.SETTINGS, { ...this.DEFAULT_SETTINGS });
+        }
+    },
+
+    /**
+     * Pick the first available backend and load all data into the cache
+     * @returns {Promise}
+     */
+    async connect() {
+        const keys = Object.values(this.KEYS);
+
+        for (const name of this.BACKENDS) {
+            const backend = StorageBackends[name];
+            if (!backend.isAvailable()) continue;
+
+            try {
+                this.cache = await backend.open(keys);
+                this.backend = backend;
+                return;
+            } catch (error) {
+                console.error(`Error opening storage backend [${name}]:`, error);
+            }
+        }
+
+        // Nothing can persist (e.g. storage disabled); keep working in memory
+        console.error('No storage backend available, changes will not be saved');
+        this.cache = {};
+        this.backend = {
+            name: 'memory',
+            write: async () => {},
+            remove: async () => {}
+        };
+    },
+
+    /**
+     * Run pending schema migrations on stored data
+     */
+    migrate() {
+        const version = this.get(this.KEYS.SCHEMA_VERSION) || 0;
+        if (version === Migrations.CURRENT_VERSION) return;
+
+        if (version > Migrations.CURRENT_VERSION) {
+            console.warn(`Stored data uses schema ${version}, newer than ${Migrations.CURRENT_VERSION}; skipping migrations`);
+            return;
+        }
+
+        const data = {};
+        this.dataKeys().forEach(key => {
+            data[key] = this.get(key);
+        });
+
+        const { data: migrated, report } = Migrations.run(data, version);
+        this.dataKeys().forEach(key => {
+            if (migrated[key] !== null && migrated[key] !== undefined) {
+                this.set(key, migrated[key]);
+            }
+        });
+        this.set(this.KEYS.SCHEMA_VERSION, Migrations.CURRENT_VERSION);
+
+        if (report.repaired || report.dropped) {
+            console.warn(`Schema migration repaired ${report.repaired} and dropped ${report.dropped} invalid records`);
         }
     },
 
     /**
-     * Get data from localStorage
+     * Storage keys that hold planner data (everything but the schema version)
+     * @returns {Array<string>}
+     */
+    dataKeys() {
+        return Object.values(this.KEYS).filter(key => key !== this.KEYS.SCHEMA_VERSION);
+    },
+
+    /**
+     * Get data from storage
      * @param {string} key - Storage key
      * @returns {any} Parsed data or null
      */
     get(key) {
-        try {
-            const data = localStorage.getItem(key);
-            return data ? JSON.parse(data) : null;
-        } catch (error) {
-            console.error(`Error reading from storage [${key}]:`, error);
-            return null;
-        }
+        if (!(key in this.cache)) return null;
+        // Hand out a copy so callers can mutate freely before calling set()
+        return JSON.parse(JSON.stringify(this.cache[key]));
     },
 
     /**
-     * Set data in localStorage
+     * Set data in storage
      * @param {string} key - Storage key
      * @param {any} data - Data to store
      */
     set(key, data) {
-        try {
-            localStorage.setItem(key, JSON.stringify(data));
-        } catch (error) {
+        this.cache[key] = JSON.parse(JSON.stringify(data));
+        this.backend.write(key, data).catch(error => {
             console.error(`Error writing to storage [${key}]:`, error);
-        }
+            this.reportError(key, error);
+        });
+    },
+
+    /**
+     * Get one record of a list key by ID, copying only that record
+     * @param {string} key - Storage key
+     * @param {string} id - Record ID
+     * @returns {Object|null} Record or null
+     */
+    getRecord(key, id) {
+        return this.findRecords(key, item => item.id === id)[0] || null;
+    },
+
+    /**
+     * Get the records of a list key that match, copying only those
+     * @param {string} key - Storage key
+     * @param {Function} predicate - Called with each stored record
+     * @returns {Array} Matching records
+     */
+    findRecords(key, predicate) {
+        return (this.cache[key] || [])
+            .filter(predicate)
+            .map(record => JSON.parse(JSON.stringify(record)));
     },
 
     /**
-     * Remove data from localStorage
+     * Save one record of a list key, replacing the record with the same ID
+     * or appending it
+     * @param {string} key - Storage key
+     * @param {Object} record - Record with an `id`
+     */
+    putRecord(key, record) {
+        this.putRecords(key, [record]);
+    },
+
+    /**
+     * Save records of a list key by ID. Anything that changes a few records
+     * uses this (and deleteRecords) so a small change doesn't copy, or
+     * persist, the whole list.
+     * @param {string} key - Storage key
+     * @param {Array<Object>} records - Records with an `id`
+     */
+    putRecords(key, records) {
+        const list = this.cache[key] || (this.cache[key] = []);
+        const copies = records.map(record => JSON.parse(JSON.stringify(record)));
+        copies.forEach(copy => {
+            const index = list.findIndex(item => item.id === copy.id);
+            if (index === -1) {
+                list.push(copy);
+            } else {
+                list[index] = copy;
+            }
+        });
+        this.writeRecords(key, copies, []);
+    },
+
+    /**
+     * Delete records of a list key by ID
+     * @param {string} key - Storage key
+     * @param {Array<string>} ids - Record IDs
+     */
+    deleteRecords(key, ids) {
+        if (ids.length === 0) return;
+        this.cache[key] = (this.cache[key] || []).filter(item => !ids.includes(item.id));
+        this.writeRecords(key, [], ids);
+    },
+
+    /**
+     * Persist changed records through the backend, or the whole list if it
+     * can't write single records
+     * @param {string} key - Storage key
+     * @param {Array<Object>} records - Added or changed records
+     * @param {Array<string>} removedIds - Deleted record IDs
+     */
+    writeRecords(key, records, removedIds) {
+        const write = this.backend.writeRecords
+            ? this.backend.writeRecords(key, this.cache[key], records, removedIds)
+            : this.backend.write(key, this.cache[key]);
+        write.catch(error => {
+            console.error(`Error writing to storage [${key}]:`, error);
+            this.reportError(key, error);
+        });
+    },
+
+    /**
+     * Remove data from storage
      * @param {string} key - Storage key
      */
     remove(key) {
-        try {
-            localStorage.removeItem(key);
-        } catch (error) {
+        delete this.cache[key];
+        this.backend.remove(key).catch(error => {
             console.error(`Error removing from storage [${key}]:`, error);
-        }
+            this.reportError(key, error);
+        });
     },
 
     /**
-     * Clear all Zenith data from localStorage
+     * Notify the app that a write failed so it can tell the user
+     * @param {string} key - Storage key
+     * @param {Error} error - Error raised by the backend
+     */
+    reportError(key, error) {
+        window.dispatchEvent(new CustomEvent('zenith:storage-error', {
+            detail: {
+                key,
+                error,
+                quotaExceeded: !!error && error.name === 'QuotaExceededError'
+            }
+        }));
+    },
+
+    /**
+     * Clear all Zenith data from storage
      */
     clearAll() {
         Object.values(this.KEYS).forEach(key => {
@@ -145,7 +353,7 @@ const Storage = {
     // ============================================
 
     /**
-     * Get all tasks
+     * Get all stored tasks (recurring tasks appear once, as their series)
      * @returns {Array} Array of tasks
      */
     getTasks() {
@@ -153,71 +361,370 @@ const Storage = {
     },
 
     /**
-     * Get tasks for a specific date
+     * Get a single task or recurring occurrence by ID
+     * @param {string} id - Task ID or occurrence ID (seriesId@YYYY-MM-DD)
+     * @returns {Object|null} Task
+     */
+    getTask(id) {
+        const occurrence = this.parseOccurrenceId(id);
+        const tasks = this.getTasks();
+
+        if (occurrence) {
+            const series = tasks.find(t => t.id === occurrence.seriesId);
+            return series ? this.buildOccurrence(series, occurrence.date) : null;
+        }
+        return tasks.find(t => t.id === id) || null;
+    },
+
+    /**
+     * Get tasks for a specific date, including recurring occurrences
      * @param {string} dateStr - Date string (YYYY-MM-DD)
      * @returns {Array} Array of tasks for that date
      */
     getTasksForDate(dateStr) {
-        const tasks = this.getTasks();
-        return tasks.filter(task => task.date === dateStr);
+        return this.getTasksInRange(dateStr, dateStr);
+    },
+
+    /**
+     * Get tasks within a date range, expanding recurring series
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Array} Array of tasks, occurrences included
+     */
+    getTasksInRange(startDate, endDate) {
+        const result = [];
+        this.getTasks().forEach(task => {
+            if (!task.recurrence) {
+                if (task.date >= startDate && task.date <= endDate) {
+                    result.push(task);
+                }
+                return;
+            }
+            const exdates = task.exdates || [];
+            Recurrence.expand(task.recurrence, task.date, startDate, endDate)
+                .filter(date => !exdates.includes(date))
+                .forEach(date => result.push(this.buildOccurrence(task, date)));
+        });
+        return result;
+    },
+
+    /**
+     * Get unscheduled tasks waiting in the inbox
+     * @returns {Array} Tasks without a date, newest first
+     */
+    getInboxTasks() {
+        return this.getTasks()
+            .filter(t => !t.date)
+            .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
     },
 
     /**
      * Add a new task
-     * @param {Object} task - Task object
+     * @param {Object} task - Task object (date null for the inbox)
      * @returns {Object} Created task with ID
      */
     addTask(task) {
-        const tasks = this.getTasks();
         const newTask = {
             id: this.generateId(),
             createdAt: new Date().toISOString(),
             completed: false,
             completedAt: null,
+            notes: '',
+            subtasks: [],
+            tags: [],
+            deadline: null,
+            goalId: null,
             ...task
         };
-        tasks.push(newTask);
-        this.set(this.KEYS.TASKS, tasks);
+        if (newTask.recurrence) {
+            newTask.completions = newTask.completions || {};
+            newTask.exdates = newTask.exdates || [];
+        }
+        this.putRecord(this.KEYS.TASKS, newTask);
         return newTask;
     },
 
     /**
      * Update a task
-     * @param {string} id - Task ID
+     * @param {string} id - Task ID or occurrence ID
      * @param {Object} updates - Fields to update
+     * @param {string} scope - For occurrences: 'this', 'future' or 'all'
      * @returns {Object|null} Updated task
      */
-    updateTask(id, updates) {
-        const tasks = this.getTasks();
-        const index = tasks.findIndex(t => t.id === id);
-        if (index !== -1) {
-            tasks[index] = { ...tasks[index], ...updates };
-            if (updates.completed && !tasks[index].completedAt) {
-                tasks[index].completedAt = new Date().toISOString();
+    updateTask(id, updates, scope = 'this') {
+        if (this.parseOccurrenceId(id)) {
+            return this.updateOccurrence(id, updates, scope);
+        }
+
+        const stored = this.getRecord(this.KEYS.TASKS, id);
+        if (stored) {
+            const wasRecurring = !!stored.recurrence;
+            const task = { ...stored, ...updates };
+            if (updates.completed && !task.completedAt) {
+                task.completedAt = new Date().toISOString();
+            }
+            if (!wasRecurring && task.recurrence) {
+                // A one-off task turning into a series keeps its completion on its own date
+                task.completions = task.completed ? { [task.date]: task.completedAt } : {};
+                task.exdates = [];
+            } else if (wasRecurring && !task.recurrence) {
+                this.convertToSingleTask(task);
             }
-            this.set(this.KEYS.TASKS, tasks);
-            return tasks[index];
+            this.putRecord(this.KEYS.TASKS, task);
+            return task;
         }
         return null;
     },
 
     /**
      * Delete a task
-     * @param {string} id - Task ID
+     * @param {string} id - Task ID or occurrence ID
+     * @param {string} scope - For occurrences: 'this', 'future' or 'all'
      */
-    deleteTask(id) {
-        const tasks = this.getTasks();
-        const filtered = tasks.filter(t => t.id !== id);
-        this.set(this.KEYS.TASKS, filtered);
+    deleteTask(id, scope = 'this') {
+        const occurrence = this.parseOccurrenceId(id);
+
+        if (!occurrence) {
+            this.deleteRecords(this.KEYS.TASKS, [id]);
+            return;
+        }
+
+        const series = this.getRecord(this.KEYS.TASKS, occurrence.seriesId);
+        if (!series) return;
+
+        if (scope === 'all' || (scope === 'future' && occurrence.date <= series.date)) {
+            // Occurrences already edited on their own go with the series
+            const ids = this.findRecords(this.KEYS.TASKS, t => t.id === series.id || t.recurringId === series.id).map(t => t.id);
+            this.deleteRecords(this.KEYS.TASKS, ids);
+            return;
+        }
+        if (scope === 'future') {
+            series.recurrence.until = Recurrence.addDays(occurrence.date, -1);
+        } else {
+            series.exdates = [...(series.exdates || []), occurrence.date];
+        }
+        this.putRecord(this.KEYS.TASKS, series);
     },
 
     /**
      * Move task to another date
-     * @param {string} id - Task ID
-     * @param {string} newDate - New date (YYYY-MM-DD)
+     * @param {string} id - Task ID or occurrence ID
+     * @param {string|null} newDate - New date (YYYY-MM-DD), or null to send it to the inbox
      */
     moveTask(id, newDate) {
-        this.updateTask(id, { date: newDate });
+        const task = this.getTask(id);
+        if (!task) return;
+
+        const updates = { date: newDate };
+        // Pushing unfinished work to a later day counts as a deferral
+        if (!task.completed && task.date && newDate && newDate > task.date) {
+            updates.deferCount = (task.deferCount || 0) + 1;
+        }
+        this.updateTask(id, updates);
+    },
+
+    /**
+     * Get unfinished one-off tasks scheduled before a date
+     * @param {string} beforeDate - Date string (YYYY-MM-DD), usually today
+     * @returns {Array} Overdue tasks, oldest first
+     */
+    getOverdueTasks(beforeDate) {
+        // Missed occurrences of a series aren't carried; the next one is already scheduled
+        return this.getTasks()
+            .filter(t => !t.recurrence && !t.completed && t.date && t.date < beforeDate)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    },
+
+    /**
+     * Move overdue tasks forward in one write, counting each as a deferral
+     * @param {Array<string>} ids - Task IDs to move
+     * @param {string} toDate - Target date (YYYY-MM-DD)
+     * @returns {number} Number of tasks moved
+     */
+    rolloverTasks(ids, toDate) {
+        const tasks = this.findRecords(this.KEYS.TASKS, task =>
+            ids.includes(task.id) && !task.completed && task.date && task.date < toDate);
+        tasks.forEach(task => {
+            task.date = toDate;
+            task.deferCount = (task.deferCount || 0) + 1;
+        });
+        if (tasks.length > 0) {
+            this.putRecords(this.KEYS.TASKS, tasks);
+        }
+        return tasks.length;
+    },
+
+    /**
+     * Get unfinished tasks that keep getting pushed back
+     * @param {number} minDeferrals - Deferrals needed to count as chronic
+     * @returns {Array} Tasks, most deferred first
+     */
+    getChronicDeferrals(minDeferrals = 3) {
+        return this.getTasks()
+            .filter(t => !t.completed && (t.deferCount || 0) >= minDeferrals)
+            .sort((a, b) => b.deferCount - a.deferCount);
+    },
+
+    /**
+     * Get subtask progress for a task
+     * @param {Object} task - Task object
+     * @returns {Object} { done, total, percent }
+     */
+    getSubtaskProgress(task) {
+        const subtasks = task.subtasks || [];
+        const done = subtasks.filter(st => st.completed).length;
+        return {
+            done,
+            total: subtasks.length,
+            percent: subtasks.length > 0 ? Math.round((done / subtasks.length) * 100) : 0
+        };
+    },
+
+    // ============================================
+    // RECURRING TASK METHODS
+    // ============================================
+
+    /**
+     * Split an occurrence ID into its series ID and date
+     * @param {string} id - Task ID
+     * @returns {Object|null} { seriesId, date } or null for regular IDs
+     */
+    parseOccurrenceId(id) {
+        const match = /^(.+)@(\d{4}-\d{2}-\d{2})$/.exec(id || '');
+        return match ? { seriesId: match[1], date: match[2] } : null;
+    },
+
+    /**
+     * Build a concrete task for one date of a recurring series
+     * @param {Object} series - Recurring task
+     * @param {string} dateStr - Occurrence date (YYYY-MM-DD)
+     * @returns {Object} Occurrence task
+     */
+    buildOccurrence(series, dateStr) {
+        const completions = series.completions || {};
+        const { completions: _c, exdates: _e, ...fields } = series;
+        return {
+            ...fields,
+            id: `${series.id}@${dateStr}`,
+            seriesId: series.id,
+            date: dateStr,
+            completed: dateStr in completions,
+            completedAt: completions[dateStr] || null
+        };
+    },
+
+    /**
+     * Update one occurrence, this and future occurrences, or the whole series
+     * @param {string} id - Occurrence ID
+     * @param {Object} updates - Fields to update
+     * @param {string} scope - 'this', 'future' or 'all'
+     * @returns {Object|null} Updated occurrence or task
+     */
+    updateOccurrence(id, updates, scope = 'this') {
+        const { seriesId, date } = this.parseOccurrenceId(id);
+        const series = this.getRecord(this.KEYS.TASKS, seriesId);
+        if (!series) return null;
+
+        const { completed, completedAt, ...fields } = updates;
+        const onlyCompletion = Object.keys(fields).length === 0;
+
+        // Ticking off an occurrence never touches the rest of the series
+        if (onlyCompletion) {
+            series.completions = { ...(series.completions || {}) };
+            if (completed) {
+                series.completions[date] = completedAt || new Date().toISOString();
+            } else {
+                delete series.completions[date];
+            }
+            this.putRecord(this.KEYS.TASKS, series);
+            return this.buildOccurrence(series, date);
+        }
+
+        if (scope === 'all' || (scope === 'future' && date <= series.date)) {
+            // The series start stays put; moving one date only makes sense per occurrence
+            const { date: _d, ...seriesFields } = fields;
+            Object.assign(series, seriesFields);
+            if (completed !== undefined) this.applyOccurrenceCompletion(series, date, completed);
+            if (!series.recurrence) this.convertToSingleTask(series);
+            this.putRecord(this.KEYS.TASKS, series);
+            return series.recurrence ? this.buildOccurrence(series, date) : series;
+        }
+
+        if (scope === 'future') {
+            // End the current series the day before and continue with a new one
+            const completions = series.completions || {};
+            const { id: _id, createdAt: _created, ...template } = series;
+            const newSeries = {
+                ...template,
+                ...fields,
+                id: this.generateId(),
+                createdAt: new Date().toISOString(),
+                date: fields.date || date,
+                recurrence: 'recurrence' in fields ? fields.recurrence : { ...series.recurrence },
+                completions: Object.fromEntries(Object.entries(completions).filter(([d]) => d >= date)),
+                exdates: (series.exdates || []).filter(d => d >= date)
+            };
+
+            series.recurrence = { ...series.recurrence, until: Recurrence.addDays(date, -1) };
+            series.completions = Object.fromEntries(Object.entries(completions).filter(([d]) => d < date));
+            series.exdates = (series.exdates || []).filter(d => d < date);
+
+            if (completed !== undefined) this.applyOccurrenceCompletion(newSeries, newSeries.date, completed);
+            if (!newSeries.recurrence) this.convertToSingleTask(newSeries);
+            this.putRecords(this.KEYS.TASKS, [series, newSeries]);
+            return newSeries.recurrence ? this.buildOccurrence(newSeries, newSeries.date) : newSeries;
+        }
+
+        // Edit this occurrence only: detach it into a standalone task. A
+        // changed rule is ignored here, or the copy would become a second series.
+        const occurrence = this.buildOccurrence(series, date);
+        const { id: _oid, seriesId: _sid, recurrence: _r, ...occurrenceFields } = occurrence;
+        const { recurrence: _nr, ...detachedFields } = fields;
+        const detached = {
+            ...occurrenceFields,
+            ...detachedFields,
+            id: this.generateId(),
+            createdAt: new Date().toISOString(),
+            recurringId: series.id,
+            originalDate: date
+        };
+        if (completed !== undefined) {
+            detached.completed = completed;
+            detached.completedAt = completed ? (completedAt || detached.completedAt || new Date().toISOString()) : null;
+        }
+
+        series.exdates = [...(series.exdates || []), date];
+        if (series.completions) delete series.completions[date];
+        this.putRecords(this.KEYS.TASKS, [series, detached]);
+        return detached;
+    },
+
+    /**
+     * Turn a series whose rule was removed into a regular task on its start date
+     * @param {Object} task - Task that had a recurrence rule
+     */
+    convertToSingleTask(task) {
+        const completions = task.completions || {};
+        task.completed = task.date in completions;
+        task.completedAt = completions[task.date] || null;
+        delete task.recurrence;
+        delete task.completions;
+        delete task.exdates;
+    },
+
+    /**
+     * Record completion state for one occurrence date
+     * @param {Object} series - Recurring task
+     * @param {string} dateStr - Occurrence date (YYYY-MM-DD)
+     * @param {boolean} completed - Whether the occurrence is done
+     */
+    applyOccurrenceCompletion(series, dateStr, completed) {
+        series.completions = { ...(series.completions || {}) };
+        if (completed) {
+            series.completions[dateStr] = series.completions[dateStr] || new Date().toISOString();
+        } else {
+            delete series.completions[dateStr];
+        }
     },
 
     // ============================================
@@ -238,129 +745,373 @@ const Storage = {
      * @returns {Object} Created habit with ID
      */
     addHabit(habit) {
-        const habits = this.getHabits();
         const newHabit = {
             id: this.generateId(),
             createdAt: new Date().toISOString(),
             completedDates: [],
+            target: null,
+            unit: '',
+            step: 1,
+            values: {},
+            notes: {},
+            dayStates: {},
+            archivedAt: null,
             currentStreak: 0,
             longestStreak: 0,
             ...habit
         };
-        habits.push(newHabit);
-        this.set(this.KEYS.HABITS, habits);
+        this.putRecord(this.KEYS.HABITS, newHabit);
         return newHabit;
     },
 
     /**
-     * Toggle habit completion for a date
+     * Update a habit. Changing the target or switching between yes/no and
+     * amounts re-derives which days count as completed.
+     * @param {string} id - Habit ID
+     * @param {Object} updates - Fields to update
+     * @returns {Object|null} Updated habit
+     */
+    updateHabit(id, updates) {
+        const stored = this.getRecord(this.KEYS.HABITS, id);
+        if (!stored) return null;
+
+        const wasQuantitative = Habits.isQuantitative(stored);
+        const habit = { ...stored, ...updates };
+
+        if (Habits.isQuantitative(habit)) {
+            if (!wasQuantitative) {
+                // Days ticked off before there was a target count as meeting it
+                habit.completedDates.forEach(date => {
+                    if (!habit.values[date]) habit.values[date] = habit.target;
+                });
+            }
+            habit.completedDates = Object.keys(habit.values).filter(date => habit.values[date] >= habit.target);
+        }
+        Object.assign(habit, this.calculateStreak(habit));
+
+        this.putRecord(this.KEYS.HABITS, habit);
+        return habit;
+    },
+
+    /**
+     * Skip a day or spend a freeze on it
+     * @param {string} habitId - Habit ID
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @param {string|null} state - 'skip', 'freeze' or null to clear
+     * @returns {Object|null} Updated habit, or null when there was no freeze to spend
+     */
+    setHabitDayState(habitId, dateStr, state) {
+        const habit = this.getRecord(this.KEYS.HABITS, habitId);
+
+        if (habit) {
+            const wasFrozen = habit.dayStates[dateStr] === 'freeze';
+            const spentBefore = Habits.walkStreaks(habit, Utils.getTodayStr()).spent;
+            if (state) {
+                habit.dayStates[dateStr] = state;
+            } else {
+                delete habit.dayStates[dateStr];
+            }
+
+            // Freezes are spent in date order, so a new one must not leave
+            // this day or any later frozen day without cover
+            if (state === 'freeze' && !wasFrozen && Habits.walkStreaks(habit, Utils.getTodayStr()).spent <= spentBefore) {
+                return null;
+            }
+            Object.assign(habit, this.calculateStreak(habit));
+
+            this.putRecord(this.KEYS.HABITS, habit);
+        }
+        return habit;
+    },
+
+    /**
+     * Set or clear the note on a check-in
+     * @param {string} habitId - Habit ID
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @param {string} note - Note text; empty removes it
+     * @returns {Object} Updated habit
+     */
+    setHabitNote(habitId, dateStr, note) {
+        const habit = this.getRecord(this.KEYS.HABITS, habitId);
+
+        if (habit) {
+            if (note.trim()) {
+                habit.notes[dateStr] = note.trim();
+            } else {
+                delete habit.notes[dateStr];
+            }
+            this.putRecord(this.KEYS.HABITS, habit);
+        }
+        return habit;
+    },
+
+    /**
+     * Toggle habit completion for a date. Quantitative habits switch
+     * between nothing logged and exactly their target.
      * @param {string} habitId - Habit ID
      * @param {string} dateStr - Date string (YYYY-MM-DD)
      * @returns {Object} Updated habit
      */
     toggleHabitCompletion(habitId, dateStr) {
-        const habits = this.getHabits();
-        const habit = habits.find(h => h.id === habitId);
+        const habit = this.getRecord(this.KEYS.HABITS, habitId);
         
         if (habit) {
+            if (Habits.isQuantitative(habit)) {
+                const done = Habits.isCompleted(habit, dateStr);
+                return this.setHabitValue(habitId, dateStr, done ? 0 : habit.target);
+            }
+
             const index = habit.completedDates.indexOf(dateStr);
             if (index > -1) {
                 habit.completedDates.splice(index, 1);
             } else {
                 habit.completedDates.push(dateStr);
+                delete habit.dayStates[dateStr];
             }
-            // Recalculate streak
-            habit.currentStreak = this.calculateStreak(habit.completedDates);
-            habit.longestStreak = Math.max(habit.longestStreak, habit.currentStreak);
+            Object.assign(habit, this.calculateStreak(habit));
             
-            this.set(this.KEYS.HABITS, habits);
+            this.putRecord(this.KEYS.HABITS, habit);
+        }
+        return habit;
+    },
+
+    /**
+     * Log the amount done on a date for a quantitative habit
+     * @param {string} habitId - Habit ID
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @param {number} value - Amount; 0 clears the day
+     * @returns {Object} Updated habit
+     */
+    setHabitValue(habitId, dateStr, value) {
+        const habit = this.getRecord(this.KEYS.HABITS, habitId);
+
+        if (habit) {
+            if (value > 0) {
+                habit.values[dateStr] = value;
+            } else {
+                delete habit.values[dateStr];
+            }
+
+            // Completion follows the target
+            const met = value >= habit.target;
+            habit.completedDates = habit.completedDates.filter(d => d !== dateStr);
+            if (met) {
+                habit.completedDates.push(dateStr);
+                delete habit.dayStates[dateStr];
+            }
+            Object.assign(habit, this.calculateStreak(habit));
+
+            this.putRecord(this.KEYS.HABITS, habit);
         }
         return habit;
     },
 
+    /**
+     * Add to (or take from) the amount logged on a date
+     * @param {string} habitId - Habit ID
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @param {number} delta - Amount to add; negative to subtract
+     * @returns {Object} Updated habit
+     */
+    adjustHabitValue(habitId, dateStr, delta) {
+        const habit = this.getRecord(this.KEYS.HABITS, habitId);
+        if (!habit) return null;
+        // Round away float drift from steps like 0.1 km
+        const value = Math.round((Habits.getValue(habit, dateStr) + delta) * 1000) / 1000;
+        return this.setHabitValue(habitId, dateStr, Math.max(0, value));
+    },
+
     /**
      * Delete a habit
      * @param {string} id - Habit ID
      */
     deleteHabit(id) {
-        const habits = this.getHabits();
-        const filtered = habits.filter(h => h.id !== id);
-        this.set(this.KEYS.HABITS, filtered);
+        this.deleteRecords(this.KEYS.HABITS, [id]);
+
+        const routines = this.getRoutines();
+        routines.forEach(routine => {
+            routine.steps = routine.steps.filter(step => step.habitId !== id);
+        });
+        this.set(this.KEYS.ROUTINES, routines);
     },
 
     /**
-     * Calculate current streak from completed dates
-     * @param {Array} completedDates - Array of date strings
-     * @returns {number} Current streak count
+     * Calculate a habit's streaks from its schedule and completions
+     * @param {Object} habit - Habit
+     * @returns {Object} { currentStreak, longestStreak } in days or weeks (see Habits.getStreakUnit)
      */
-    calculateStreak(completedDates) {
-        if (!completedDates || completedDates.length === 0) return 0;
-        
-        const sortedDates = [...completedDates].sort().reverse();
-        const today = new Date().toISOString().split('T')[0];
-        const yesterday = new Date(Date.now() - 86400000).toISOString().split('T')[0];
-        
-        // Check if streak is still active
-        if (sortedDates[0] !== today && sortedDates[0] !== yesterday) {
-            return 0;
-        }
-        
-        let streak = 1;
-        let currentDate = new Date(sortedDates[0]);
-        
-        for (let i = 1; i < sortedDates.length; i++) {
-            const prevDate = new Date(currentDate);
-            prevDate.setDate(prevDate.getDate() - 1);
-            
-            if (sortedDates[i] === prevDate.toISOString().split('T')[0]) {
-                streak++;
-                currentDate = prevDate;
-            } else {
-                break;
-            }
-        }
-        
-        return streak;
+    calculateStreak(habit) {
+        return {
+            currentStreak: Habits.getCurrentStreak(habit),
+            longestStreak: Habits.getLongestStreak(habit)
+        };
+    },
+
+    // ============================================
+    // TIME BLOCKS METHODS
+    // ============================================
+
+    /**
+     * Get time blocks for a specific date
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {Array} Array of time blocks, earliest first
+     */
+    getTimeBlocks(dateStr) {
+        const blocks = this.get(this.KEYS.TIME_BLOCKS) || [];
+        return blocks
+            .filter(b => b.date === dateStr)
+            .sort((a, b) => a.startTime.localeCompare(b.startTime));
+    },
+
+    /**
+     * Add a time block
+     * @param {Object} block - Time block object
+     * @returns {Object} Created time block
+     */
+    addTimeBlock(block) {
+        const newBlock = {
+            id: this.generateId(),
+            ...block
+        };
+        this.putRecord(this.KEYS.TIME_BLOCKS, newBlock);
+        return newBlock;
+    },
+
+    /**
+     * Update a time block
+     * @param {string} id - Time block ID
+     * @param {Object} updates - Fields to update
+     * @returns {Object|null} Updated time block
+     */
+    updateTimeBlock(id, updates) {
+        const stored = this.getRecord(this.KEYS.TIME_BLOCKS, id);
+        if (!stored) return null;
+        const block = { ...stored, ...updates };
+        this.putRecord(this.KEYS.TIME_BLOCKS, block);
+        return block;
+    },
+
+    /**
+     * Delete a time block
+     * @param {string} id - Time block ID
+     */
+    deleteTimeBlock(id) {
+        this.deleteRecords(this.KEYS.TIME_BLOCKS, [id]);
+    },
+
+    // ============================================
+    // FOCUS SESSION METHODS
+    // ============================================
+
+    /**
+     * Get logged focus sessions, optionally limited to a date range
+     * @param {string} startDate - Start date (YYYY-MM-DD), optional
+     * @param {string} endDate - End date (YYYY-MM-DD), optional
+     * @returns {Array} Sessions, oldest first
+     */
+    getFocusSessions(startDate = null, endDate = null) {
+        const sessions = this.get(this.KEYS.FOCUS_SESSIONS) || [];
+        return sessions
+            .filter(s => (!startDate || s.date >= startDate) && (!endDate || s.date <= endDate))
+            .sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+    },
+
+    /**
+     * Log a focus session
+     * @param {Object} session - { taskId, type, date, startedAt, endedAt, minutes, interruptions, distractions, completed }
+     *   where type is the Pomodoro phase (work, shortBreak, longBreak), interruptions counts
+     *   pauses and distractions is { internal, external }
+     * @returns {Object} Created session
+     */
+    addFocusSession(session) {
+        const sessions = this.get(this.KEYS.FOCUS_SESSIONS) || [];
+        const task = session.taskId ? this.getTask(session.taskId) : null;
+        const newSession = {
+            id: this.generateId(),
+            // Keep the category so reports survive the task being deleted
+            category: task ? task.category : 'personal',
+            ...session
+        };
+        sessions.push(newSession);
+        this.set(this.KEYS.FOCUS_SESSIONS, sessions);
+        return newSession;
+    },
+
+    /**
+     * Get the running Pomodoro timer, if any
+     * @returns {Object|null} Run state saved by the focus timer
+     */
+    getFocusState() {
+        return this.get(this.KEYS.FOCUS_STATE);
+    },
+
+    /**
+     * Save the running Pomodoro timer so it survives a reload
+     * @param {Object} state - Run state
+     */
+    setFocusState(state) {
+        this.set(this.KEYS.FOCUS_STATE, state);
+    },
+
+    /**
+     * Forget the running Pomodoro timer
+     */
+    clearFocusState() {
+        this.remove(this.KEYS.FOCUS_STATE);
+    },
+
+    /**
+     * Get work sessions, leaving out breaks
+     * @param {string} startDate - Start date (YYYY-MM-DD), optional
+     * @param {string} endDate - End date (YYYY-MM-DD), optional
+     * @returns {Array} Sessions, oldest first
+     */
+    getWorkSessions(startDate = null, endDate = null) {
+        return this.getFocusSessions(startDate, endDate).filter(s => s.type === 'work');
+    },
+
+    /**
+     * Total minutes actually spent focusing on a task
+     * @param {string} taskId - Task ID (occurrence IDs count separately)
+     * @returns {number} Minutes
+     */
+    getActualMinutes(taskId) {
+        return this.getWorkSessions()
+            .filter(s => s.taskId === taskId)
+            .reduce((sum, s) => sum + s.minutes, 0);
     },
 
     // ============================================
-    // TIME BLOCKS METHODS
+    // DISTRACTION METHODS
     // ============================================
 
     /**
-     * Get time blocks for a specific date
-     * @param {string} dateStr - Date string (YYYY-MM-DD)
-     * @returns {Array} Array of time blocks
+     * Get logged distractions, optionally limited to a date range
+     * @param {string} startDate - Start date (YYYY-MM-DD), optional
+     * @param {string} endDate - End date (YYYY-MM-DD), optional
+     * @returns {Array} Distractions, oldest first
      */
-    getTimeBlocks(dateStr) {
-        const blocks = this.get(this.KEYS.TIME_BLOCKS) || [];
-        return blocks.filter(b => b.date === dateStr);
+    getDistractions(startDate = null, endDate = null) {
+        const distractions = this.get(this.KEYS.DISTRACTIONS) || [];
+        return distractions
+            .filter(d => (!startDate || d.date >= startDate) && (!endDate || d.date <= endDate))
+            .sort((a, b) => a.at.localeCompare(b.at));
     },
 
     /**
-     * Add a time block
-     * @param {Object} block - Time block object
-     * @returns {Object} Created time block
+     * Log a distraction noticed during focus mode
+     * @param {Object} distraction - { kind: 'internal'|'external', note, taskId, date, at, inboxTaskId }
+     * @returns {Object} Created distraction
      */
-    addTimeBlock(block) {
-        const blocks = this.get(this.KEYS.TIME_BLOCKS) || [];
-        const newBlock = {
+    addDistraction(distraction) {
+        const distractions = this.get(this.KEYS.DISTRACTIONS) || [];
+        const newDistraction = {
             id: this.generateId(),
-            ...block
+            ...distraction
         };
-        blocks.push(newBlock);
-        this.set(this.KEYS.TIME_BLOCKS, blocks);
-        return newBlock;
-    },
-
-    /**
-     * Delete a time block
-     * @param {string} id - Time block ID
-     */
-    deleteTimeBlock(id) {
-        const blocks = this.get(this.KEYS.TIME_BLOCKS) || [];
-        const filtered = blocks.filter(b => b.id !== id);
-        this.set(this.KEYS.TIME_BLOCKS, filtered);
+        distractions.push(newDistraction);
+        this.set(this.KEYS.DISTRACTIONS, distractions);
+        return newDistraction;
     },
 
     // ============================================
@@ -441,8 +1192,18 @@ const Storage = {
             id: this.generateId(),
             createdAt: new Date().toISOString(),
             progress: 0,
+            keyResults: [],
+            status: 'active',
+            targetDate: Goals.getDefaultTargetDate(type, Utils.getTodayStr()),
+            closedAt: null,
+            // Life-area goals are filed under their area instead
+            ...(type === 'lifeArea' ? {} : { area: null }),
+            ...(type === 'monthly' ? { parentId: null, month: Goals.getMonthKey(Utils.getTodayStr()), carriedFrom: null } : {}),
             ...goal
         };
+        if (type === 'monthly' && goal.month && goal.targetDate === undefined) {
+            newGoal.targetDate = Goals.getDefaultTargetDate('monthly', `${goal.month}-01`);
+        }
 
         if (type === 'lifeArea' && area) {
             if (!goals.lifeAreas[area]) {
@@ -460,7 +1221,8 @@ const Storage = {
     },
 
     /**
-     * Update goal progress
+     * Update goal progress. Only used by goals without key results; the
+     * rest have their progress computed (see Goals.getProgress).
      * @param {string} type - Goal type
      * @param {string} id - Goal ID
      * @param {number} progress - Progress value (0-100)
@@ -487,6 +1249,179 @@ const Storage = {
         }
     },
 
+    /**
+     * Change a goal wherever it is filed. Computed progress is never stored;
+     * `progress` only holds the manual value of goals without key results.
+     * @param {string} goalId - Goal ID
+     * @param {Function} change - Receives the goal to mutate; return false to cancel
+     * @returns {Object|null} Updated goal
+     */
+    changeGoal(goalId, change) {
+        const goals = this.getGoals();
+        const found = Goals.findGoal(goals, goalId);
+        if (!found || change(found.goal) === false) return null;
+
+        this.set(this.KEYS.GOALS, goals);
+        return found.goal;
+    },
+
+    /**
+     * Update a goal's fields (title, description, targetDate, parentId, area)
+     * @param {string} goalId - Goal ID
+     * @param {Object} updates - Fields to update
+     * @returns {Object|null} Updated goal
+     */
+    updateGoal(goalId, updates) {
+        return this.changeGoal(goalId, goal => {
+            Object.assign(goal, updates);
+        });
+    },
+
+    /**
+     * Change a goal's status, dating when it was achieved or abandoned
+     * @param {string} goalId - Goal ID
+     * @param {string} status - 'active', 'paused', 'achieved' or 'abandoned'
+     * @returns {Object|null} Updated goal
+     */
+    setGoalStatus(goalId, status) {
+        return this.changeGoal(goalId, goal => {
+            if (goal.status === status) return;
+            goal.status = status;
+            goal.closedAt = Goals.isClosed(goal) ? Utils.getTodayStr() : null;
+        });
+    },
+
+    /**
+     * Move a monthly goal to another month, keeping its key results and links.
+     * A target date before the new month moves to that month's end.
+     * @param {string} goalId - Goal ID
+     * @param {string} month - Month key (YYYY-MM)
+     * @returns {Object|null} Updated goal
+     */
+    moveGoalToMonth(goalId, month) {
+        return this.changeGoal(goalId, goal => {
+            if (goal.month === month) return false;
+            goal.carriedFrom = goal.month;
+            goal.month = month;
+            if (!goal.targetDate || goal.targetDate < `${month}-01`) {
+                goal.targetDate = Goals.getDefaultTargetDate('monthly', `${month}-01`);
+            }
+        });
+    },
+
+    /**
+     * Delete a goal. Its monthly goals, objectives and tasks are kept but unlinked.
+     * @param {string} goalId - Goal ID
+     */
+    deleteGoal(goalId) {
+        const goals = this.getGoals();
+        const found = Goals.findGoal(goals, goalId);
+        if (!found) return;
+
+        const keep = list => list.filter(g => g.id !== goalId);
+        if (found.type === 'lifeArea') {
+            goals.lifeAreas[found.area] = keep(goals.lifeAreas[found.area]);
+        } else {
+            goals[found.type] = keep(goals[found.type]);
+        }
+        goals.monthly.forEach(g => {
+            if (g.parentId === goalId) g.parentId = null;
+        });
+        this.set(this.KEYS.GOALS, goals);
+
+        const unlink = key => {
+            const items = this.get(key) || [];
+            if (!items.some(item => item.goalId === goalId)) return;
+            this.set(key, items.map(item => (item.goalId === goalId ? { ...item, goalId: null } : item)));
+        };
+        unlink(this.KEYS.TASKS);
+        unlink(this.KEYS.WEEKLY_OBJECTIVES);
+    },
+
+    /**
+     * Index the goals, objectives and tasks linked beneath each goal
+     * @param {Object} goals - Goals object (defaults to the stored one)
+     * @returns {Object} Map of goal ID to { goals, objectives, tasks } (see Goals.buildLinks)
+     */
+    getGoalLinks(goals = this.getGoals()) {
+        return Goals.buildLinks(goals, this.getTasks(), this.get(this.KEYS.WEEKLY_OBJECTIVES) || []);
+    },
+
+    /**
+     * Add a key result to a goal
+     * @param {string} goalId - Goal ID
+     * @param {Object} keyResult - { title, type: 'number', start, target, unit }
+     *   or { title, type: 'checklist', items: [text, ...] }
+     * @returns {Object|null} Updated goal
+     */
+    addKeyResult(goalId, keyResult) {
+        const { items, ...fields } = keyResult;
+        const newKeyResult = {
+            id: this.generateId(),
+            checkIns: [],
+            ...(keyResult.type === 'checklist'
+                ? { items: (items || []).map(text => ({ id: this.generateId(), text, done: false })) }
+                : { start: 0, target: 1, unit: '', current: keyResult.start || 0 }),
+            ...fields
+        };
+        return this.changeGoal(goalId, goal => {
+            goal.keyResults.push(newKeyResult);
+        });
+    },
+
+    /**
+     * Delete a key result
+     * @param {string} goalId - Goal ID
+     * @param {string} keyResultId - Key result ID
+     * @returns {Object|null} Updated goal
+     */
+    deleteKeyResult(goalId, keyResultId) {
+        return this.changeGoal(goalId, goal => {
+            goal.keyResults = goal.keyResults.filter(kr => kr.id !== keyResultId);
+        });
+    },
+
+    /**
+     * Record a new value for a numeric key result
+     * @param {string} goalId - Goal ID
+     * @param {string} keyResultId - Key result ID
+     * @param {number} value - New current value
+     * @param {string} note - Optional note
+     * @returns {Object|null} Updated goal
+     */
+    checkInKeyResult(goalId, keyResultId, value, note = '') {
+        return this.changeGoal(goalId, goal => {
+            const keyResult = goal.keyResults.find(kr => kr.id === keyResultId);
+            if (!keyResult || keyResult.type !== 'number') return false;
+
+            keyResult.current = value;
+            keyResult.checkIns.push({ date: Utils.getTodayStr(), at: new Date().toISOString(), value, note });
+        });
+    },
+
+    /**
+     * Tick or untick a checklist item, logging it as a check-in
+     * @param {string} goalId - Goal ID
+     * @param {string} keyResultId - Key result ID
+     * @param {string} itemId - Checklist item ID
+     * @returns {Object|null} Updated goal
+     */
+    toggleKeyResultItem(goalId, keyResultId, itemId) {
+        return this.changeGoal(goalId, goal => {
+            const keyResult = goal.keyResults.find(kr => kr.id === keyResultId);
+            const item = keyResult && keyResult.type === 'checklist' && keyResult.items.find(i => i.id === itemId);
+            if (!item) return false;
+
+            item.done = !item.done;
+            keyResult.checkIns.push({
+                date: Utils.getTodayStr(),
+                at: new Date().toISOString(),
+                value: keyResult.items.filter(i => i.done).length,
+                note: `${item.done ? 'Ticked' : 'Unticked'} "${item.text}"`
+            });
+        });
+    },
+
     /**
      * Get weekly objectives
      * @param {string} weekStart - Week start date (YYYY-MM-DD)
@@ -507,6 +1442,9 @@ const Storage = {
         const newObjective = {
             id: this.generateId(),
             completed: false,
+            goalId: null,
+            carriedFrom: null,
+            dropped: false,
             ...objective
         };
         objectives.push(newObjective);
@@ -514,6 +1452,55 @@ const Storage = {
         return newObjective;
     },
 
+    /**
+     * Update a weekly objective
+     * @param {string} id - Objective ID
+     * @param {Object} updates - Fields to update
+     * @returns {Object|null} Updated objective
+     */
+    updateWeeklyObjective(id, updates) {
+        const objectives = this.get(this.KEYS.WEEKLY_OBJECTIVES) || [];
+        const objective = objectives.find(o => o.id === id);
+        if (!objective) return null;
+
+        Object.assign(objective, updates);
+        this.set(this.KEYS.WEEKLY_OBJECTIVES, objectives);
+        return objective;
+    },
+
+    /**
+     * Get open objectives from weeks before the given one
+     * @param {string} weekStart - Current week start date (YYYY-MM-DD)
+     * @returns {Array} Objectives, oldest week first
+     */
+    getUnfinishedObjectives(weekStart) {
+        const objectives = this.get(this.KEYS.WEEKLY_OBJECTIVES) || [];
+        return objectives
+            .filter(o => o.weekStart < weekStart && !o.completed && !o.dropped)
+            .sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+    },
+
+    /**
+     * Move a weekly objective to another week
+     * @param {string} id - Objective ID
+     * @param {string} weekStart - Week start date (YYYY-MM-DD)
+     * @returns {Object|null} Updated objective
+     */
+    moveWeeklyObjective(id, weekStart) {
+        const objective = (this.get(this.KEYS.WEEKLY_OBJECTIVES) || []).find(o => o.id === id);
+        if (!objective || objective.weekStart === weekStart) return objective || null;
+        return this.updateWeeklyObjective(id, { weekStart, carriedFrom: objective.weekStart });
+    },
+
+    /**
+     * Drop a weekly objective. It stays in its week but no longer counts.
+     * @param {string} id - Objective ID
+     * @returns {Object|null} Updated objective
+     */
+    dropWeeklyObjective(id) {
+        return this.updateWeeklyObjective(id, { dropped: true });
+    },
+
     /**
      * Toggle weekly objective completion
      * @param {string} id - Objective ID
@@ -527,6 +1514,216 @@ const Storage = {
         }
     },
 
+    // ============================================
+    // LIFE AREA METHODS
+    // ============================================
+
+    /**
+     * Get all life areas, retired ones included
+     * @returns {Array} Life areas in display order
+     */
+    getLifeAreas() {
+        return this.get(this.KEYS.LIFE_AREAS) || [];
+    },
+
+    /**
+     * Add a life area with an empty goal list
+     * @param {Object} area - { name, icon, color }
+     * @returns {Object} Created area
+     */
+    addLifeArea(area) {
+        const areas = this.getLifeAreas();
+        const newArea = {
+            id: this.generateId(),
+            icon: '⭐',
+            color: LifeAreas.getNextColor(areas),
+            retired: false,
+            ratings: [],
+            ...area
+        };
+        areas.push(newArea);
+        this.set(this.KEYS.LIFE_AREAS, areas);
+
+        const goals = this.getGoals();
+        goals.lifeAreas[newArea.id] = [];
+        this.set(this.KEYS.GOALS, goals);
+        return newArea;
+    },
+
+    /**
+     * Update a life area (name, icon, color or retired)
+     * @param {string} id - Area ID
+     * @param {Object} updates - Fields to update
+     * @returns {Object|null} Updated area
+     */
+    updateLifeArea(id, updates) {
+        const areas = this.getLifeAreas();
+        const area = areas.find(a => a.id === id);
+        if (!area) return null;
+
+        Object.assign(area, updates);
+        this.set(this.KEYS.LIFE_AREAS, areas);
+        return area;
+    },
+
+    /**
+     * Move a life area one place up or down the display order
+     * @param {string} id - Area ID
+     * @param {number} direction - -1 for up, 1 for down
+     */
+    moveLifeArea(id, direction) {
+        const areas = this.getLifeAreas();
+        const index = areas.findIndex(a => a.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= areas.length) return;
+
+        [areas[index], areas[target]] = [areas[target], areas[index]];
+        this.set(this.KEYS.LIFE_AREAS, areas);
+    },
+
+    /**
+     * Record a self-rating snapshot, replacing any taken the same day
+     * @param {Object} ratings - Map of area ID to a 1-10 score
+     * @param {string} date - Date string (YYYY-MM-DD)
+     */
+    rateLifeAreas(ratings, date = Utils.getTodayStr()) {
+        const areas = this.getLifeAreas();
+        areas.forEach(area => {
+            if (!(area.id in ratings)) return;
+            const value = Math.min(LifeAreas.RATING_MAX, Math.max(LifeAreas.RATING_MIN, Math.round(ratings[area.id])));
+            area.ratings = area.ratings.filter(rating => rating.date !== date);
+            area.ratings.push({ date, value });
+        });
+        this.set(this.KEYS.LIFE_AREAS, areas);
+    },
+
+    // ============================================
+    // ROUTINE METHODS
+    // ============================================
+
+    /**
+     * Get all routines
+     * @returns {Array} Routines, ordered by time (untimed last)
+     */
+    getRoutines() {
+        const routines = this.get(this.KEYS.ROUTINES) || [];
+        return routines.sort((a, b) => (a.time || '99:99').localeCompare(b.time || '99:99'));
+    },
+
+    /**
+     * Add a routine
+     * @param {Object} routine - { name, time, steps } where steps is an
+     *   ordered list of { habitId, time } and times are optional HH:MM
+     * @returns {Object} Created routine with ID
+     */
+    addRoutine(routine) {
+        const routines = this.getRoutines();
+        const newRoutine = {
+            id: this.generateId(),
+            createdAt: new Date().toISOString(),
+            time: null,
+            steps: [],
+            ...routine
+        };
+        routines.push(newRoutine);
+        this.set(this.KEYS.ROUTINES, this.withoutDuplicateSteps(routines, newRoutine));
+        return newRoutine;
+    },
+
+    /**
+     * Update a routine
+     * @param {string} id - Routine ID
+     * @param {Object} updates - Fields to update
+     * @returns {Object|null} Updated routine
+     */
+    updateRoutine(id, updates) {
+        const routines = this.getRoutines();
+        const index = routines.findIndex(r => r.id === id);
+        if (index === -1) return null;
+
+        routines[index] = { ...routines[index], ...updates };
+        this.set(this.KEYS.ROUTINES, this.withoutDuplicateSteps(routines, routines[index]));
+        return routines[index];
+    },
+
+    /**
+     * Delete a routine. Its habits stay, ungrouped.
+     * @param {string} id - Routine ID
+     */
+    deleteRoutine(id) {
+        this.set(this.KEYS.ROUTINES, this.getRoutines().filter(r => r.id !== id));
+    },
+
+    /**
+     * A habit belongs to one routine at most: take the given routine's
+     * habits out of every other routine
+     * @param {Array} routines - All routines
+     * @param {Object} kept - Routine that keeps its steps
+     * @returns {Array} Routines
+     */
+    withoutDuplicateSteps(routines, kept) {
+        const habitIds = kept.steps.map(step => step.habitId);
+        routines.forEach(routine => {
+            if (routine.id === kept.id) return;
+            routine.steps = routine.steps.filter(step => !habitIds.includes(step.habitId));
+        });
+        return routines;
+    },
+
+    // ============================================
+    // VACATION METHODS
+    // ============================================
+
+    /**
+     * Get the vacation that is running or coming up next
+     * @returns {Object|null} { start, end }
+     */
+    getCurrentVacation() {
+        const today = Utils.getTodayStr();
+        return Habits.getVacations()
+            .filter(v => v.end >= today)
+            .sort((a, b) => a.start.localeCompare(b.start))[0] || null;
+    },
+
+    /**
+     * Earliest day a vacation may start: today, or the start of the one
+     * already running. Backdating would wipe out days already missed.
+     * @returns {string} Date string (YYYY-MM-DD)
+     */
+    getEarliestVacationStart() {
+        const today = Utils.getTodayStr();
+        const current = this.getCurrentVacation();
+        return current && current.start < today ? current.start : today;
+    },
+
+    /**
+     * Plan a vacation, replacing the current or upcoming one. Past
+     * vacations are kept so the streaks they protected stay intact.
+     * @param {string} start - First day off (YYYY-MM-DD)
+     * @param {string} end - Last day off (YYYY-MM-DD)
+     * @returns {boolean} False if it would start before getEarliestVacationStart()
+     */
+    setVacation(start, end) {
+        const today = Utils.getTodayStr();
+        if (start < today && start !== this.getEarliestVacationStart()) return false;
+
+        const vacations = Habits.getVacations().filter(v => v.end < today);
+        vacations.push({ start, end });
+        this.setSettings({ vacations });
+        return true;
+    },
+
+    /**
+     * End the current vacation today, or drop it if it hasn't started
+     */
+    endVacation() {
+        const today = Utils.getTodayStr();
+        const vacations = Habits.getVacations()
+            .filter(v => v.start < today)
+            .map(v => (v.end >= today ? { ...v, end: Recurrence.addDays(today, -1) } : v));
+        this.setSettings({ vacations });
+    },
+
     // ============================================
     // SETTINGS METHODS
     // ============================================
@@ -536,13 +1733,8 @@ const Storage = {
      * @returns {Object} Settings object
      */
     getSettings() {
-        return this.get(this.KEYS.SETTINGS) || {
-            workStart: '09:00',
-            workEnd: '17:00',
-            dailyCapacity: 5,
-            pomodoroLength: 25,
-            breakLength: 5
-        };
+        // Fill in settings added after the user last saved
+        return { ...this.DEFAULT_SETTINGS, ...this.get(this.KEYS.SETTINGS) };
     },
 
     /**
@@ -581,30 +1773,23 @@ const Storage = {
      * @returns {Object} Stats object
      */
     getProductivityStats(startDate, endDate) {
-        const tasks = this.getTasks();
         const habits = this.getHabits();
         const dailyData = this.get(this.KEYS.DAILY_DATA) || {};
 
-        const tasksInRange = tasks.filter(t => t.date >= startDate && t.date <= endDate);
+        const tasksInRange = this.getTasksInRange(startDate, endDate);
         const completedTasks = tasksInRange.filter(t => t.completed);
 
-        // Calculate habit completion rate
+        // Calculate habit completion rate over the days each habit was due,
+        // leaving out days that haven't happened yet
         let habitCompletions = 0;
         let habitPossible = 0;
-        
+        const today = Utils.getTodayStr();
+        const habitEnd = endDate < today ? endDate : today;
+
         habits.forEach(habit => {
-            habit.completedDates.forEach(date => {
-                if (date >= startDate && date <= endDate) {
-                    habitCompletions++;
-                }
-            });
-            // Count days in range
-            let current = new Date(startDate);
-            const end = new Date(endDate);
-            while (current <= end) {
-                habitPossible++;
-                current.setDate(current.getDate() + 1);
-            }
+            const progress = Habits.getProgress(habit, startDate, habitEnd);
+            habitCompletions += progress.done;
+            habitPossible += progress.possible;
         });
 
         // Calculate average mood
@@ -617,11 +1802,9 @@ const Storage = {
             }
         });
 
-        // Calculate focus time (sum of task durations)
-        let focusMinutes = 0;
-        completedTasks.forEach(t => {
-            focusMinutes += t.duration || 30;
-        });
+        // Calculate focus time from logged sessions
+        const focusMinutes = this.getWorkSessions(startDate, endDate)
+            .reduce((sum, s) => sum + s.minutes, 0);
 
         return {
             totalTasks: tasksInRange.length,
@@ -637,6 +1820,87 @@ const Storage = {
         };
     },
 
+    /**
+     * Compare estimated and actually focused time for a date range
+     *
+     * A task's planned time is its duration estimate. Only tasks that were
+     * completed or focused on count as planned, so untouched tasks don't
+     * skew the comparison. Actual time is grouped by the day it was logged.
+     *
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Object} { totals, tasks, categories, days } with { planned, actual } minutes
+     */
+    getTimeTracking(startDate, endDate) {
+        const sessions = this.getWorkSessions(startDate, endDate);
+        const totals = { planned: 0, actual: 0 };
+        const categories = {};
+        const days = {};
+        const byTask = {};
+
+        const add = (map, key, field, minutes) => {
+            if (!map[key]) map[key] = { planned: 0, actual: 0 };
+            map[key][field] += minutes;
+        };
+
+        sessions.forEach(s => {
+            totals.actual += s.minutes;
+            add(categories, s.category, 'actual', s.minutes);
+            add(days, s.date, 'actual', s.minutes);
+            if (s.taskId) byTask[s.taskId] = (byTask[s.taskId] || 0) + s.minutes;
+        });
+
+        const tasks = [];
+        this.getTasksInRange(startDate, endDate).forEach(task => {
+            const actual = byTask[task.id] || 0;
+            delete byTask[task.id];
+            if (!task.completed && actual === 0) return;
+            tasks.push({ task, planned: task.duration || 30, actual });
+        });
+
+        // Focus on inbox tasks or tasks since moved out of the range
+        Object.keys(byTask).forEach(taskId => {
+            const task = this.getTask(taskId);
+            if (task) tasks.push({ task, planned: task.duration || 30, actual: byTask[taskId] });
+        });
+
+        tasks.forEach(({ task, planned }) => {
+            totals.planned += planned;
+            add(categories, task.category, 'planned', planned);
+            if (task.date) add(days, task.date, 'planned', planned);
+        });
+
+        return { totals, tasks, categories, days };
+    },
+
+    /**
+     * Summarize distractions for a date range
+     * @param {string} startDate - Start date (YYYY-MM-DD)
+     * @param {string} endDate - End date (YYYY-MM-DD)
+     * @returns {Object} { total, internal, external, perSession, byHour, recent }
+     */
+    getDistractionReport(startDate, endDate) {
+        const distractions = this.getDistractions(startDate, endDate);
+        const sessions = this.getWorkSessions(startDate, endDate);
+        const byHour = new Array(24).fill(0);
+        const { timeZone } = Utils.getDayConfig();
+
+        distractions.forEach(d => {
+            byHour[Utils.getZonedParts(new Date(d.at), timeZone).hour]++;
+        });
+
+        const internal = distractions.filter(d => d.kind === 'internal').length;
+
+        return {
+            total: distractions.length,
+            internal,
+            external: distractions.length - internal,
+            perSession: sessions.length > 0 ? (distractions.length / sessions.length).toFixed(1) : null,
+            byHour,
+            recent: distractions.slice(-5).reverse()
+        };
+    },
+
     // ============================================
     // EXPORT / IMPORT METHODS
     // ============================================
@@ -648,29 +1912,65 @@ const Storage = {
     exportData() {
         const data = {};
         Object.keys(this.KEYS).forEach(key => {
+            // A running timer belongs to this browser, not to backups
+            if (key === 'FOCUS_STATE') return;
             data[key] = this.get(this.KEYS[key]);
         });
         return JSON.stringify(data, null, 2);
     },
 
     /**
-     * Import data from JSON
+     * Import data from JSON, upgrading it to the current schema first
      * @param {string} jsonString - JSON string of data
-     * @returns {boolean} Success status
+     * @returns {Object} { success, error, report } - report counts repaired/dropped records
      */
     importData(jsonString) {
+        let data;
         try {
-            const data = JSON.parse(jsonString);
-            Object.keys(data).forEach(key => {
-                if (Object.values(this.KEYS).includes(key)) {
-                    this.set(key, data[key]);
-                }
-            });
-            return true;
+            data = JSON.parse(jsonString);
+        } catch (error) {
+            console.error('Error importing data:', error);
+            return { success: false, error: 'File is not valid JSON' };
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { success: false, error: 'File is not a Zenith backup' };
+        }
+
+        // Backups are keyed by KEYS names (e.g. TASKS); accept raw storage keys too
+        const incoming = {};
+        Object.keys(this.KEYS).forEach(name => {
+            const storageKey = this.KEYS[name];
+            if (name in data) {
+                incoming[storageKey] = data[name];
+            } else if (storageKey in data) {
+                incoming[storageKey] = data[storageKey];
+            }
+        });
+
+        const version = incoming[this.KEYS.SCHEMA_VERSION] || 0;
+        delete incoming[this.KEYS.SCHEMA_VERSION];
+
+        if (Object.keys(incoming).length === 0) {
+            return { success: false, error: 'File is not a Zenith backup' };
+        }
+
+        let result;
+        try {
+            result = Migrations.run(incoming, version);
         } catch (error) {
             console.error('Error importing data:', error);
-            return false;
+            return { success: false, error: error.message };
         }
+
+        Object.keys(result.data).forEach(key => {
+            if (result.data[key] !== null && result.data[key] !== undefined) {
+                this.set(key, result.data[key]);
+            }
+        });
+        this.set(this.KEYS.SCHEMA_VERSION, Migrations.CURRENT_VERSION);
+
+        return { success: true, report: result.report };
     },
 
     // ============================================
@@ -8,21 +8,127 @@ const Utils = {
     // DATE UTILITIES
     // ============================================
 
+    // Formatters for configured time zones, built once per zone
+    zoneFormatters: {},
+
+    /**
+     * Get the time zone and day-boundary hour that date keys are computed in
+     * @returns {Object} { timeZone, dayStartHour }; an empty timeZone means the device's own
+     */
+    getDayConfig() {
+        const { timeZone, dayStartHour } = Storage.getSettings();
+        return { timeZone, dayStartHour };
+    },
+
+    /**
+     * Read the wall-clock date and time of an instant in a time zone
+     * @param {Date} instant - Moment in time
+     * @param {string} timeZone - IANA zone name, or '' for the device's own
+     * @returns {Object} { year, month, day, hour, minute } with a 1-based month
+     */
+    getZonedParts(instant, timeZone) {
+        if (!timeZone) {
+            return {
+                year: instant.getFullYear(),
+                month: instant.getMonth() + 1,
+                day: instant.getDate(),
+                hour: instant.getHours(),
+                minute: instant.getMinutes()
+            };
+        }
+
+        if (!this.zoneFormatters[timeZone]) {
+            this.zoneFormatters[timeZone] = new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric'
+            });
+        }
+        const parts = {};
+        this.zoneFormatters[timeZone].formatToParts(instant).forEach(({ type, value }) => {
+            parts[type] = Number(value);
+        });
+        return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+    },
+
+    /**
+     * Get the day an instant is filed under. Days are counted in the
+     * configured time zone and begin at the day-boundary hour, so 1am with
+     * a 3am boundary still belongs to the day before.
+     * @param {Date|string|number} instant - Moment in time
+     * @param {Object} [config] - { timeZone, dayStartHour }; defaults to the user's settings
+     * @returns {string} Date string (YYYY-MM-DD)
+     */
+    toDateKey(instant, config = this.getDayConfig()) {
+        const { year, month, day, hour } = this.getZonedParts(new Date(instant), config.timeZone);
+        const dateStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        return hour < config.dayStartHour ? Recurrence.addDays(dateStr, -1) : dateStr;
+    },
+
     /**
      * Get today's date as YYYY-MM-DD string
      * @returns {string} Date string
      */
     getTodayStr() {
-        return new Date().toISOString().split('T')[0];
+        return this.toDateKey(new Date());
     },
 
     /**
-     * Format date as YYYY-MM-DD
-     * @param {Date} date - Date object
+     * Get today as a local Date at midnight, for calendar arithmetic
+     * @returns {Date} Date object
+     */
+    getToday() {
+        return this.parseDateStr(this.getTodayStr());
+    },
+
+    /**
+     * Get minutes elapsed since midnight of today, on the configured clock.
+     * Before the day boundary this runs past 24 hours.
+     * @returns {number} Minutes
+     */
+    getNowMinutes() {
+        const config = this.getDayConfig();
+        const now = this.getZonedParts(new Date(), config.timeZone);
+        const minutes = now.hour * 60 + now.minute;
+        return now.hour < config.dayStartHour ? minutes + 24 * 60 : minutes;
+    },
+
+    /**
+     * Format a calendar date as YYYY-MM-DD
+     * @param {Date} date - Date object (local midnight)
      * @returns {string} Formatted date string
      */
     formatDateStr(date) {
-        return date.toISOString().split('T')[0];
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Parse a YYYY-MM-DD string as a local date (midnight)
+     * @param {string} dateStr - Date string
+     * @returns {Date} Date object
+     */
+    parseDateStr(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Name a date relative to today
+     * @param {string} dateStr - Date string (YYYY-MM-DD)
+     * @returns {string|null} "Today", "Tomorrow", "Yesterday" or null
+     */
+    getRelativeDayName(dateStr) {
+        const today = this.getTodayStr();
+        if (dateStr === today) return 'Today';
+        if (dateStr === Recurrence.addDays(today, 1)) return 'Tomorrow';
+        if (dateStr === Recurrence.addDays(today, -1)) return 'Yesterday';
+        return null;
     },
 
     /**
@@ -100,9 +206,8 @@ const Utils = {
      * @returns {boolean}
      */
     isToday(date) {
-        const d = typeof date === 'string' ? new Date(date) : date;
-        const today = new Date();
-        return d.toDateString() === today.toDateString();
+        const dateStr = typeof date === 'string' ? date : this.formatDateStr(date);
+        return dateStr === this.getTodayStr();
     },
 
     /**
@@ -235,7 +340,7 @@ const Utils = {
      * @returns {string} Greeting message
      */
     getGreeting() {
-        const hour = new Date().getHours();
+        const hour = Math.floor(this.getNowMinutes() / 60);
         if (hour < 12) return 'Good morning';
         if (hour < 17) return 'Good afternoon';
         return 'Good evening';
@@ -254,6 +359,28 @@ const Utils = {
         return `${h12}:${minutes} ${ampm}`;
     },
 
+    /**
+     * Convert an HH:MM time to minutes after midnight
+     * @param {string} time - Time string (HH:MM)
+     * @returns {number} Minutes
+     */
+    timeToMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    },
+
+    /**
+     * Convert minutes after midnight to an HH:MM time, clamped to the same day
+     * @param {number} minutes - Minutes after midnight
+     * @returns {string} Time string (HH:MM)
+     */
+    minutesToTime(minutes) {
+        const clamped = Math.max(0, Math.min(Math.round(minutes), 23 * 60 + 59));
+        const h = Math.floor(clamped / 60).toString().padStart(2, '0');
+        const m = (clamped % 60).toString().padStart(2, '0');
+        return `${h}:${m}`;
+    },
+
     /**
      * Format duration in minutes to human readable
      * @param {number} minutes - Duration in minutes
@@ -372,6 +499,36 @@ const Utils = {
         }, duration);
     },
 
+    // ============================================
+    // DESKTOP NOTIFICATIONS
+    // ============================================
+
+    /**
+     * Ask for permission to show desktop notifications
+     * @returns {Promise<boolean>} Whether notifications are allowed
+     */
+    async requestNotificationPermission() {
+        if (!('Notification' in window)) return false;
+        if (Notification.permission === 'granted') return true;
+        if (Notification.permission === 'denied') return false;
+        return (await Notification.requestPermission()) === 'granted';
+    },
+
+    /**
+     * Show a desktop notification if permission was granted
+     * @param {string} title - Notification title
+     * @param {string} body - Notification text
+     */
+    showNotification(title, body) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+        const notification = new Notification(title, { body, tag: 'zenith' });
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+    },
+
     // ============================================
     // MODAL UTILITIES
     // ============================================
@@ -424,6 +581,58 @@ const Utils = {
         return div.innerHTML;
     },
 
+    /**
+     * Render a small, safe subset of markdown (headings, lists, bold,
+     * italics, inline code and http(s) links) to HTML
+     * @param {string} text - Markdown source
+     * @returns {string} HTML string
+     */
+    renderMarkdown(text) {
+        const inline = (line) => line
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/\*([^*]+)\*/g, '<em>$1</em>')
+            .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)"']+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+
+        let html = '';
+        let list = null;
+        const closeList = () => {
+            if (list) {
+                html += `</${list}>`;
+                list = null;
+            }
+        };
+
+        // Escape first so only the markup added below can produce tags
+        this.sanitize(text || '').split('\n').forEach(line => {
+            const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+            const bullet = /^\s*[-*]\s+(.*)$/.exec(line);
+            const numbered = /^\s*\d+\.\s+(.*)$/.exec(line);
+
+            if (heading) {
+                closeList();
+                const level = heading[1].length + 3;
+                html += `<h${level}>${inline(heading[2])}</h${level}>`;
+            } else if (bullet || numbered) {
+                const type = bullet ? 'ul' : 'ol';
+                if (list !== type) {
+                    closeList();
+                    html += `<${type}>`;
+                    list = type;
+                }
+                html += `<li>${inline((bullet || numbered)[1])}</li>`;
+            } else if (line.trim() === '') {
+                closeList();
+            } else {
+                closeList();
+                html += `<p>${inline(line)}</p>`;
+            }
+        });
+        closeList();
+
+        return html;
+    },
+
     // ============================================
     // CALCULATION UTILITIES
     // ============================================
@@ -532,7 +741,8 @@ const Utils = {
      * Register keyboard shortcut
      * @param {string} key - Key to listen for
      * @param {Function} callback - Callback function
-     * @param {Object} options - Options (ctrl, shift, alt)
+     * @param {Object} options - Options (ctrl, shift, alt, and when: a check that
+     *   must pass before the key's default action is blocked)
      */
     registerShortcut(key, callback, options = {}) {
         document.addEventListener('keydown', (e) => {
@@ -540,9 +750,14 @@ const Utils = {
                 if (options.ctrl && !e.ctrlKey && !e.metaKey) return;
                 if (options.shift && !e.shiftKey) return;
                 if (options.alt && !e.altKey) return;
+
+                // Leave modified keys alone (e.g. Ctrl+C copy) unless asked for
+                if (!options.ctrl && (e.ctrlKey || e.metaKey)) return;
+                if (!options.alt && e.altKey) return;
                 
                 // Don't trigger if typing in input
                 if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+                if (options.when && !options.when()) return;
                 
                 e.preventDefault();
                 callback(e);